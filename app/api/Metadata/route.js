@@ -1,132 +1,44 @@
 // app/api/metadata/route.js
 import { NextResponse } from 'next/server';
+import { createRateLimiter } from '@/lib/rateLimit';
+import { withAuth } from '@/lib/apiAuth';
+import { loadPageMetadata } from '@/lib/metadataFetch';
 
-export async function GET(request) {
-  try {
-    const { searchParams } = new URL(request.url);
-    const url = searchParams.get('url');
+// 30 lookups a minute per user
+const perMinute = createRateLimiter({ limit: 30, windowMs: 60_000 });
 
-    if (!url) {
-      return NextResponse.json({ 
-        error: 'URL is required',
-        title: 'Untitled' 
-      }, { status: 400 });
-    }
+// Every failure is `{ error, code }` so the client can tell "blocked" from
+// "site is down" instead of silently getting the domain as a title
+const fail = (code, error, status, extra = {}) =>
+  NextResponse.json({ error, code, ...extra }, { status });
 
-    // Validate URL
-    try {
-      new URL(url);
-    } catch {
-      return NextResponse.json({ 
-        error: 'Invalid URL',
-        title: 'Untitled',
-        url 
-      }, { status: 400 });
-    }
+export const GET = withAuth(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const url = searchParams.get('url');
 
-    console.log('Fetching metadata for:', url);
-
-    // Fetch with timeout
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-
-    try {
-      const response = await fetch(url, {
-        signal: controller.signal,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        },
-      });
-
-      clearTimeout(timeout);
-
-      if (!response.ok) {
-        console.error('Fetch failed with status:', response.status);
-        return NextResponse.json({ 
-          title: url.replace(/^https?:\/\/(www\.)?/, '').split('/')[0],
-          url 
-        });
-      }
-
-      const html = await response.text();
-
-      // Extract title using multiple methods
-      let title = '';
-
-      // Try Open Graph title
-      const ogTitleMatch = html.match(/<meta\s+property=["']og:title["']\s+content=["']([^"']+)["']/i);
-      if (ogTitleMatch) {
-        title = ogTitleMatch[1];
-      }
-
-      // Try Twitter title
-      if (!title) {
-        const twitterTitleMatch = html.match(/<meta\s+name=["']twitter:title["']\s+content=["']([^"']+)["']/i);
-        if (twitterTitleMatch) {
-          title = twitterTitleMatch[1];
-        }
-      }
-
-      // Try regular title tag
-      if (!title) {
-        const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-        if (titleMatch) {
-          title = titleMatch[1];
-        }
-      }
-
-      // Decode HTML entities
-      if (title) {
-        title = title
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .replace(/&quot;/g, '"')
-          .replace(/&#039;/g, "'")
-          .replace(/&nbsp;/g, ' ')
-          .trim();
-      }
-
-      // Fallback to domain name if no title found
-      if (!title) {
-        title = url.replace(/^https?:\/\/(www\.)?/, '').split('/')[0];
-      }
-
-      console.log('Metadata extracted successfully:', title);
-
-      return NextResponse.json({ 
-        title: title || 'Untitled',
-        url 
-      });
-
-    } catch (fetchError) {
-      clearTimeout(timeout);
-      
-      if (fetchError.name === 'AbortError') {
-        console.error('Request timeout for:', url);
-        return NextResponse.json({ 
-          title: url.replace(/^https?:\/\/(www\.)?/, '').split('/')[0],
-          url 
-        });
-      }
-
-      throw fetchError;
-    }
+  if (!url) {
+    return fail('MISSING_URL', 'URL is required', 400);
+  }
 
-  } catch (error) {
-    console.error('Metadata route error:', error);
-    
-    // Return a friendly fallback instead of failing
-    const url = new URL(request.url).searchParams.get('url') || '';
-    const fallbackTitle = url ? url.replace(/^https?:\/\/(www\.)?/, '').split('/')[0] : 'Untitled';
-    
-    return NextResponse.json({ 
-      title: fallbackTitle,
-      url: url || '',
-      warning: 'Could not fetch full metadata'
+  const result = await loadPageMetadata(url, {
+    // ?snapshot=1 also returns a readable copy of the article for the archive
+    snapshot: searchParams.get('snapshot') === '1',
+    // ?refresh=1 ignores the cache (the Edit form's "Refresh details")
+    refresh: searchParams.get('refresh') === '1',
+  });
+
+  if (!result.ok) {
+    return fail(result.code, result.error, result.status, {
+      ...(result.upstreamStatus && { upstreamStatus: result.upstreamStatus }),
+      ...(result.cache && { cache: result.cache }),
     });
   }
-}
+
+  return NextResponse.json(
+    { ...result.metadata, url, cache: result.cache, ...(result.snapshot && { snapshot: result.snapshot }) },
+    { headers: { 'X-Cache': result.cache } }
+  );
+}, { quotas: [perMinute] });
 
 // Use Node.js runtime for better compatibility
-export const runtime = 'nodejs';
\ No newline at end of file
+export const runtime = 'nodejs';
@@ -0,0 +1,127 @@
+// app/api/export/route.js
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/apiAuth';
+import { fetchBookmarksPage } from '@/lib/bookmarks';
+import { EXPORT_FORMATS } from '@/lib/exportFormats';
+
+// Rows per database round-trip while streaming
+const EXPORT_PAGE_SIZE = 500;
+
+export const GET = withAuth(async (request, { user, supabase }) => {
+
+  const { searchParams } = new URL(request.url);
+  const formatName = searchParams.get('format') || 'json';
+  const format = EXPORT_FORMATS[formatName];
+
+  if (!format) {
+    return NextResponse.json({
+      error: `Unknown format "${formatName}"`,
+      formats: Object.keys(EXPORT_FORMATS),
+    }, { status: 400 });
+  }
+
+  // Same filters as the dashboard view; none means "everything"
+  const filters = {
+    search: searchParams.get('q') || '',
+    tag: searchParams.get('tag') || null,
+    collectionId: searchParams.get('collection') || null,
+  };
+
+  const { data: collections, error: collectionsError } = await supabase
+    .from('collections')
+    .select('id, name')
+    .eq('user_id', user.id)
+    .order('name', { ascending: true });
+
+  if (collectionsError) {
+    console.error('Export collections error:', collectionsError);
+    return NextResponse.json({ error: 'Export failed' }, { status: 500 });
+  }
+
+  const collectionNames = new Map((collections || []).map((c) => [c.id, c.name]));
+  const encoder = new TextEncoder();
+
+  console.log('Exporting bookmarks:', { user: user.id, format: formatName, ...filters });
+
+  // What to write, in order: one folder per collection and then everything
+  // unfiled at the root for grouped formats, otherwise a single list
+  const sections = format.grouped && !filters.collectionId
+    ? [
+      ...(collections || []).map((c) => ({
+        folder: c.name,
+        filters: { ...filters, collectionId: c.id },
+        indent: '    ',
+      })),
+      { filters: { ...filters, unfiled: true }, indent: '  ' },
+    ]
+    : [{ filters, indent: '  ' }];
+
+  let current = 0;
+  let cursor = null;
+  let opened = false;
+  let index = 0;
+
+  // One keyset page per pull, so a slow client holds back the database reads
+  // instead of the whole export piling up in memory
+  const stream = new ReadableStream({
+    start(controller) {
+      const head = format.start();
+      if (head) controller.enqueue(encoder.encode(head));
+    },
+
+    async pull(controller) {
+      const write = (text) => text && controller.enqueue(encoder.encode(text));
+      const section = sections[current];
+      if (!section) {
+        write(format.end());
+        controller.close();
+        return;
+      }
+
+      try {
+        if (!opened && section.folder) write(format.folderStart(section.folder));
+        opened = true;
+
+        const page = await fetchBookmarksPage({
+          client: supabase,
+          userId: user.id,
+          cursor,
+          limit: EXPORT_PAGE_SIZE,
+          ...section.filters,
+        });
+        for (const b of page.rows) {
+          write(format.item(b, {
+            index: index++,
+            indent: section.indent,
+            collectionName: collectionNames.get(b.collection_id),
+          }));
+        }
+
+        if (page.hasMore) {
+          cursor = page.nextCursor;
+        } else {
+          if (section.folder) write(format.folderEnd());
+          current += 1;
+          cursor = null;
+          opened = false;
+        }
+      } catch (error) {
+        console.error('Export stream error:', error);
+        controller.error(error);
+      }
+    },
+  }, { highWaterMark: 1 });
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="bookmarks-${date}.${format.extension}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+});
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -0,0 +1,61 @@
+// app/api/link-health/route.js
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/apiAuth';
+import { checkLink } from '@/lib/checkLink';
+
+// Keep each request well inside serverless time limits
+const MAX_BATCH = 20;
+const CONCURRENCY = 5;
+
+export const POST = withAuth(async (request, { user, supabase }) => {
+
+  let ids;
+  try {
+    ({ ids } = await request.json());
+  } catch {
+    return NextResponse.json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BATCH) {
+    return NextResponse.json({
+      error: `ids must be an array of 1-${MAX_BATCH} bookmark ids`,
+    }, { status: 400 });
+  }
+
+  const { data: bookmarks, error } = await supabase
+    .from('bookmarks')
+    .select('id, url')
+    .eq('user_id', user.id)
+    .in('id', ids);
+
+  if (error) {
+    console.error('Link health lookup error:', error);
+    return NextResponse.json({ error: 'Lookup failed' }, { status: 500 });
+  }
+
+  console.log('Checking links:', bookmarks.length);
+
+  // Check with limited concurrency, then write each result back
+  const results = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < bookmarks.length) {
+      const bookmark = bookmarks[next++];
+      const health = await checkLink(bookmark.url);
+
+      const { error: updateError } = await supabase
+        .from('bookmarks')
+        .update(health)
+        .eq('id', bookmark.id);
+      if (updateError) console.error('Link health update error:', updateError);
+
+      results.push({ id: bookmark.id, url: bookmark.url, ...health });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, bookmarks.length) }, worker));
+
+  return NextResponse.json({ results });
+});
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -1,112 +1,111 @@
+// app/api/search/route.js
 import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/apiAuth';
+import { createRateLimiter } from '@/lib/rateLimit';
+import { configuredProviders, parseSearchFilters, runSearch, PROVIDER_LIMIT } from '@/lib/searchProviders';
+import { normalizeUrl } from '@/lib/url';
 
-export async function GET(request) {
+// Paid search APIs bill per query, so each user gets a burst and a daily cap
+const perMinute = createRateLimiter({ limit: 10, windowMs: 60_000 });
+const perDay = createRateLimiter({ limit: 100, windowMs: 24 * 60 * 60_000 });
+
+// Paid APIs stop at about 100 results anyway
+const MAX_OFFSET = 90;
+
+// `?offset=` wins over `?page=` (1-based, PROVIDER_LIMIT per page)
+const parseOffset = (searchParams) => {
+  const offset = Number(searchParams.get('offset'));
+  if (Number.isInteger(offset) && offset > 0) return Math.min(offset, MAX_OFFSET);
+  const page = Number(searchParams.get('page'));
+  if (Number.isInteger(page) && page > 1) return Math.min((page - 1) * PROVIDER_LIMIT, MAX_OFFSET);
+  return 0;
+};
+
+// Flag results the user has bookmarked already (by normalized URL)
+async function markSaved(supabase, userId, results) {
+  const keys = [...new Set(results.filter((r) => !r.bookmarkId).map((r) => normalizeUrl(r.url)))];
+  if (keys.length === 0) return results.map((r) => ({ ...r, saved: Boolean(r.bookmarkId) }));
+
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .select('id, normalized_url')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .in('normalized_url', keys);
+  if (error) console.error('Saved lookup error:', error);
+
+  const saved = new Map((data || []).map((b) => [b.normalized_url, b.id]));
+  return results.map((r) => {
+    const bookmarkId = r.bookmarkId || saved.get(normalizeUrl(r.url));
+    return { ...r, saved: Boolean(bookmarkId), ...(bookmarkId && { bookmarkId }) };
+  });
+}
+
+export const GET = withAuth(async (request, { user, supabase }) => {
   try {
     const { searchParams } = new URL(request.url);
-    const query = searchParams.get('q');
+    const query = searchParams.get('q')?.trim();
 
     if (!query) {
-      return NextResponse.json({ 
+      return NextResponse.json({
         error: 'Query is required',
-        results: [] 
+        results: []
       }, { status: 400 });
     }
 
-    console.log('Search query:', query);
-
-    // Try SerpAPI first (if API key exists)
-    const SERP_API_KEY = process.env.SERP_API_KEY;
-    
-    if (SERP_API_KEY) {
-      console.log('Using SerpAPI...');
-      try {
-        const serpUrl = `https://serpapi.com/search.json?q=${encodeURIComponent(query)}&api_key=${SERP_API_KEY}&num=10`;
-        
-        const response = await fetch(serpUrl);
-        
-        if (response.ok) {
-          const data = await response.json();
-          const results = (data.organic_results || []).map(item => ({
-            title: item.title,
-            url: item.link,
-            description: item.snippet || ''
-          }));
-          
-          console.log('SerpAPI success, results:', results.length);
-          return NextResponse.json({ results });
-        } else {
-          console.error('SerpAPI error:', response.status);
-        }
-      } catch (serpError) {
-        console.error('SerpAPI exception:', serpError.message);
-      }
+    const providers = configuredProviders();
+    console.log('Search query:', query, 'by', user.id, 'via', providers.map((p) => p.name).join(', '));
+
+    if (providers.length === 0) {
+      return NextResponse.json({
+        error: 'No search providers are configured (see SEARCH_PROVIDERS)',
+        code: 'NO_PROVIDERS',
+        results: [],
+        providers: [],
+      }, { status: 503 });
     }
 
-    // Try Google Custom Search (if API key exists)
-    const GOOGLE_API_KEY = process.env.GOOGLE_SEARCH_API_KEY;
-    const SEARCH_ENGINE_ID = process.env.GOOGLE_SEARCH_ENGINE_ID;
-    
-    if (GOOGLE_API_KEY && SEARCH_ENGINE_ID) {
-      console.log('Using Google Custom Search...');
-      try {
-        const googleUrl = `https://www.googleapis.com/customsearch/v1?key=${GOOGLE_API_KEY}&cx=${SEARCH_ENGINE_ID}&q=${encodeURIComponent(query)}`;
-        
-        const response = await fetch(googleUrl);
-        
-        if (response.ok) {
-          const data = await response.json();
-          const results = (data.items || []).slice(0, 10).map(item => ({
-            title: item.title,
-            url: item.link,
-            description: item.snippet || ''
-          }));
-          
-          console.log('Google Custom Search success, results:', results.length);
-          return NextResponse.json({ results });
-        } else {
-          console.error('Google Custom Search error:', response.status);
-        }
-      } catch (googleError) {
-        console.error('Google Custom Search exception:', googleError.message);
-      }
+    const offset = parseOffset(searchParams);
+    const filters = parseSearchFilters(searchParams);
+    const { results, providers: report, hasMore } = await runSearch(
+      query,
+      { user, supabase },
+      { providers, offset, filters }
+    );
+
+    // Every provider failing is an outage, not "no results"
+    if (report.every((p) => p.error)) {
+      return NextResponse.json({
+        error: 'All search providers failed',
+        code: 'PROVIDERS_FAILED',
+        results: [],
+        providers: report,
+      }, { status: 502 });
     }
 
-    // Fallback: Use a simple mock search or return helpful message
-    console.log('No API keys configured, returning mock results...');
-    
-    // Return mock results with helpful message
-    const mockResults = [
-      {
-        title: `Search API Not Configured - Showing mock result for: ${query}`,
-        url: `https://www.google.com/search?q=${encodeURIComponent(query)}`,
-        description: 'To enable real search results, add SERP_API_KEY or GOOGLE_SEARCH_API_KEY to your environment variables. Click here to search on Google instead.'
-      },
-      {
-        title: 'How to Enable Search',
-        url: 'https://serpapi.com',
-        description: 'Sign up for a free SerpAPI account (100 searches/month) and add SERP_API_KEY to your Vercel environment variables.'
-      },
-      {
-        title: 'Alternative: Google Custom Search',
-        url: 'https://programmablesearchengine.google.com',
-        description: 'Or use Google Custom Search API - create a search engine and add GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID.'
-      }
-    ];
-
-    return NextResponse.json({ 
-      results: mockResults,
-      warning: 'Using mock results - add API keys for real search'
+    const failed = report.filter((p) => p.error);
+    console.log('Search results:', results.length);
+
+    return NextResponse.json({
+      results: await markSaved(supabase, user.id, results),
+      providers: report,
+      filters,
+      offset,
+      nextOffset: hasMore && offset + PROVIDER_LIMIT <= MAX_OFFSET ? offset + PROVIDER_LIMIT : null,
+      ...(failed.length > 0 && {
+        warning: `${failed.map((p) => p.label).join(', ')} unavailable; showing partial results`,
+      }),
     });
 
   } catch (error) {
     console.error('Search route error:', error);
-    return NextResponse.json({ 
+    return NextResponse.json({
       error: 'Search failed',
       details: error.message,
       results: []
     }, { status: 500 });
   }
-}
+}, { quotas: [perMinute, perDay] });
 
 // Use Node.js runtime for better compatibility
 export const runtime = 'nodejs';
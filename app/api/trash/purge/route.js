@@ -0,0 +1,36 @@
+// app/api/trash/purge/route.js
+import { NextResponse } from 'next/server';
+import { getServiceClient, getBearerToken } from '@/lib/supabaseServer';
+import { TRASH_RETENTION_DAYS } from '@/lib/trash';
+
+// Scheduled job (vercel.json crons), not a user endpoint: Vercel sends
+// `Authorization: Bearer $CRON_SECRET`. Purges every user's trash rows older
+// than the retention period with the service role.
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || getBearerToken(request) !== secret) {
+    return NextResponse.json({ error: 'Unauthorized', code: 'UNAUTHORIZED' }, { status: 401 });
+  }
+
+  const supabase = getServiceClient();
+  if (!supabase) {
+    return NextResponse.json({
+      error: 'SUPABASE_SERVICE_ROLE_KEY is not set',
+      code: 'NOT_CONFIGURED',
+    }, { status: 503 });
+  }
+
+  const { data: purged, error } = await supabase.rpc('purge_expired_trash', {
+    retention_days: TRASH_RETENTION_DAYS,
+  });
+  if (error) {
+    console.error('Trash purge error:', error);
+    return NextResponse.json({ error: 'Purge failed' }, { status: 500 });
+  }
+
+  console.log('Purged trash rows:', purged);
+  return NextResponse.json({ purged, retentionDays: TRASH_RETENTION_DAYS });
+}
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -0,0 +1,104 @@
+// app/api/v1/bookmarks/[id]/route.js
+import { NextResponse } from 'next/server';
+import {
+  v1Route,
+  ApiError,
+  notFound,
+  readJson,
+  assertValid,
+  resolveCollectionField,
+  toApiBookmark,
+} from '@/lib/apiV1';
+import { validateBookmarkInput } from '@/lib/bookmarkInput';
+import { findDuplicate } from '@/lib/duplicates';
+import { loadPageMetadata } from '@/lib/metadataFetch';
+import { pickMetadata } from '@/lib/pageMetadata';
+import { trashBookmarks, purgeBookmarks } from '@/lib/trash';
+import { canonicalKey } from '@/lib/url';
+
+// RLS decides visibility: the caller's own rows and those in shared collections
+async function loadBookmark(supabase, id) {
+  const { data, error } = await supabase.from('bookmarks').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw notFound('Bookmark');
+  return data;
+}
+
+export const GET = v1Route(async (request, { supabase, params }) => {
+  const { id } = await params;
+  return NextResponse.json({ data: toApiBookmark(await loadBookmark(supabase, id)) });
+}, 'read');
+
+// PATCH /api/v1/bookmarks/:id — any of { title, url, tags, description, collection_id | collection, allow_duplicate }
+export const PATCH = v1Route(async (request, { user, supabase, params }) => {
+  const { id } = await params;
+  const body = await readJson(request);
+  const { fields, errors } = validateBookmarkInput(body, { partial: true });
+  assertValid(errors);
+
+  const original = await loadBookmark(supabase, id);
+
+  const collection_id = await resolveCollectionField(body, { client: supabase, userId: user.id });
+  if (collection_id !== undefined) fields.collection_id = collection_id;
+
+  // A new URL is a new page: its details replace the old page's (or are
+  // cleared when it can't be read), and its canonical URL keys duplicates
+  let page = null;
+  if (fields.url && fields.url !== original.url) {
+    page = await loadPageMetadata(fields.url);
+    const metadata = pickMetadata(page.ok ? page.metadata : null);
+    if (page.ok && page.metadata.title && !('title' in fields)) fields.title = page.metadata.title;
+    for (const [field, value] of Object.entries(metadata)) {
+      if (!(field in fields)) fields[field] = value;
+    }
+    fields.normalized_url = canonicalKey(fields.url, metadata.canonical_url);
+    if (!body.allow_duplicate) {
+      const duplicate = await findDuplicate({
+        client: supabase,
+        userId: user.id,
+        url: fields.url,
+        canonicalUrl: metadata.canonical_url,
+        excludeId: id,
+      });
+      if (duplicate) {
+        throw new ApiError(409, 'DUPLICATE', `Already saved as "${duplicate.title}"`, duplicate);
+      }
+    }
+  }
+
+  if (Object.keys(fields).length === 0) {
+    throw new ApiError(422, 'VALIDATION_FAILED', 'Nothing to update');
+  }
+
+  // No row back means RLS refused the write (a viewer of a shared collection)
+  const { data, error } = await supabase.from('bookmarks').update(fields).eq('id', id).select().maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ApiError(403, 'FORBIDDEN', "You can't edit this bookmark");
+
+  return NextResponse.json({
+    data: toApiBookmark(data),
+    ...(page && !page.ok && { warning: `Updated without page details: ${page.error}` }),
+  });
+}, 'write');
+
+// DELETE /api/v1/bookmarks/:id moves it to the trash, like the dashboard;
+// ?permanent=true deletes it for good
+export const DELETE = v1Route(async (request, { supabase, params }) => {
+  const { id } = await params;
+  const permanent = new URL(request.url).searchParams.get('permanent') === 'true';
+  const bookmark = await loadBookmark(supabase, id);
+
+  if (!bookmark.deleted_at) {
+    const trashed = await trashBookmarks([id], supabase);
+    if (trashed.length === 0) throw new ApiError(403, 'FORBIDDEN', "You can't delete this bookmark");
+  }
+  if (permanent) {
+    const purged = await purgeBookmarks([id], supabase);
+    if (purged.length === 0) throw new ApiError(403, 'FORBIDDEN', "You can't delete this bookmark");
+  }
+
+  return NextResponse.json({ data: { id, deleted: permanent ? 'permanent' : 'trash' } });
+}, 'write');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
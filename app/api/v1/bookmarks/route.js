@@ -0,0 +1,79 @@
+// app/api/v1/bookmarks/route.js
+import { NextResponse } from 'next/server';
+import {
+  v1Route,
+  ApiError,
+  readJson,
+  readPaging,
+  assertValid,
+  listResponse,
+  resolveCollectionField,
+  toApiBookmark,
+} from '@/lib/apiV1';
+import { fetchBookmarksPage, isSearchActive } from '@/lib/bookmarks';
+import { validateBookmarkInput } from '@/lib/bookmarkInput';
+import { findDuplicate } from '@/lib/duplicates';
+import { canonicalKey } from '@/lib/url';
+
+// GET /api/v1/bookmarks?q=&tag=&collection=&broken=true&trash=true&limit=&cursor=
+// Same filters and search syntax as the dashboard: newest first, or best
+// match first when `q` is set.
+export const GET = v1Route(async (request, { user, supabase }) => {
+  const { searchParams } = new URL(request.url);
+  const { limit, cursor } = readPaging(searchParams);
+  const search = searchParams.get('q') || '';
+
+  // A search pages by offset, a plain list by (created_at, id)
+  if (cursor && (isSearchActive(search) ? !Number.isInteger(cursor.offset) : !cursor.created_at || !cursor.id)) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'cursor belongs to a different query');
+  }
+
+  const page = await fetchBookmarksPage({
+    client: supabase,
+    userId: user.id,
+    cursor,
+    limit,
+    search,
+    tag: searchParams.get('tag') || null,
+    collectionId: searchParams.get('collection') || null,
+    brokenOnly: searchParams.get('broken') === 'true',
+    trash: searchParams.get('trash') === 'true',
+  });
+
+  return listResponse(page.rows.map(toApiBookmark), { limit, ...page });
+}, 'read');
+
+// POST /api/v1/bookmarks { title, url, tags?, description?, collection_id? | collection?, allow_duplicate? }
+export const POST = v1Route(async (request, { user, supabase }) => {
+  const body = await readJson(request);
+  const { fields, errors } = validateBookmarkInput(body);
+  assertValid(errors);
+
+  const collection_id = await resolveCollectionField(body, { client: supabase, userId: user.id });
+
+  // The dashboard asks "Save anyway?"; here the caller opts in up front
+  if (!body.allow_duplicate) {
+    const duplicate = await findDuplicate({ client: supabase, userId: user.id, url: fields.url });
+    if (duplicate) {
+      throw new ApiError(409, 'DUPLICATE', `Already saved as "${duplicate.title}"`, duplicate);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .insert([{
+      ...fields,
+      normalized_url: canonicalKey(fields.url),
+      collection_id: collection_id ?? null,
+      user_id: user.id,
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  console.log('API bookmark created:', { user: user.id, id: data.id });
+  return NextResponse.json({ data: toApiBookmark(data) }, { status: 201 });
+}, 'write');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
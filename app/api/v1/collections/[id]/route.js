@@ -0,0 +1,53 @@
+// app/api/v1/collections/[id]/route.js
+import { NextResponse } from 'next/server';
+import { v1Route, ApiError, notFound, readJson, requireText, toApiCollection } from '@/lib/apiV1';
+import { fetchCollections, withRole } from '@/lib/collections';
+
+async function loadCollection(supabase, userId, id) {
+  const collection = (await fetchCollections(userId, supabase)).find((c) => c.id === id);
+  if (!collection) throw notFound('Collection');
+  return collection;
+}
+
+// Members can read a shared collection; only its owner renames or deletes it
+const assertOwner = (collection) => {
+  if (collection.role !== 'owner') {
+    throw new ApiError(403, 'FORBIDDEN', 'Only the owner can change this collection');
+  }
+};
+
+export const GET = v1Route(async (request, { user, supabase, params }) => {
+  const { id } = await params;
+  return NextResponse.json({ data: toApiCollection(await loadCollection(supabase, user.id, id)) });
+}, 'read');
+
+// PATCH /api/v1/collections/:id { name }
+export const PATCH = v1Route(async (request, { user, supabase, params }) => {
+  const { id } = await params;
+  const name = requireText(await readJson(request), 'name');
+  assertOwner(await loadCollection(supabase, user.id, id));
+
+  const { data, error } = await supabase
+    .from('collections')
+    .update({ name })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  return NextResponse.json({ data: toApiCollection(withRole(data, user.id)) });
+}, 'write');
+
+// DELETE /api/v1/collections/:id — its bookmarks stay, unfiled
+export const DELETE = v1Route(async (request, { user, supabase, params }) => {
+  const { id } = await params;
+  assertOwner(await loadCollection(supabase, user.id, id));
+
+  const { error } = await supabase.from('collections').delete().eq('id', id);
+  if (error) throw error;
+
+  return NextResponse.json({ data: { id, deleted: true } });
+}, 'write');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
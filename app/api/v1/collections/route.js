@@ -0,0 +1,43 @@
+// app/api/v1/collections/route.js
+import { NextResponse } from 'next/server';
+import {
+  v1Route,
+  readJson,
+  requireText,
+  readPaging,
+  paginateList,
+  listResponse,
+  toApiCollection,
+} from '@/lib/apiV1';
+import { fetchCollections, withRole } from '@/lib/collections';
+
+// GET /api/v1/collections?q=&limit=&cursor= — the caller's own collections and
+// those shared with them, by name, each with the caller's `role`
+export const GET = v1Route(async (request, { user, supabase }) => {
+  const { searchParams } = new URL(request.url);
+  const paging = readPaging(searchParams);
+  const q = (searchParams.get('q') || '').trim().toLowerCase();
+
+  const collections = (await fetchCollections(user.id, supabase))
+    .filter((c) => !q || c.name.toLowerCase().includes(q))
+    .map(toApiCollection);
+  const page = paginateList(collections, paging);
+  return listResponse(page.data, { limit: paging.limit, ...page });
+}, 'read');
+
+// POST /api/v1/collections { name } — a name the caller already uses is a 409
+export const POST = v1Route(async (request, { user, supabase }) => {
+  const name = requireText(await readJson(request), 'name');
+
+  const { data, error } = await supabase
+    .from('collections')
+    .insert([{ name, user_id: user.id }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  return NextResponse.json({ data: toApiCollection(withRole(data, user.id)) }, { status: 201 });
+}, 'write');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
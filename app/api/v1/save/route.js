@@ -0,0 +1,93 @@
+// app/api/v1/save/route.js
+import { NextResponse } from 'next/server';
+import {
+  v1Route,
+  ApiError,
+  readJson,
+  assertValid,
+  resolveCollectionField,
+  toApiBookmark,
+  withCors,
+  corsPreflight,
+} from '@/lib/apiV1';
+import { createRateLimiter } from '@/lib/rateLimit';
+import { loadPageMetadata } from '@/lib/metadataFetch';
+import { domainFromUrl } from '@/lib/metadata';
+import { pickMetadata } from '@/lib/pageMetadata';
+import { validateBookmarkInput } from '@/lib/bookmarkInput';
+import { findDuplicate } from '@/lib/duplicates';
+import { saveSnapshot } from '@/lib/snapshots';
+import { canonicalKey } from '@/lib/url';
+
+// One-click save from the bookmarklet (/save) and the browser extension
+// (extension/): the current tab's URL, title and selected text in, the new
+// bookmark out. Every save fetches the page, so it shares the metadata quota.
+const perMinute = createRateLimiter({ limit: 30, windowMs: 60_000 });
+
+// Selected text becomes the description; keep it to a quote, not a page
+const MAX_SELECTION = 2000;
+
+// POST /api/v1/save { url, title?, selection?, tags?, collection_id? | collection?, allow_duplicate? }
+export const POST = withCors('POST', v1Route(async (request, { user, supabase }) => {
+  const body = await readJson(request);
+  const url = typeof body.url === 'string' ? body.url.trim() : '';
+  assertValid(validateBookmarkInput({ url }, { partial: true }).errors);
+
+  // Same lookup as the dashboard form: page details plus a reader snapshot.
+  // A page we can't read is still saved, just without details.
+  const page = await loadPageMetadata(url, { snapshot: true });
+  const metadata = page.ok ? pickMetadata(page.metadata) : {};
+  const selection = typeof body.selection === 'string' ? body.selection.trim().slice(0, MAX_SELECTION) : '';
+
+  const { fields, errors } = validateBookmarkInput({
+    url,
+    title: (typeof body.title === 'string' && body.title.trim()) || page.metadata?.title || domainFromUrl(url),
+    tags: body.tags ?? [],
+    description: selection || metadata.description || null,
+  });
+  assertValid(errors);
+
+  const collection_id = await resolveCollectionField(body, { client: supabase, userId: user.id });
+
+  if (!body.allow_duplicate) {
+    const duplicate = await findDuplicate({
+      client: supabase,
+      userId: user.id,
+      url,
+      canonicalUrl: metadata.canonical_url,
+    });
+    if (duplicate) {
+      throw new ApiError(409, 'DUPLICATE', `Already saved as "${duplicate.title}"`, duplicate);
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('bookmarks')
+    .insert([{
+      ...metadata,
+      ...fields,
+      normalized_url: canonicalKey(url, metadata.canonical_url),
+      collection_id: collection_id ?? null,
+      user_id: user.id,
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+
+  // 📖 Archive a readable copy alongside, like the form does
+  if (page.snapshot) {
+    await saveSnapshot({ client: supabase, bookmarkId: data.id, userId: user.id, snapshot: page.snapshot })
+      .catch((snapshotError) => console.error('Snapshot save failed:', snapshotError));
+  }
+
+  console.log('Saved from browser:', { user: user.id, id: data.id, details: page.ok ? 'ok' : page.code });
+  return NextResponse.json({
+    data: toApiBookmark(data),
+    ...(!page.ok && { warning: `Saved without page details: ${page.error}` }),
+  }, { status: 201 });
+}, 'write', [perMinute]));
+
+export const OPTIONS = corsPreflight('POST');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -0,0 +1,40 @@
+// app/api/v1/tags/[tag]/route.js
+import { NextResponse } from 'next/server';
+import { v1Route, notFound, readJson, requireText } from '@/lib/apiV1';
+import { fetchBookmarkFacets } from '@/lib/bookmarks';
+import { countTags, parseTags } from '@/lib/tags';
+
+export const GET = v1Route(async (request, { user, supabase, params }) => {
+  const { tag } = await params;
+  const found = countTags(await fetchBookmarkFacets(user.id, [], supabase)).find((t) => t.tag === tag);
+  if (!found) throw notFound('Tag');
+  return NextResponse.json({ data: found });
+}, 'read');
+
+// PATCH /api/v1/tags/:tag { name } renames it on every bookmark (merging into
+// `name` where a bookmark already has both)
+export const PATCH = v1Route(async (request, { supabase, params }) => {
+  const { tag } = await params;
+  const body = await readJson(request);
+  // Same normalization as typing the tag in the dashboard form
+  const [name] = parseTags(requireText(body, 'name'));
+
+  const { data: bookmarks, error } = await supabase.rpc('rename_tag', { old_tag: tag, new_tag: name });
+  if (error) throw error;
+  if (!bookmarks && name !== tag) throw notFound('Tag');
+
+  return NextResponse.json({ data: { tag: name, bookmarks } });
+}, 'write');
+
+// DELETE /api/v1/tags/:tag removes it from every bookmark
+export const DELETE = v1Route(async (request, { supabase, params }) => {
+  const { tag } = await params;
+  const { data: bookmarks, error } = await supabase.rpc('remove_tag', { tag });
+  if (error) throw error;
+  if (!bookmarks) throw notFound('Tag');
+
+  return NextResponse.json({ data: { tag, bookmarks } });
+}, 'write');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -0,0 +1,26 @@
+// app/api/v1/tags/route.js
+import { v1Route, readPaging, paginateList, listResponse, withCors, corsPreflight } from '@/lib/apiV1';
+import { fetchBookmarkFacets } from '@/lib/bookmarks';
+import { countTags } from '@/lib/tags';
+
+// Tags exist only on bookmarks: add one by tagging a bookmark, rename or
+// remove it everywhere with /api/v1/tags/:tag
+
+// GET /api/v1/tags?q=&limit=&cursor= — `{ tag, count }` over the caller's own
+// bookmarks (trash excluded), most used first. Open to other origins for the
+// extension's tag suggestions.
+export const GET = withCors('GET', v1Route(async (request, { user, supabase }) => {
+  const { searchParams } = new URL(request.url);
+  const paging = readPaging(searchParams);
+  const q = (searchParams.get('q') || '').trim().toLowerCase();
+
+  const tags = countTags(await fetchBookmarkFacets(user.id, [], supabase))
+    .filter(({ tag }) => !q || tag.includes(q));
+  const page = paginateList(tags, paging);
+  return listResponse(page.data, { limit: paging.limit, ...page });
+}, 'read'));
+
+export const OPTIONS = corsPreflight('GET');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -1,9 +1,17 @@
 import './globals.css';
 import { Toaster } from 'react-hot-toast';  // ← ADD THIS LINE
+import ServiceWorker from '@/components/ServiceWorker';
 
 export const metadata = {
   title: 'Smart Bookmark',
   description: 'Manage bookmarks efficiently',
+  // Installed to the home screen (app/manifest.js, public/sw.js)
+  appleWebApp: { capable: true, title: 'Smart Bookmark', statusBarStyle: 'default' },
+  icons: { apple: '/icons/apple-touch-icon.png' },
+};
+
+export const viewport = {
+  themeColor: '#4f46e5',
 };
 
 export default function RootLayout({ children }) {
@@ -12,7 +20,8 @@ export default function RootLayout({ children }) {
       <body>
         {children}
         <Toaster position="top-center" />  {/* ← ADD THIS LINE */}
+        <ServiceWorker />
       </body>
     </html>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+// app/manifest.js — served as /manifest.webmanifest (installable PWA)
+
+export default function manifest() {
+  return {
+    name: 'Smart Bookmark',
+    short_name: 'Bookmarks',
+    description: 'Manage bookmarks efficiently',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: '#eef2ff',
+    theme_color: '#4f46e5',
+    icons: [
+      { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+      { src: '/icons/icon-maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+    ],
+    // "Share → Smart Bookmark" from other apps opens /share?title=&text=&url=
+    share_target: {
+      action: '/share',
+      method: 'GET',
+      params: { title: 'title', text: 'text', url: 'url' },
+    },
+  };
+}
@@ -3,41 +3,184 @@
 import { useEffect, useState, useRef, useCallback, useMemo } from "react";
 import { supabase } from "@/lib/supabase";
 import { useRouter } from "next/navigation";
+import Link from "next/link";
 import { motion, AnimatePresence } from "framer-motion";
 import toast from "react-hot-toast";
+import { parseTags, formatTags, countTags, countCollections } from "@/lib/tags";
+import { splitHighlights } from "@/lib/searchQuery";
+import {
+  fetchBookmarksPage,
+  fetchBookmarkFacets,
+  appendPage,
+  applyRealtimeChange,
+  applyFacetChange,
+  fetchAllBookmarks,
+  fetchExistingIds,
+  updateBookmark,
+} from "@/lib/bookmarks";
+import { startRealtimeSync, REALTIME_STATUS } from "@/lib/realtimeSync";
+import { isValidUrl, normalizeUrl, canonicalKey } from "@/lib/url";
+import { validateBookmarkInput } from "@/lib/bookmarkInput";
+import { findDuplicate } from "@/lib/duplicates";
+import { confirmToast } from "@/lib/confirmToast";
+import { linkHealth, runLinkCheck } from "@/lib/linkHealth";
+import { fetchPageMetadata, pickMetadata } from "@/lib/pageMetadata";
+import { authFetch } from "@/lib/authFetch";
+import {
+  syncOfflineCopy,
+  readSyncInfo,
+  readOfflinePage,
+  readOfflineBookmarks,
+  readOfflineCollections,
+  saveOfflineCollections,
+  applyOfflineChange,
+  clearOfflineCopy,
+} from "@/lib/offlineStore";
+import { readSharedLink } from "@/lib/sharedLink";
+import {
+  EMPTY_QUEUE,
+  loadQueue,
+  saveQueue,
+  clearQueue,
+  enqueue,
+  dequeue,
+  watchQueue,
+  withReplayLock,
+  markInFlight,
+  applyPending,
+  replayEntry,
+  settleEntry,
+  resolveConflict,
+  newLocalId,
+  isLocalId,
+  serverId,
+  isRetryable,
+  scheduleRetry,
+  clearRetry,
+} from "@/lib/writeQueue";
+import SyncConflicts from "@/components/SyncConflicts";
+import ImportPanel from "@/components/ImportPanel";
+import DuplicatesPanel from "@/components/DuplicatesPanel";
+import ReaderView from "@/components/ReaderView";
+import RevisionHistory from "@/components/RevisionHistory";
+import ShareCollectionPanel from "@/components/ShareCollectionPanel";
+import PublishPanel from "@/components/PublishPanel";
+import CollectionInvites from "@/components/CollectionInvites";
+import {
+  withRole,
+  canEditCollection,
+  fetchCollections,
+  findCollectionByName,
+  fetchMyInvites,
+  acceptInvite,
+  deleteInvite,
+  removeMember,
+} from "@/lib/collections";
+import { revertFields, REVISION_FIELDS } from "@/lib/revisions";
+import BulkToolbar from "@/components/BulkToolbar";
+import { progressToast, undoToast } from "@/lib/progressToast";
+import { renderExport, EXPORT_FORMATS } from "@/lib/exportFormats";
+import {
+  patchBookmarks,
+  addTagPatches,
+  removeTagPatches,
+  movePatches,
+  refreshMetadataPatches,
+  toMarkdownList,
+} from "@/lib/bulkActions";
+import {
+  TRASH_RETENTION_DAYS,
+  trashBookmarks,
+  restoreBookmarks,
+  purgeBookmarks,
+  purgeExpiredTrash,
+  daysUntilPurge,
+} from "@/lib/trash";
 
-const isValidUrl = (value) => {
-  try {
-    new URL(value);
-    return true;
-  } catch {
-    return false;
-  }
+const EXPORT_OPTIONS = [
+  { format: "html", label: "Browser HTML" },
+  { format: "json", label: "JSON" },
+  { format: "csv", label: "CSV" },
+  { format: "markdown", label: "Markdown" },
+];
+
+// Hand a generated file to the browser as a download
+const saveFile = (blob, filename) => {
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(href);
 };
 
-// 🧠 SYSTEM DESIGN: Metadata Cache
-const metadataCache = new Map();
+const plural = (n, word) => `${n} ${word}${n !== 1 ? "s" : ""}`;
 
-const fetchPageMetadata = async (url) => {
-  if (metadataCache.has(url)) {
-    console.log("✅ Cache hit for:", url);
-    return metadataCache.get(url);
-  }
+// Badges for /api/search result sources (lib/searchProviders)
+const SEARCH_SOURCES = {
+  bookmarks: "📌 Your bookmarks",
+  serpapi: "SerpAPI",
+  google: "Google",
+  duckduckgo: "DuckDuckGo",
+  mock: "Mock",
+};
 
-  try {
-    const response = await fetch(`/api/metadata?url=${encodeURIComponent(url)}`);
-    const data = await response.json();
-    
-    // Even if there's an error, cache what we got
-    metadataCache.set(url, data);
-    console.log("💾 Cached metadata for:", url);
-    return data;
-  } catch (error) {
-    console.error("Failed to fetch metadata:", error);
-    return { title: '', url };
-  }
+// Filters passed to /api/search (see parseSearchFilters)
+const WEB_TIME_RANGES = [
+  { value: "", label: "Any time" },
+  { value: "day", label: "Past day" },
+  { value: "week", label: "Past week" },
+  { value: "month", label: "Past month" },
+  { value: "year", label: "Past year" },
+];
+
+const WEB_LANGUAGES = [
+  { value: "", label: "Any language" },
+  { value: "en", label: "English" },
+  { value: "de", label: "German" },
+  { value: "es", label: "Spanish" },
+  { value: "fr", label: "French" },
+  { value: "it", label: "Italian" },
+  { value: "ja", label: "Japanese" },
+  { value: "pt", label: "Portuguese" },
+  { value: "zh", label: "Chinese" },
+];
+
+// Render «highlighted» search matches from search_bookmarks as <mark>
+function Highlighted({ text }) {
+  return splitHighlights(text).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded px-0.5">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={i}>{part.text}</span>
+    )
+  );
+}
+
+// 🩺 Link health badge (see lib/linkHealth.js)
+const LINK_BADGES = {
+  ok: { label: "✓ OK", className: "bg-emerald-100 text-emerald-700 dark:bg-emerald-900/60 dark:text-emerald-200" },
+  redirected: { label: "↪ Redirected", className: "bg-amber-100 text-amber-700 dark:bg-amber-900/60 dark:text-amber-200" },
+  restricted: { label: "🔒 Restricted", className: "bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-200" },
+  dead: { label: "✗ Dead", className: "bg-rose-100 text-rose-700 dark:bg-rose-900/60 dark:text-rose-200" },
 };
 
+function LinkBadge({ bookmark }) {
+  const badge = LINK_BADGES[linkHealth(bookmark)];
+  if (!badge) return null;
+  const detail = bookmark.link_error || (bookmark.link_status ? `HTTP ${bookmark.link_status}` : "");
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs whitespace-nowrap ${badge.className}`}
+      title={`${detail} · checked ${new Date(bookmark.link_checked_at).toLocaleString()}`}
+    >
+      {badge.label}
+    </span>
+  );
+}
+
 // 🧠 SYSTEM DESIGN: Debounce Hook
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value);
@@ -56,6 +199,12 @@ function useDebounce(value, delay) {
 // 🧠 SESSION HANDLING: Safely get user or refresh token
 const getUserSafe = async () => {
   try {
+    // Offline there's no server to ask; trust the stored session
+    if (!navigator.onLine) {
+      const { data: { session } } = await supabase.auth.getSession();
+      return session?.user || null;
+    }
+
     const { data: { user } } = await supabase.auth.getUser();
 
     if (user) return user;
@@ -74,27 +223,83 @@ const getUserSafe = async () => {
 };
 
 let lastSaveTime = 0;
-const PAGE_SIZE = 6;
+
+// Error toasts for a queued change the server refused (lib/writeQueue.js)
+const REPLAY_FAILURES = {
+  create: "Add failed",
+  update: "Update failed",
+  delete: "Delete failed",
+  restore: "Restore failed",
+};
 
 export default function Home() {
   const router = useRouter();
-  const channelRef = useRef(null);
+  const sentinelRef = useRef(null);
+
+  // Pagination state read from realtime callbacks, so kept in refs
+  const cursorRef = useRef(null);
+  const hasMoreRef = useRef(false);
+  const filtersRef = useRef({});
+  const loadingRef = useRef(false);
+  const requestIdRef = useRef(0);
+  // Query + filters behind the web results shown, for "Load more results"
+  const webQueryRef = useRef(null);
+  // Last card clicked in selection mode, the start of a shift-click range
+  const selectionAnchorRef = useRef(null);
+  // ✈️ Write queue (lib/writeQueue.js): current value for async replays, and
+  // whether this tab is replaying it, and the next attempt
+  const queueRef = useRef(EMPTY_QUEUE);
+  const flushingRef = useRef(false);
+  const flushTimerRef = useRef(null);
+  // Loaded rows, for the purge check after a realtime resync
+  const loadedRef = useRef([]);
 
   const [user, setUser] = useState(null);
-  const [bookmarks, setBookmarks] = useState([]);
+  // Rows as last read from Supabase; queued offline writes are laid over them below
+  const [loadedBookmarks, setLoadedBookmarks] = useState([]);
+  const [loadedFacets, setLoadedFacets] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingPage, setLoadingPage] = useState(false);
   const [search, setSearch] = useState("");
   const [webSearch, setWebSearch] = useState("");
   const [webResults, setWebResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [webFilters, setWebFilters] = useState({ site: "", time: "", lang: "" });
+  const [webNextOffset, setWebNextOffset] = useState(null);
   const [title, setTitle] = useState("");
   const [url, setUrl] = useState("");
   const [editingId, setEditingId] = useState(null);
   const [dark, setDark] = useState(false);
   const [showForm, setShowForm] = useState(false);
   const [showWebSearch, setShowWebSearch] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [exportViewOnly, setExportViewOnly] = useState(false);
+  const [exporting, setExporting] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
-  const [page, setPage] = useState(1);
   const [fetchingMetadata, setFetchingMetadata] = useState(false);
+  const [refreshDetails, setRefreshDetails] = useState(false);
+  const [tagsInput, setTagsInput] = useState("");
+  const [collectionName, setCollectionName] = useState("");
+  const [collections, setCollections] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [showShare, setShowShare] = useState(false);
+  const [showPublish, setShowPublish] = useState(false);
+  const [activeTag, setActiveTag] = useState(null);
+  const [activeCollection, setActiveCollection] = useState(null);
+  const [brokenOnly, setBrokenOnly] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [checkingLinks, setCheckingLinks] = useState(false);
+  const [readingBookmark, setReadingBookmark] = useState(null);
+  const [historyBookmark, setHistoryBookmark] = useState(null);
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState(() => new Map());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [online, setOnline] = useState(true);
+  const [realtimeStatus, setRealtimeStatus] = useState("connecting");
+  const [offlineSyncedAt, setOfflineSyncedAt] = useState(null);
+  const [queue, setQueue] = useState(EMPTY_QUEUE);
 
   // 🧠 SYSTEM DESIGN: Debounced search
   const debouncedSearch = useDebounce(search, 300);
@@ -106,6 +311,19 @@ export default function Home() {
     return () => window.removeEventListener("resize", handleResize);
   }, []);
 
+  // 📴 Offline, pages, counts and collections come from the IndexedDB copy
+  // (lib/offlineStore.js) until the connection returns
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    update();
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
   // 🧠 INIT: User + bookmarks with safe session handling
   useEffect(() => {
     const init = async () => {
@@ -116,53 +334,351 @@ export default function Home() {
         return;
       }
       setUser(currentUser);
-
-      const { data } = await supabase
-        .from("bookmarks")
-        .select("*")
-        .eq("user_id", currentUser.id)
-        .order("created_at", { ascending: false });
-      setBookmarks(data || []);
     };
     init();
   }, [router]);
 
-  // Real-time sync (simple and reliable)
+  // 📲 A link shared into the installed app (app/share/page.js) opens the add
+  // form prefilled; the params are dropped so a reload doesn't reopen it
   useEffect(() => {
     if (!user) return;
-    if (channelRef.current) supabase.removeChannel(channelRef.current);
-    const channel = supabase
-      .channel(`bookmarks-${user.id}`)
-      .on(
-        "postgres_changes",
-        {
-          event: "*",
-          schema: "public",
-          table: "bookmarks",
-          filter: `user_id=eq.${user.id}`,
-        },
-        (payload) => {
-          const { eventType, new: newRecord, old: oldRecord } = payload;
-          setBookmarks((prev) => {
-            if (eventType === "INSERT") {
-              if (prev.find((b) => b.id === newRecord.id)) return prev;
-              return [newRecord, ...prev];
-            }
-            if (eventType === "UPDATE") {
-              return prev.map((b) => (b.id === newRecord.id ? newRecord : b));
-            }
-            if (eventType === "DELETE") {
-              return prev.filter((b) => b.id !== oldRecord.id);
-            }
-            return prev;
-          });
-        }
-      )
-      .subscribe();
-    channelRef.current = channel;
-    return () => supabase.removeChannel(channel);
+    const params = new URLSearchParams(window.location.search);
+    // Offline, the service worker answers /share itself with the dashboard
+    if (params.get("add") !== "1" && window.location.pathname !== "/share") return;
+    router.replace("/");
+
+    const openShared = async ({ url: sharedUrl, title: sharedTitle }) => {
+      setShowForm(true);
+      setUrl(sharedUrl);
+      setTitle(sharedTitle);
+      if (sharedTitle || !isValidUrl(sharedUrl) || !navigator.onLine) return;
+      setFetchingMetadata(true);
+      const metadata = await fetchPageMetadata(sharedUrl);
+      if (metadata?.title) setTitle(metadata.title);
+      setFetchingMetadata(false);
+    };
+    openShared(readSharedLink(params));
+  }, [user, router]);
+
+  // 👥 Own collections plus shared ones (with the user's role in each), and
+  // invites waiting for them. Reloaded whenever a membership or invite changes.
+  const reloadCollections = useCallback(async () => {
+    if (!user) return;
+    try {
+      const data = await fetchCollections(user.id);
+      setCollections(data);
+      // Access to the collection being viewed may just have been removed
+      setActiveCollection((current) => (data.some((c) => c.id === current) ? current : null));
+    } catch (error) {
+      console.error("Collection load failed:", error);
+      setCollections(await readOfflineCollections().catch(() => []));
+    }
+  }, [user]);
+
+  const reloadInvites = useCallback(async () => {
+    if (!user) return;
+    try {
+      setInvites(await fetchMyInvites(user.email));
+    } catch (error) {
+      console.error("Invite load failed:", error);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    reloadCollections();
+    reloadInvites();
+  }, [reloadCollections, reloadInvites, online]);
+
+  // Refresh the offline copy when online (at most every few minutes; realtime
+  // keeps it current in between); offline, show how old it is
+  useEffect(() => {
+    if (!user) return;
+    (online ? syncOfflineCopy(user.id) : Promise.resolve())
+      .then(readSyncInfo)
+      .then((info) => setOfflineSyncedAt(info?.userId === user.id ? info.syncedAt : null))
+      .catch((error) => console.error("Offline sync failed:", error));
+  }, [user, online]);
+
+  useEffect(() => {
+    if (user && online) saveOfflineCollections(collections).catch(() => {});
+  }, [user, online, collections]);
+
+  // Collections owned by someone else; their rows come in on top of the
+  // user's own in counts and realtime
+  const sharedKey = useMemo(
+    () => collections.filter((c) => c.role !== "owner").map((c) => c.id).join(","),
+    [collections]
+  );
+
+  // Bookmark pages are loaded by loadPage; here only the counts
+  useEffect(() => {
+    if (!user) return;
+    const load = online
+      ? fetchBookmarkFacets(user.id, sharedKey ? sharedKey.split(",") : [])
+      : readOfflineBookmarks(user.id);
+    load.then(setLoadedFacets).catch((error) => console.error("Facet load failed:", error));
+  }, [user, sharedKey, online]);
+
+  // A change to one bookmark, from realtime or from a replayed queued write
+  // (whose realtime echo then changes nothing)
+  const applyBookmarkChange = useCallback((payload) => {
+    if (!user) return;
+    applyOfflineChange(payload, user.id).catch((error) => console.error("Offline copy update failed:", error));
+    setLoadedFacets((prev) => applyFacetChange(prev, payload));
+    setLoadedBookmarks((prev) =>
+      applyRealtimeChange(prev, payload, {
+        filters: filtersRef.current,
+        cursor: cursorRef.current,
+        hasMore: hasMoreRef.current,
+        userId: user.id,
+      })
+    );
   }, [user]);
 
+  const onCollectionChange = useCallback((payload) => {
+    if (!user) return;
+    const { eventType, new: newRecord, old: oldRecord } = payload;
+    setCollections((prev) => {
+      if (eventType === "INSERT") {
+        if (prev.find((c) => c.id === newRecord.id)) return prev;
+        return [...prev, withRole(newRecord, user.id)].sort((a, b) => a.name.localeCompare(b.name));
+      }
+      if (eventType === "UPDATE") {
+        return prev.map((c) => (c.id === newRecord.id ? { ...c, ...newRecord } : c));
+      }
+      if (eventType === "DELETE") {
+        return prev.filter((c) => c.id !== oldRecord.id);
+      }
+      return prev;
+    });
+    if (eventType === "DELETE") {
+      setActiveCollection((current) => (current === oldRecord.id ? null : current));
+    }
+  }, [user]);
+
+  // Back from a disconnect: the missed rows were replayed; counts are
+  // refetched, loaded rows purged meanwhile (no `updated_at` left to find)
+  // dropped, and collections and invites reloaded
+  useEffect(() => {
+    loadedRef.current = loadedBookmarks;
+  }, [loadedBookmarks]);
+
+  const onResync = useCallback(async () => {
+    if (!user) return;
+    reloadCollections();
+    reloadInvites();
+    try {
+      setLoadedFacets(await fetchBookmarkFacets(user.id, sharedKey ? sharedKey.split(",") : []));
+      const ids = loadedRef.current.map((b) => b.id).filter((id) => !isLocalId(id));
+      const existing = await fetchExistingIds(ids);
+      setLoadedBookmarks((prev) => prev.filter((b) => existing.has(b.id) || !ids.includes(b.id)));
+    } catch (error) {
+      console.error("Resync refresh failed:", error);
+    }
+  }, [user, sharedKey, reloadCollections, reloadInvites]);
+
+  // Real-time sync: one channel shared by every open tab, reconnected with
+  // backoff and resynced after each drop (lib/realtimeSync.js)
+  useEffect(() => {
+    if (!user) return;
+    const sync = startRealtimeSync({
+      userId: user.id,
+      sharedIds: sharedKey ? sharedKey.split(",") : [],
+      handlers: {
+        onBookmarkChange: applyBookmarkChange,
+        onCollectionChange,
+        onMembersChange: reloadCollections,
+        onInvitesChange: reloadInvites,
+        onStatus: setRealtimeStatus,
+        onResync,
+      },
+    });
+    return () => sync.close();
+  }, [user, sharedKey, reloadCollections, reloadInvites, applyBookmarkChange, onCollectionChange, onResync]);
+
+  // 📄 Server-side pagination: first page on filter change, then cursor pages
+  const filters = useMemo(
+    () => ({
+      search: debouncedSearch,
+      tag: activeTag,
+      collectionId: activeCollection,
+      brokenOnly,
+      trash: showTrash,
+    }),
+    [debouncedSearch, activeTag, activeCollection, brokenOnly, showTrash]
+  );
+
+  useEffect(() => {
+    filtersRef.current = filters;
+  }, [filters]);
+
+  const bookmarks = useMemo(
+    () => applyPending(loadedBookmarks, queue.entries, { filters, userId: user?.id }),
+    [loadedBookmarks, queue.entries, filters, user]
+  );
+  const facets = useMemo(
+    () => applyPending(loadedFacets, queue.entries, { userId: user?.id }),
+    [loadedFacets, queue.entries, user]
+  );
+
+  // ✈️ Saves and deletes wait in the write queue, persisted per user and
+  // shared by every open tab, and replay in order: at once when online, once
+  // back online otherwise
+  useEffect(() => {
+    if (!user) return;
+    queueRef.current = loadQueue(user.id);
+    setQueue(queueRef.current);
+    return watchQueue(user.id, (stored) => {
+      queueRef.current = stored;
+      setQueue(stored);
+    });
+  }, [user]);
+
+  // Always applied to the stored queue, so changes from other tabs survive
+  const updateQueue = useCallback((change) => {
+    const stored = loadQueue(user.id);
+    queueRef.current = change(stored);
+    if (queueRef.current !== stored) saveQueue(user.id, queueRef.current);
+    setQueue(queueRef.current);
+  }, [user]);
+
+  const enqueueWrite = useCallback((entry) => updateQueue((current) => enqueue(current, entry)), [updateQueue]);
+
+  const replayQueue = useCallback(async () => {
+    let entry;
+    while ((entry = loadQueue(user.id).entries[0]) && navigator.onLine) {
+      updateQueue((stored) => markInFlight(stored, entry.id));
+      let outcome;
+      try {
+        outcome = await replayEntry(entry, { userId: user.id });
+      } catch (error) {
+        // Kept for later; offline, coming back online is the next try
+        if (isRetryable(error)) {
+          console.warn("Queued change will be retried:", error);
+          if (navigator.onLine) updateQueue((stored) => scheduleRetry(stored));
+          break;
+        }
+        // Settling with no outcome drops the entry: the card rolls back
+        console.error("Queued change failed:", error);
+        toast.error(`${REPLAY_FAILURES[entry.type]}: "${entry.label?.title || entry.fields?.title || "bookmark"}"`);
+        if (entry.type === "create") {
+          setWebResults((prev) =>
+            prev.map((r) => (r.bookmarkId === entry.bookmarkId ? { ...r, saved: false, bookmarkId: null } : r))
+          );
+        }
+        outcome = {};
+      }
+      if (outcome.warning) toast(`Saved without page details: ${outcome.warning}`, { icon: "⚠️" });
+      if (outcome.row) {
+        applyBookmarkChange({ eventType: entry.type === "create" ? "INSERT" : "UPDATE", new: outcome.row });
+      }
+      if (outcome.removed) applyBookmarkChange({ eventType: "DELETE", old: { id: outcome.removed } });
+      if (outcome.conflict) toast("A change made offline conflicts with another device", { icon: "⚠️" });
+      updateQueue((stored) => settleEntry(stored, entry, outcome));
+    }
+    updateQueue((stored) => markInFlight(stored, null));
+  }, [user, applyBookmarkChange, updateQueue]);
+
+  // One tab replays at a time; while another one is, check back shortly in
+  // case it finished before seeing this tab's latest change. After a
+  // retryable failure every tab waits until `retry.at`.
+  const flushQueue = useCallback(async () => {
+    if (flushingRef.current) return;
+    clearTimeout(flushTimerRef.current);
+    const waitUntil = (at) => (flushTimerRef.current = setTimeout(flushQueue, Math.max(0, at - Date.now())));
+
+    const { retry } = loadQueue(user.id);
+    if (retry && retry.at > Date.now()) {
+      waitUntil(retry.at);
+      return;
+    }
+    flushingRef.current = true;
+    try {
+      const replayed = await withReplayLock(user.id, replayQueue);
+      const stored = loadQueue(user.id);
+      if (!replayed) waitUntil(Date.now() + 3000);
+      else if (stored.entries.length && stored.retry) waitUntil(stored.retry.at);
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [user, replayQueue]);
+
+  // Back online: try at once instead of waiting out the backoff
+  useEffect(() => {
+    if (user && online) updateQueue(clearRetry);
+  }, [user, online, updateQueue]);
+
+  useEffect(() => {
+    if (user && online && queue.entries.length) flushQueue();
+  }, [user, online, queue.entries.length, flushQueue]);
+
+  useEffect(() => () => clearTimeout(flushTimerRef.current), []);
+
+  const loadPage = useCallback(async ({ reset = false } = {}) => {
+    if (!user) return;
+    const requestId = ++requestIdRef.current;
+    loadingRef.current = true;
+    setLoadingPage(true);
+
+    try {
+      const result = online
+        ? await fetchBookmarksPage({
+            userId: user.id,
+            cursor: reset ? null : cursorRef.current,
+            ...filters,
+          })
+        : await readOfflinePage(user.id, filters);
+      // A newer request (e.g. the user kept typing) supersedes this one
+      if (requestId !== requestIdRef.current) return;
+
+      cursorRef.current = result.nextCursor;
+      hasMoreRef.current = result.hasMore;
+      setHasMore(result.hasMore);
+      setLoadedBookmarks((prev) => (reset ? result.rows : appendPage(prev, result.rows)));
+    } catch (error) {
+      console.error("Load bookmarks failed:", error);
+      // Going offline mid-request: the "offline" event reloads from the copy
+      if (requestId === requestIdRef.current && navigator.onLine) toast.error("Failed to load bookmarks");
+    } finally {
+      if (requestId === requestIdRef.current) {
+        loadingRef.current = false;
+        setLoadingPage(false);
+      }
+    }
+  }, [user, filters, online]);
+
+  const loadMore = useCallback(() => {
+    if (loadingRef.current || !hasMoreRef.current) return;
+    loadPage();
+  }, [loadPage]);
+
+  useEffect(() => {
+    loadPage({ reset: true });
+  }, [loadPage]);
+
+  // 🗑 Opening the trash also clears out anything past the retention period
+  // (the scheduled /api/trash/purge does the same for every user); the
+  // purged rows leave the view as realtime DELETE events.
+  useEffect(() => {
+    if (!user || !showTrash) return;
+    purgeExpiredTrash().catch((error) => console.error("Trash purge failed:", error));
+  }, [user, showTrash]);
+
+  // Infinite scroll: load the next page when the sentinel scrolls into view
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !hasMore) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+    // Re-observe after each page so a still-visible sentinel triggers again
+  }, [hasMore, loadMore, bookmarks.length]);
+
   const handleUrlChange = async (newUrl) => {
     setUrl(newUrl);
     
@@ -180,16 +696,43 @@ export default function Home() {
     setEditingId(null);
     setTitle("");
     setUrl("");
+    setTagsInput("");
+    setCollectionName("");
+    setRefreshDetails(false);
     setShowForm(false);
   }, []);
 
+  // Find the collection by name (case-insensitive) or create it on the fly.
+  // Own collections win over shared ones; read-only ones never match.
+  const resolveCollectionId = async (name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return null;
+
+    const existing = findCollectionByName(collections, trimmed);
+    if (existing) return existing.id;
+
+    const { data, error } = await supabase
+      .from("collections")
+      .insert([{ name: trimmed, user_id: user.id }])
+      .select()
+      .single();
+    if (error) throw error;
+
+    setCollections((prev) =>
+      prev.find((c) => c.id === data.id)
+        ? prev
+        : [...prev, withRole(data, user.id)].sort((a, b) => a.name.localeCompare(b.name))
+    );
+    return data.id;
+  };
+
+  // ⚡ Every save goes through the write queue (lib/writeQueue.js): the card
+  // changes at once; page details, the reader snapshot and a newly typed
+  // collection are filled in as it replays, and a failed save rolls back.
   const handleSave = async () => {
-    if (!title.trim() || !url.trim()) {
-      toast.error("Fill all fields");
-      return;
-    }
-    if (!isValidUrl(url)) {
-      toast.error("Invalid URL");
+    const { errors } = validateBookmarkInput({ title, url });
+    if (errors.length) {
+      toast.error(errors[0].message);
       return;
     }
     const now = Date.now();
@@ -199,75 +742,117 @@ export default function Home() {
     }
     lastSaveTime = now;
 
-    if (editingId) {
-      const { error } = await supabase
-        .from("bookmarks")
-        .update({ title, url })
-        .eq("id", editingId);
-      if (error) toast.error("Update failed");
-      else {
-        toast.success("Updated!");
-        resetForm();
+    const original = editingId && bookmarks.find((b) => b.id === editingId);
+
+    // 🧹 Warn before saving the same page twice (http/https, www, utm_*, ...).
+    // Offline, or for a match only the canonical URL reveals, the replay
+    // asks instead (a sync conflict).
+    let allowDuplicate = false;
+    if (navigator.onLine && (!original || normalizeUrl(original.url) !== normalizeUrl(url))) {
+      try {
+        const duplicate = await findDuplicate({ userId: user.id, url, excludeId: original ? serverId(original.id) : null });
+        if (
+          duplicate &&
+          !(await confirmToast(`Already saved as "${duplicate.title}". Save anyway?`, {
+            confirmLabel: "Save anyway",
+          }))
+        ) {
+          return;
+        }
+        allowDuplicate = Boolean(duplicate);
+      } catch (error) {
+        console.error("Duplicate check failed:", error);
       }
-    } else {
-      const { error } = await supabase
-        .from("bookmarks")
-        .insert([{ title, url, user_id: user.id }]);
-      if (error) toast.error("Add failed");
-      else {
-        toast.success("Added!");
-        resetForm();
+    }
+
+    const existing = findCollectionByName(collections, collectionName);
+    const fields = {
+      title,
+      url,
+      tags: parseTags(tagsInput),
+      ...(collectionName.trim() && !existing
+        ? { collection_name: collectionName.trim() }
+        : { collection_id: existing?.id || null }),
+    };
+
+    if (original) {
+      // Only what the user changed, so edits elsewhere to other fields survive
+      const changed = Object.fromEntries(
+        Object.entries(fields).filter(([field, value]) => JSON.stringify(original[field] ?? null) !== JSON.stringify(value))
+      );
+      if (Object.keys(changed).length || refreshDetails) {
+        enqueueWrite({
+          type: "update",
+          bookmarkId: original.id,
+          fields: changed,
+          base: Object.fromEntries(Object.keys(fields).map((field) => [field, original[field] ?? null])),
+          label: { title: original.title, url: original.url },
+          // Only refetch when the URL changed or "Refresh page details" is
+          // ticked (which also skips the server-side metadata cache)
+          fetchDetails: original.url !== url,
+          refresh: refreshDetails,
+        });
       }
+    } else {
+      enqueueWrite({
+        type: "create",
+        bookmarkId: newLocalId(),
+        fields,
+        fetchDetails: true,
+        ...(allowDuplicate && { ifDuplicate: "save" }),
+      });
     }
+    if (!navigator.onLine) toast.success("Saved offline — will sync when you're back online");
+    else toast.success(original ? "Updated!" : "Added!");
+    resetForm();
   };
 
-  const handleWebSearch = async () => {
-    if (!webSearch.trim()) {
+  // `more` appends the next page of the current search (same query/filters)
+  const handleWebSearch = async ({ more = false } = {}) => {
+    const request = more ? webQueryRef.current : { q: webSearch.trim(), ...webFilters };
+    if (!request?.q) {
       toast.error("Enter a search term");
       return;
     }
 
     setIsSearching(true);
-    setWebResults([]); // Clear previous results
-    
+
     try {
-      console.log('Making search request...');
-      const response = await fetch(`/api/search?q=${encodeURIComponent(webSearch)}`);
-      
-      console.log('Response status:', response.status);
-      console.log('hello');
-      
+      const params = new URLSearchParams({ q: request.q });
+      for (const key of ["site", "time", "lang"]) {
+        if (request[key]) params.set(key, request[key]);
+      }
+      if (more) params.set("offset", String(webNextOffset));
+
+      const response = await authFetch(`/api/search?${params}`);
       const data = await response.json();
-      console.log('Response data:', data);
-      
+
       if (!response.ok) {
-        // Handle error but still show helpful info
         console.error('Search API error:', data);
-        
-        if (data.warning) {
-          toast(data.warning, { duration: 4000 });
-        } else {
-          toast.error(data.error || 'Search failed');
-        }
-        
-        // Still show results if available (mock results)
-        if (data.results && data.results.length > 0) {
-          setWebResults(data.results);
-        }
+        toast.error(data.error || 'Search failed');
         return;
       }
-      
-      if (data.results && data.results.length > 0) {
-        setWebResults(data.results);
-        
-        if (data.warning) {
-          toast(data.warning, { icon: '⚠️', duration: 4000 });
-        } else {
-          toast.success(`Found ${data.results.length} results`);
-        }
+
+      webQueryRef.current = request;
+      setWebNextOffset(data.nextOffset ?? null);
+
+      const results = data.results || [];
+      if (more) {
+        // Providers page independently, so a later page can repeat a URL
+        setWebResults((prev) => {
+          const seen = new Set(prev.map((r) => normalizeUrl(r.url)));
+          return [...prev, ...results.filter((r) => !seen.has(normalizeUrl(r.url)))];
+        });
+      } else {
+        setWebResults(results);
+      }
+
+      if (data.warning) {
+        toast(data.warning, { icon: '⚠️', duration: 4000 });
+      } else if (results.length > 0) {
+        if (!more) toast.success(`Found ${results.length} results`);
       } else {
-        toast.error("No results found");
-        setWebResults([]);
+        toast.error(more ? "No more results" : "No results found");
       }
     } catch (error) {
       console.error("Search error:", error);
@@ -277,36 +862,365 @@ export default function Home() {
     }
   };
 
+  // Keep the result in the list, flagged, so "load more" doesn't shift it
+  const markWebResultSaved = (url, bookmarkId) =>
+    setWebResults((prev) =>
+      prev.map((r) => (r.url === url ? { ...r, saved: true, bookmarkId } : r))
+    );
+
   const addFromSearch = async (result) => {
-    const { error } = await supabase
-      .from("bookmarks")
-      .insert([{ 
-        title: result.title, 
-        url: result.url, 
-        user_id: user.id 
-      }]);
-    
-    if (error) {
-      console.error("Add error:", error);
-      toast.error("Failed to add bookmark");
-    } else {
-      toast.success("Bookmark added!");
-      setWebResults(webResults.filter(r => r.url !== result.url));
+    if (navigator.onLine) {
+      try {
+        const duplicate = await findDuplicate({ userId: user.id, url: result.url });
+        if (duplicate) {
+          toast(`Already saved as "${duplicate.title}"`, { icon: "🔁" });
+          markWebResultSaved(result.url, duplicate.id);
+          return;
+        }
+      } catch (error) {
+        console.error("Duplicate check failed:", error);
+      }
     }
+
+    const bookmarkId = newLocalId();
+    enqueueWrite({
+      type: "create",
+      bookmarkId,
+      fields: { title: result.title, url: result.url, description: result.description || null },
+      // Saved meanwhile (or offline, before the check could run): counts as saved
+      ifDuplicate: "skip",
+    });
+    toast.success(navigator.onLine ? "Bookmark added!" : "Added offline — will sync when you're back online");
+    markWebResultSaved(result.url, bookmarkId);
   };
 
   const startEdit = useCallback((bookmark) => {
     setEditingId(bookmark.id);
     setTitle(bookmark.title);
     setUrl(bookmark.url);
+    setTagsInput(formatTags(bookmark.tags));
+    setCollectionName(
+      collections.find((c) => c.id === bookmark.collection_id)?.name || ""
+    );
     setShowForm(true);
     setShowWebSearch(false);
-  }, []);
+    setShowImport(false);
+    setShowDuplicates(false);
+  }, [collections]);
+
+  // 🕘 Revert goes through updateBookmark like a form save, so it is itself
+  // recorded in the history and reaches other tabs as a realtime UPDATE
+  const revertRevision = async (revision) => {
+    const current = bookmarks.find((b) => b.id === revision.bookmark_id) || historyBookmark;
+    const { fields, skipped } = revertFields(revision, current, editableCollections);
+    try {
+      await updateBookmark(revision.bookmark_id, fields);
+      toast.success("Reverted");
+      if (skipped.length) {
+        toast(`Not reverted: ${skipped.map((f) => REVISION_FIELDS[f]).join(", ")} (no longer available)`, { icon: "⚠️" });
+      }
+    } catch (error) {
+      console.error("Revert error:", error);
+      toast.error("Revert failed");
+    }
+  };
+
+  // 🗑 Deleting moves to the trash; the toast's Undo takes the rows back out
+  const undoDelete = async (ids) => {
+    try {
+      await restoreBookmarks(ids);
+      toast.success("Restored");
+    } catch (error) {
+      console.error("Restore error:", error);
+      toast.error("Restore failed");
+    }
+  };
+
+  // Undo takes a delete that hasn't replayed yet back off the queue, or the
+  // row back out of the trash; a bookmark that never reached the server is
+  // simply gone
+  const deleteBookmark = (id) => {
+    const row = bookmarks.find((b) => b.id === id);
+    enqueueWrite({ type: "delete", bookmarkId: id, label: { title: row?.title, url: row?.url } });
+    const entry = queueRef.current.entries.findLast((e) => e.type === "delete" && e.bookmarkId === id);
+    if (!entry) {
+      toast.success("Deleted");
+      return;
+    }
+    undoToast("Deleted", () => {
+      const stored = loadQueue(user.id);
+      if (stored.inFlight !== entry.id && stored.entries.some((e) => e.id === entry.id)) {
+        updateQueue((current) => dequeue(current, entry.id));
+      } else {
+        undoDelete([serverId(id)]);
+      }
+    });
+  };
+
+  const restoreFromTrash = async (id) => {
+    try {
+      await restoreBookmarks([id]);
+      toast.success("Restored");
+    } catch (error) {
+      console.error("Restore error:", error);
+      toast.error("Restore failed");
+    }
+  };
+
+  const purgeFromTrash = async (bookmark) => {
+    if (!(await confirmToast(`Delete "${bookmark.title}" forever?`, { confirmLabel: "Delete forever" }))) return;
+    try {
+      await purgeBookmarks([bookmark.id]);
+      toast.success("Deleted forever");
+    } catch (error) {
+      console.error("Purge error:", error);
+      toast.error("Delete failed");
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!(await confirmToast("Delete everything in the trash forever?", { confirmLabel: "Empty trash" }))) return;
+    try {
+      const rows = await fetchAllBookmarks({ userId: user.id, trash: true });
+      const purged = await purgeBookmarks(rows.map((b) => b.id));
+      toast.success(`Deleted ${plural(purged.length, "bookmark")} forever`);
+    } catch (error) {
+      console.error("Empty trash error:", error);
+      toast.error("Could not empty the trash");
+    }
+  };
+
+  const toggleTrash = () => {
+    exitSelection();
+    setShowTrash((prev) => !prev);
+  };
+
+  // 📤 Export: the server streams the file; the browser saves it as a download
+  const exportBookmarks = async (format) => {
+    const params = new URLSearchParams({ format });
+    if (exportViewOnly) {
+      if (filters.search) params.set("q", filters.search);
+      if (filters.tag) params.set("tag", filters.tag);
+      if (filters.collectionId) params.set("collection", filters.collectionId);
+    }
+
+    setExporting(true);
+    try {
+      const response = await authFetch(`/api/export?${params}`);
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Export failed (${response.status})`);
+      }
+      const blob = await response.blob();
+      const filename =
+        response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] ||
+        `bookmarks.${format}`;
+      saveFile(blob, filename);
+      setShowExport(false);
+      toast.success("Export ready");
+    } catch (error) {
+      console.error("Export error:", error);
+      toast.error(error.message || "Export failed");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // 🩺 Re-check stale links in batches; cards update through realtime
+  const checkLinks = async () => {
+    setCheckingLinks(true);
+    const toastId = toast.loading("Checking links...");
+    try {
+      const { checked, broken } = await runLinkCheck({
+        userId: user.id,
+        onProgress: (done, total) =>
+          toast.loading(`Checking links... ${done}/${total}`, { id: toastId }),
+      });
+      if (checked === 0) toast.success("All links were checked recently", { id: toastId });
+      else if (broken) toast.error(`${broken} of ${checked} links look broken`, { id: toastId });
+      else toast.success(`All ${checked} links OK`, { id: toastId });
+    } catch (error) {
+      console.error("Link check error:", error);
+      toast.error(error.message || "Link check failed", { id: toastId });
+    } finally {
+      setCheckingLinks(false);
+    }
+  };
+
+  // Replace the stored URL with where it now redirects to
+  // Move to the redirect target with that page's details; a page that can't
+  // be read has its old details cleared rather than kept
+  const acceptRedirect = async (bookmark) => {
+    const url = bookmark.link_final_url;
+    const metadata = await fetchPageMetadata(url);
+    const details = metadata?.error ? pickMetadata(null) : pickMetadata(metadata);
+    try {
+      const row = await updateBookmark(bookmark.id, {
+        url,
+        ...(!metadata?.error && metadata.title && { title: metadata.title }),
+        ...details,
+        normalized_url: canonicalKey(url, details.canonical_url),
+        link_final_url: null,
+      });
+      applyBookmarkChange({ eventType: "UPDATE", new: row });
+      toast.success("URL updated");
+    } catch (error) {
+      console.error("Redirect update failed:", error);
+      toast.error("Update failed");
+    }
+  };
+
+  // ☑️ Selection mode: click toggles a card, shift-click selects the range
+  // from the previous click. `selected` maps id → row so a selection can
+  // include rows beyond the loaded pages ("Select all matching").
+  const toggleSelected = (bookmark, shiftKey) => {
+    const ids = bookmarks.map((b) => b.id);
+    const anchor = ids.indexOf(selectionAnchorRef.current);
+    const index = ids.indexOf(bookmark.id);
+
+    setSelected((prev) => {
+      const next = new Map(prev);
+      if (shiftKey && anchor !== -1) {
+        const [from, to] = anchor < index ? [anchor, index] : [index, anchor];
+        for (const b of bookmarks.slice(from, to + 1)) if (!isLocalId(b.id)) next.set(b.id, b);
+      } else if (next.has(bookmark.id)) {
+        next.delete(bookmark.id);
+      } else {
+        next.set(bookmark.id, bookmark);
+      }
+      return next;
+    });
+    selectionAnchorRef.current = bookmark.id;
+  };
+
+  const selectAllMatching = async () => {
+    setBulkBusy(true);
+    try {
+      const rows = await fetchAllBookmarks({ userId: user.id, ...filters });
+      setSelected(new Map(rows.map((b) => [b.id, b])));
+      toast.success(`Selected ${plural(rows.length, "bookmark")}`);
+    } catch (error) {
+      console.error("Select all error:", error);
+      toast.error("Could not load every match");
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const exitSelection = () => {
+    setSelecting(false);
+    setSelected(new Map());
+    selectionAnchorRef.current = null;
+  };
+
+  // Prefer the loaded copy of each row — realtime keeps that one current
+  const selectedRows = () => {
+    const loaded = new Map(bookmarks.map((b) => [b.id, b]));
+    return [...selected.keys()].map((id) => loaded.get(id) || selected.get(id));
+  };
 
-  const deleteBookmark = async (id) => {
-    const { error } = await supabase.from("bookmarks").delete().eq("id", id);
-    if (error) toast.error("Delete failed");
-    else toast.success("Deleted");
+  // One patch_bookmarks call, one toast, undo restores the previous values
+  const applyBulkPatch = async (patches, { running, done }) => {
+    if (patches.length === 0) return;
+    setBulkBusy(true);
+    const progress = progressToast(`${running} ${plural(patches.length, "bookmark")}...`);
+    try {
+      const undo = await patchBookmarks(patches);
+      progress.done(`${done} ${plural(patches.length, "bookmark")}`, {
+        onUndo: async () => {
+          const undoing = progressToast("Undoing...");
+          try {
+            await patchBookmarks(undo);
+            undoing.done("Undone");
+          } catch (error) {
+            console.error("Bulk undo error:", error);
+            undoing.error("Undo failed");
+          }
+        },
+      });
+    } catch (error) {
+      console.error("Bulk update error:", error);
+      progress.error(`${running} failed`);
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const bulkDeleteSelected = async () => {
+    const ids = [...selected.keys()];
+    setBulkBusy(true);
+    const progress = progressToast(`Deleting ${plural(ids.length, "bookmark")}...`);
+    try {
+      const deleted = await trashBookmarks(ids);
+      setSelected(new Map());
+      progress.done(`Deleted ${plural(deleted.length, "bookmark")}`, {
+        onUndo: () => undoDelete(deleted.map((b) => b.id)),
+      });
+    } catch (error) {
+      console.error("Bulk delete error:", error);
+      progress.error("Delete failed");
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const bulkMove = async (name) => {
+    let collectionId;
+    try {
+      collectionId = await resolveCollectionId(name);
+    } catch (error) {
+      console.error("Collection error:", error);
+      toast.error("Could not create collection");
+      return;
+    }
+    await applyBulkPatch(movePatches(selectedRows(), collectionId), { running: "Moving", done: "Moved" });
+  };
+
+  const bulkRefreshMetadata = async () => {
+    const rows = selectedRows();
+    setBulkBusy(true);
+    const progress = progressToast(`Refreshing metadata 0/${rows.length}...`);
+    try {
+      const patches = await refreshMetadataPatches(rows, (done, total) =>
+        progress.update(`Refreshing metadata ${done}/${total}...`)
+      );
+      if (patches.length === 0) {
+        progress.error("No page could be read");
+        return;
+      }
+      const undo = await patchBookmarks(patches);
+      const skipped = rows.length - patches.length;
+      progress.done(
+        `Refreshed ${plural(patches.length, "bookmark")}${skipped ? ` (${skipped} unreachable)` : ""}`,
+        { onUndo: () => patchBookmarks(undo).catch((error) => {
+          console.error("Bulk undo error:", error);
+          toast.error("Undo failed");
+        }) }
+      );
+    } catch (error) {
+      console.error("Bulk refresh error:", error);
+      progress.error("Refresh failed");
+    } finally {
+      setBulkBusy(false);
+    }
+  };
+
+  const bulkCopyMarkdown = async () => {
+    const rows = selectedRows();
+    try {
+      await navigator.clipboard.writeText(toMarkdownList(rows));
+      toast.success(`Copied ${plural(rows.length, "link")} as Markdown`);
+    } catch (error) {
+      console.error("Copy error:", error);
+      toast.error("Copy failed");
+    }
+  };
+
+  const bulkExport = (format) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const text = renderExport(format, selectedRows(), collections);
+    saveFile(new Blob([text], { type: contentType }), `bookmarks-selection.${extension}`);
+    toast.success("Export ready");
   };
 
   const copyLink = useCallback((url) => {
@@ -315,6 +1229,17 @@ export default function Home() {
   }, []);
 
   const logout = async () => {
+    const unsynced = queueRef.current.entries.length;
+    if (
+      unsynced &&
+      !(await confirmToast(`${plural(unsynced, "change")} made offline haven't synced yet and will be lost. Log out anyway?`, {
+        confirmLabel: "Log out",
+      }))
+    ) {
+      return;
+    }
+    clearQueue(user.id);
+    await clearOfflineCopy().catch(() => {});
     await supabase.auth.signOut();
     router.push("/login");
   };
@@ -325,33 +1250,109 @@ export default function Home() {
     } else {
       setShowForm(true);
       setShowWebSearch(false);
+      setShowImport(false);
+      setShowDuplicates(false);
     }
   }, [showForm, resetForm]);
 
   const handleSearchWebClick = useCallback(() => {
     setShowWebSearch(prev => !prev);
     setShowForm(false);
+    setShowImport(false);
+    setShowDuplicates(false);
     setWebResults([]);
   }, []);
 
+  const handleImportClick = useCallback(() => {
+    setShowImport(prev => !prev);
+    setShowForm(false);
+    setShowWebSearch(false);
+    setShowDuplicates(false);
+  }, []);
+
+  const handleDuplicatesClick = useCallback(() => {
+    setShowDuplicates(prev => !prev);
+    setShowForm(false);
+    setShowWebSearch(false);
+    setShowImport(false);
+  }, []);
+
   // 🔥 PERFORMANCE FIX: Optimize dark mode toggle with useCallback
   const toggleDarkMode = useCallback(() => {
     setDark(prev => !prev);
   }, []);
 
   // 🔥 CRITICAL: All hooks must be called BEFORE any conditional returns
-  // Use debounced search for filtering (client-side)
-  const filtered = useMemo(() => 
-    bookmarks.filter((b) =>
-      b.title.toLowerCase().includes(debouncedSearch.toLowerCase())
-    ),
-    [bookmarks, debouncedSearch]
-  );
 
-  const paginated = useMemo(() => 
-    filtered.slice(0, page * PAGE_SIZE),
-    [filtered, page]
+  // 🏷 Tag / collection counts for the filter bar (facets cover every bookmark,
+  // not just the loaded pages, and follow every realtime change)
+  // Tags only count the user's own bookmarks (the unfiltered view);
+  // collection counts include what others added to shared collections
+  const tagCounts = useMemo(
+    () => countTags(facets.filter((f) => f.user_id === user?.id)),
+    [facets, user]
+  );
+  const collectionCounts = useMemo(() => countCollections(facets), [facets]);
+  const collectionsById = useMemo(
+    () => new Map(collections.map((c) => [c.id, c])),
+    [collections]
   );
+  const editableCollections = useMemo(() => collections.filter(canEditCollection), [collections]);
+  // user_id → email of everyone the user shares a collection with
+  const memberEmails = useMemo(
+    () => new Map(collections.flatMap((c) => c.members.map((m) => [m.user_id, m.email]))),
+    [collections]
+  );
+  const currentCollection = collectionsById.get(activeCollection) || null;
+
+  // What "Publish" would put on a public page: the selected collection if the
+  // user owns it, otherwise the selected tag
+  const publishTarget = useMemo(() => {
+    if (currentCollection?.role === "owner") {
+      return { collectionId: currentCollection.id, name: currentCollection.name };
+    }
+    if (activeTag && !activeCollection) return { tag: activeTag, name: `#${activeTag}` };
+    return null;
+  }, [currentCollection, activeTag, activeCollection]);
+
+  // Mirrors the RLS policies: own rows, or rows in a collection the user edits
+  const canEdit = (b) =>
+    b.user_id === user?.id || canEditCollection(collectionsById.get(b.collection_id));
+
+  const selectTag = (tag) => {
+    setActiveTag((current) => (current === tag ? null : tag));
+    setShowPublish(false);
+  };
+
+  const selectCollection = (id) => {
+    setActiveCollection((current) => (current === id ? null : id));
+    setShowShare(false);
+    setShowPublish(false);
+  };
+
+  const answerInvite = async (invite, accept) => {
+    try {
+      if (accept) await acceptInvite(invite.id);
+      else await deleteInvite(invite.id);
+      toast.success(accept ? `Joined ${invite.collection_name}` : "Invite declined");
+      await Promise.all([reloadInvites(), accept && reloadCollections()]);
+    } catch (error) {
+      console.error("Invite error:", error);
+      toast.error(error.message || "Could not answer the invite");
+    }
+  };
+
+  const leaveCollection = async (collection) => {
+    if (!(await confirmToast(`Leave "${collection.name}"? Its bookmarks will disappear from your dashboard.`, { confirmLabel: "Leave" }))) return;
+    try {
+      await removeMember(collection.id, user.id);
+      toast.success(`Left ${collection.name}`);
+      await reloadCollections();
+    } catch (error) {
+      console.error("Leave error:", error);
+      toast.error("Could not leave the collection");
+    }
+  };
 
   // Early return AFTER all hooks
   if (!user) return null;
@@ -382,8 +1383,15 @@ export default function Home() {
               <div className="text-sm font-semibold text-gray-800 dark:text-gray-100">
                 {user.email}
               </div>
-              <div className="text-xs text-gray-600 dark:text-gray-400">
-                {bookmarks.length} bookmark{bookmarks.length !== 1 ? 's' : ''}
+              <div className="text-xs text-gray-600 dark:text-gray-400 flex items-center gap-2">
+                {facets.length} bookmark{facets.length !== 1 ? 's' : ''}
+                <span
+                  className="inline-flex items-center gap-1"
+                  title="Realtime updates from your other tabs and devices"
+                >
+                  <span className={`w-2 h-2 rounded-full ${REALTIME_STATUS[realtimeStatus].dot}`} />
+                  {REALTIME_STATUS[realtimeStatus].label}
+                </span>
               </div>
             </div>
           </div>
@@ -402,6 +1410,13 @@ export default function Home() {
               {dark ? <>☀️ Light</> : <>🌙 Dark</>}
             </button>
 
+            <Link
+              href="/settings"
+              className="px-5 py-2 rounded-full text-sm font-medium bg-gray-200/90 text-gray-800 hover:bg-gray-300 border border-gray-300 dark:bg-gray-700/90 dark:text-gray-100 dark:hover:bg-gray-600 dark:border-gray-600/50 shadow-sm hover:shadow-md transition-all duration-200"
+            >
+              ⚙️ Settings
+            </Link>
+
             <button
               onClick={logout}
               className="px-5 py-2 bg-rose-600 hover:bg-rose-700 text-white rounded-full text-sm font-medium transition-all duration-200 shadow-sm hover:shadow-md active:scale-95"
@@ -411,18 +1426,49 @@ export default function Home() {
           </div>
         </div>
 
+        {!online && (
+          <div className="mb-6 px-4 py-3 rounded-2xl bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700/60 text-sm text-amber-900 dark:text-amber-100">
+            📴 You&apos;re offline — browsing the copy saved on this device
+            {offlineSyncedAt ? ` (synced ${new Date(offlineSyncedAt).toLocaleString()})` : ""}. Search
+            matches words without ranking; the trash and other people&apos;s bookmarks in shared collections
+            aren&apos;t available.
+            {queue.entries.length > 0 && ` ${plural(queue.entries.length, "change")} will sync when you're back online.`}
+          </div>
+        )}
+
+        {/* Offline changes that conflict with another device's */}
+        <AnimatePresence>
+          {queue.conflicts.length > 0 && (
+            <SyncConflicts
+              conflicts={queue.conflicts}
+              collectionsById={collectionsById}
+              onResolve={(conflict, keepMine) =>
+                updateQueue((current) => resolveConflict(current, conflict.id, keepMine))
+              }
+            />
+          )}
+        </AnimatePresence>
+
+        {/* Invites to shared collections */}
+        <AnimatePresence>
+          {invites.length > 0 && (
+            <CollectionInvites
+              invites={invites}
+              onAccept={(invite) => answerInvite(invite, true)}
+              onDecline={(invite) => answerInvite(invite, false)}
+            />
+          )}
+        </AnimatePresence>
+
         {/* Search with debounce indicator */}
         <div className="relative mb-6">
           <input
-            placeholder="Search bookmarks..."
+            placeholder='Search bookmarks... (try "exact phrase", site:github.com, tag:react)'
             className="w-full md:w-1/2 p-4 rounded-2xl bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 focus:ring-4 focus:ring-blue-400/30 focus:border-blue-500 outline-none transition-colors text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 shadow-sm"
             value={search}
-            onChange={(e) => {
-              setSearch(e.target.value);
-              setPage(1);
-            }}
+            onChange={(e) => setSearch(e.target.value)}
           />
-          {search !== debouncedSearch && (
+          {(search !== debouncedSearch || (loadingPage && bookmarks.length === 0)) && (
             <div className="absolute right-4 top-1/2 -translate-y-1/2 md:right-auto md:left-[calc(50%+0.5rem)]">
               <div className="animate-spin h-5 w-5 border-2 border-blue-600 border-t-transparent rounded-full"></div>
             </div>
@@ -446,8 +1492,85 @@ export default function Home() {
               {showForm ? "Cancel" : "➕ Add Manually"}
             </button>
           )}
+
+          <button
+            onClick={handleImportClick}
+            className="px-6 py-3 rounded-xl font-semibold bg-gradient-to-r from-purple-600 to-fuchsia-600 hover:brightness-110 hover:shadow-xl transition text-white"
+          >
+            {showImport ? "Cancel Import" : "📥 Import"}
+          </button>
+
+          {!showTrash && (
+            <button
+              onClick={() => (selecting ? exitSelection() : setSelecting(true))}
+              className="px-6 py-3 rounded-xl font-semibold bg-gradient-to-r from-indigo-500 to-violet-600 hover:brightness-110 hover:shadow-xl transition text-white"
+            >
+              {selecting ? "Done Selecting" : "☑️ Select"}
+            </button>
+          )}
+
+          <button
+            onClick={handleDuplicatesClick}
+            className="px-6 py-3 rounded-xl font-semibold bg-gradient-to-r from-amber-500 to-orange-600 hover:brightness-110 hover:shadow-xl transition text-white"
+          >
+            {showDuplicates ? "Close Duplicates" : "🧹 Find Duplicates"}
+          </button>
+
+          <button
+            onClick={checkLinks}
+            disabled={checkingLinks}
+            className="px-6 py-3 rounded-xl font-semibold bg-gradient-to-r from-rose-500 to-pink-600 hover:brightness-110 hover:shadow-xl transition text-white disabled:opacity-50"
+          >
+            {checkingLinks ? "Checking..." : "🩺 Check Links"}
+          </button>
+
+          <div className="relative">
+            <button
+              onClick={() => setShowExport((prev) => !prev)}
+              disabled={exporting}
+              className="px-6 py-3 rounded-xl font-semibold bg-gradient-to-r from-slate-600 to-gray-700 hover:brightness-110 hover:shadow-xl transition text-white disabled:opacity-50"
+            >
+              {exporting ? "Exporting..." : "📤 Export"}
+            </button>
+            {showExport && (
+              <div className="absolute z-20 mt-2 w-56 p-2 rounded-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 shadow-xl">
+                {EXPORT_OPTIONS.map(({ format, label }) => (
+                  <button
+                    key={format}
+                    onClick={() => exportBookmarks(format)}
+                    disabled={exporting}
+                    className="w-full text-left px-3 py-2 rounded-lg text-sm text-gray-800 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-700 transition disabled:opacity-50"
+                  >
+                    {label}
+                  </button>
+                ))}
+                <label className="flex items-center gap-2 px-3 pt-2 mt-1 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-600 dark:text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={exportViewOnly}
+                    onChange={(e) => setExportViewOnly(e.target.checked)}
+                  />
+                  Only the current view
+                </label>
+              </div>
+            )}
+          </div>
         </div>
 
+        {/* Duplicates Section */}
+        <AnimatePresence>
+          {showDuplicates && (
+            <DuplicatesPanel userId={user.id} onClose={() => setShowDuplicates(false)} />
+          )}
+        </AnimatePresence>
+
+        {/* Import Section */}
+        <AnimatePresence>
+          {showImport && (
+            <ImportPanel userId={user.id} onClose={() => setShowImport(false)} />
+          )}
+        </AnimatePresence>
+
         {/* Web Search Section */}
         <AnimatePresence>
           {showWebSearch && (
@@ -470,7 +1593,7 @@ export default function Home() {
                   onKeyPress={(e) => e.key === "Enter" && handleWebSearch()}
                 />
                 <button
-                  onClick={handleWebSearch}
+                  onClick={() => handleWebSearch()}
                   disabled={isSearching}
                   className="px-8 py-3 rounded-xl text-white font-semibold bg-gradient-to-r from-emerald-600 to-teal-600 hover:brightness-110 transition disabled:opacity-50"
                 >
@@ -478,6 +1601,34 @@ export default function Home() {
                 </button>
               </div>
 
+              <div className="flex flex-wrap gap-3 mb-4 text-sm">
+                <input
+                  placeholder="Only this site (e.g. github.com)"
+                  className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+                  value={webFilters.site}
+                  onChange={(e) => setWebFilters((f) => ({ ...f, site: e.target.value }))}
+                  onKeyPress={(e) => e.key === "Enter" && handleWebSearch()}
+                />
+                <select
+                  className="px-3 py-2 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white"
+                  value={webFilters.time}
+                  onChange={(e) => setWebFilters((f) => ({ ...f, time: e.target.value }))}
+                >
+                  {WEB_TIME_RANGES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  className="px-3 py-2 rounded-lg bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white"
+                  value={webFilters.lang}
+                  onChange={(e) => setWebFilters((f) => ({ ...f, lang: e.target.value }))}
+                >
+                  {WEB_LANGUAGES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
               {webResults.length > 0 && (
                 <div className="space-y-3 mt-4">
                   <h4 className="font-semibold text-gray-700 dark:text-gray-300">
@@ -485,16 +1636,26 @@ export default function Home() {
                   </h4>
                   {webResults.map((result, idx) => (
                     <motion.div
-                      key={idx}
+                      key={result.url}
                       initial={{ opacity: 0, x: -20 }}
                       animate={{ opacity: 1, x: 0 }}
-                      transition={{ delay: idx * 0.05 }}
+                      transition={{ delay: (idx % 10) * 0.05 }}
                       className="p-4 bg-white dark:bg-gray-900 rounded-xl border border-gray-200 dark:border-gray-700 flex justify-between items-start gap-4"
                     >
                       <div className="flex-1 min-w-0">
                         <h5 className="font-semibold text-gray-900 dark:text-white mb-1">
                           {result.title}
                         </h5>
+                        <div className="flex flex-wrap gap-1 mb-1">
+                          {(result.sources || []).map((source) => (
+                            <span
+                              key={source}
+                              className="px-2 py-0.5 rounded-full text-xs bg-emerald-100 text-emerald-700 dark:bg-emerald-900/60 dark:text-emerald-200"
+                            >
+                              {SEARCH_SOURCES[source] || source}
+                            </span>
+                          ))}
+                        </div>
                         <a
                           href={result.url}
                           target="_blank"
@@ -509,14 +1670,30 @@ export default function Home() {
                           </p>
                         )}
                       </div>
-                      <button
-                        onClick={() => addFromSearch(result)}
-                        className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition whitespace-nowrap"
-                      >
-                        + Add
-                      </button>
+                      {result.saved ? (
+                        <span className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300 rounded-lg whitespace-nowrap">
+                          ✓ Already saved
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => addFromSearch(result)}
+                          className="px-4 py-2 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition whitespace-nowrap"
+                        >
+                          + Add
+                        </button>
+                      )}
                     </motion.div>
                   ))}
+
+                  {webNextOffset !== null && (
+                    <button
+                      onClick={() => handleWebSearch({ more: true })}
+                      disabled={isSearching}
+                      className="w-full py-3 rounded-xl border border-emerald-600 text-emerald-700 dark:text-emerald-300 hover:bg-emerald-50 dark:hover:bg-emerald-900/30 transition disabled:opacity-50"
+                    >
+                      {isSearching ? "Loading..." : "Load more results"}
+                    </button>
+                  )}
                 </div>
               )}
             </motion.div>
@@ -557,6 +1734,38 @@ export default function Home() {
                 )}
               </div>
 
+              <div className="grid gap-4 sm:grid-cols-2">
+                <input
+                  placeholder="Tags (comma separated)"
+                  className="w-full p-4 rounded-xl bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-4 focus:ring-indigo-400/30 outline-none text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+                  value={tagsInput}
+                  onChange={(e) => setTagsInput(e.target.value)}
+                />
+                <input
+                  placeholder="Collection (optional)"
+                  list="collection-options"
+                  className="w-full p-4 rounded-xl bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 focus:ring-4 focus:ring-indigo-400/30 outline-none text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
+                  value={collectionName}
+                  onChange={(e) => setCollectionName(e.target.value)}
+                />
+                <datalist id="collection-options">
+                  {editableCollections.map((c) => (
+                    <option key={c.id} value={c.name} />
+                  ))}
+                </datalist>
+              </div>
+
+              {editingId && (
+                <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={refreshDetails}
+                    onChange={(e) => setRefreshDetails(e.target.checked)}
+                  />
+                  ↻ Refresh page details (title stays as typed; description, image and offline copy are re-fetched)
+                </label>
+              )}
+
               <div className="flex gap-3">
                 <button
                   onClick={handleSave}
@@ -575,17 +1784,253 @@ export default function Home() {
           )}
         </AnimatePresence>
 
+        {/* Tag, Collection & Link Health Filters */}
+        <div className="mb-6 space-y-3">
+          {collections.length > 0 && (
+            <div className="flex gap-2 flex-wrap items-center">
+              <span className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mr-1">
+                Collections
+              </span>
+              {collections.map((c) => (
+                <button
+                  key={c.id}
+                  onClick={() => selectCollection(c.id)}
+                  title={c.role === "owner" ? undefined : `Shared with you (${c.role})`}
+                  className={`px-3 py-1 rounded-full text-sm transition border ${
+                    activeCollection === c.id
+                      ? "bg-indigo-600 border-indigo-600 text-white"
+                      : "bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-indigo-400"
+                  }`}
+                >
+                  {c.role === "owner" ? "📁" : "👥"} {c.name} ({collectionCounts.get(c.id) || 0})
+                  {c.role === "owner" && c.members.length > 0 && " 👥"}
+                </button>
+              ))}
+            </div>
+          )}
+          {tagCounts.length > 0 && (
+            <div className="flex gap-2 flex-wrap items-center">
+              <span className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mr-1">
+                Tags
+              </span>
+              {tagCounts.map(({ tag, count }) => (
+                <button
+                  key={tag}
+                  onClick={() => selectTag(tag)}
+                  className={`px-3 py-1 rounded-full text-sm transition border ${
+                    activeTag === tag
+                      ? "bg-emerald-600 border-emerald-600 text-white"
+                      : "bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-emerald-400"
+                  }`}
+                >
+                  #{tag} ({count})
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-3 flex-wrap items-center">
+            <button
+              onClick={() => setBrokenOnly((prev) => !prev)}
+              className={`px-3 py-1 rounded-full text-sm transition border ${
+                brokenOnly
+                  ? "bg-rose-600 border-rose-600 text-white"
+                  : "bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-rose-400"
+              }`}
+            >
+              ⚠️ Broken links
+            </button>
+            <button
+              onClick={toggleTrash}
+              className={`px-3 py-1 rounded-full text-sm transition border ${
+                showTrash
+                  ? "bg-gray-700 border-gray-700 text-white"
+                  : "bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-gray-500"
+              }`}
+            >
+              🗑 Trash
+            </button>
+            {currentCollection?.role === "owner" && (
+              <button
+                onClick={() => setShowShare((prev) => !prev)}
+                className="px-3 py-1 rounded-full text-sm transition border bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-indigo-400"
+              >
+                👥 Share “{currentCollection.name}”
+              </button>
+            )}
+            {publishTarget && (
+              <button
+                onClick={() => setShowPublish((prev) => !prev)}
+                className="px-3 py-1 rounded-full text-sm transition border bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-indigo-400"
+              >
+                🌐 Publish {publishTarget.collectionId ? `“${publishTarget.name}”` : publishTarget.name}
+              </button>
+            )}
+            {currentCollection && currentCollection.role !== "owner" && (
+              <button
+                onClick={() => leaveCollection(currentCollection)}
+                className="px-3 py-1 rounded-full text-sm transition border bg-white/70 dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:border-rose-400"
+              >
+                Leave “{currentCollection.name}” ({currentCollection.role})
+              </button>
+            )}
+            {(activeTag || activeCollection || brokenOnly) && (
+              <button
+                onClick={() => {
+                  setActiveTag(null);
+                  setActiveCollection(null);
+                  setBrokenOnly(false);
+                  setShowShare(false);
+                  setShowPublish(false);
+                }}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Sharing for the selected collection */}
+        <AnimatePresence>
+          {showShare && currentCollection?.role === "owner" && (
+            <ShareCollectionPanel collection={currentCollection} onClose={() => setShowShare(false)} />
+          )}
+        </AnimatePresence>
+
+        {/* Public link for the selected collection or tag */}
+        <AnimatePresence>
+          {showPublish && publishTarget && (
+            <PublishPanel
+              key={publishTarget.collectionId || publishTarget.tag}
+              target={publishTarget}
+              userId={user.id}
+              onClose={() => setShowPublish(false)}
+            />
+          )}
+        </AnimatePresence>
+
+        {/* Bulk actions */}
+        <AnimatePresence>
+          {selecting && (
+            <BulkToolbar
+              count={selected.size}
+              loadedCount={bookmarks.length}
+              canSelectMatching={hasMore}
+              busy={bulkBusy}
+              collections={editableCollections}
+              exportOptions={EXPORT_OPTIONS}
+              onSelectAll={() =>
+                setSelected(new Map(bookmarks.filter((b) => !isLocalId(b.id)).map((b) => [b.id, b])))
+              }
+              onSelectMatching={selectAllMatching}
+              onClear={() => setSelected(new Map())}
+              onDelete={bulkDeleteSelected}
+              onAddTags={(input) =>
+                applyBulkPatch(addTagPatches(selectedRows(), input), { running: "Tagging", done: "Tagged" })
+              }
+              onRemoveTags={(input) =>
+                applyBulkPatch(removeTagPatches(selectedRows(), input), { running: "Untagging", done: "Untagged" })
+              }
+              onMove={bulkMove}
+              onRefresh={bulkRefreshMetadata}
+              onCopy={bulkCopyMarkdown}
+              onExport={bulkExport}
+              onClose={exitSelection}
+            />
+          )}
+        </AnimatePresence>
+
+        {showTrash && (
+          <div className="mb-6 flex flex-wrap items-center justify-between gap-3 p-4 rounded-2xl bg-gray-100 dark:bg-gray-800/85 border border-gray-200 dark:border-gray-700 text-sm text-gray-700 dark:text-gray-300">
+            <span>
+              🗑 Trash — bookmarks here are deleted forever after {TRASH_RETENTION_DAYS} days.
+            </span>
+            <button
+              onClick={emptyTrash}
+              disabled={bookmarks.length === 0}
+              className="px-4 py-1.5 rounded-lg bg-rose-600 hover:bg-rose-700 text-white transition disabled:opacity-50"
+            >
+              Empty trash
+            </button>
+          </div>
+        )}
+
         {/* Bookmark Grid */}
         <div className={`grid gap-6 ${isMobile ? "grid-cols-1" : "sm:grid-cols-2 lg:grid-cols-3"}`}>
-          {paginated.map((b) => (
+          {bookmarks.map((b) => (
             <motion.div
               key={b.id}
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
-              className="group p-6 rounded-2xl backdrop-blur-lg bg-white/80 dark:bg-gray-800/90 border border-white/40 dark:border-gray-700 shadow-md hover:shadow-xl hover:-translate-y-1 transition-all duration-300 flex flex-col sm:flex-row justify-between gap-4"
+              className={`group relative p-6 rounded-2xl backdrop-blur-lg bg-white/80 dark:bg-gray-800/90 border shadow-md hover:shadow-xl hover:-translate-y-1 transition-all duration-300 flex flex-col sm:flex-row justify-between gap-4 ${
+                selected.has(b.id)
+                  ? "border-indigo-500 ring-2 ring-indigo-400/60"
+                  : "border-white/40 dark:border-gray-700"
+              }`}
             >
+              {selecting && !isLocalId(b.id) && (
+                <button
+                  role="checkbox"
+                  aria-checked={selected.has(b.id)}
+                  aria-label={`Select ${b.title}`}
+                  onClick={(e) => toggleSelected(b, e.shiftKey)}
+                  className={`absolute top-3 left-3 z-10 w-6 h-6 rounded-md border-2 flex items-center justify-center text-sm font-bold transition ${
+                    selected.has(b.id)
+                      ? "bg-indigo-600 border-indigo-600 text-white"
+                      : "bg-white/90 dark:bg-gray-900/90 border-gray-400 dark:border-gray-500"
+                  }`}
+                >
+                  {selected.has(b.id) && "✓"}
+                </button>
+              )}
               <div className="flex flex-col gap-1 flex-1 min-w-0">
-                <p className="font-semibold text-lg text-gray-900 dark:text-white">{b.title}</p>
+                {b.image_url && (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img
+                    src={b.image_url}
+                    alt=""
+                    loading="lazy"
+                    className="w-full h-32 object-cover rounded-xl mb-2 bg-gray-100 dark:bg-gray-700"
+                    onError={(e) => { e.currentTarget.style.display = "none"; }}
+                  />
+                )}
+                <div className="flex items-center gap-2 min-w-0">
+                  {b.favicon_url && (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img
+                      src={b.favicon_url}
+                      alt=""
+                      loading="lazy"
+                      className="w-4 h-4 rounded-sm shrink-0"
+                      onError={(e) => { e.currentTarget.style.display = "none"; }}
+                    />
+                  )}
+                  {b.site_name && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {b.site_name}
+                      {b.published_at && ` · ${new Date(b.published_at).toLocaleDateString()}`}
+                    </span>
+                  )}
+                  <span className="ml-auto flex items-center gap-1">
+                    {b.pending && (
+                      <span
+                        className="px-2 py-0.5 rounded-full text-xs whitespace-nowrap bg-sky-100 text-sky-700 dark:bg-sky-900/60 dark:text-sky-200"
+                        title="Changed while offline; waiting to sync"
+                      >
+                        ⏳ Not synced
+                      </span>
+                    )}
+                    <LinkBadge bookmark={b} />
+                  </span>
+                </div>
+                <p className="font-semibold text-lg text-gray-900 dark:text-white">
+                  {b.title_highlight ? <Highlighted text={b.title_highlight} /> : b.title}
+                </p>
+                {(b.snippet?.trim() || b.description) && (
+                  <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-3">
+                    {b.snippet?.trim() ? <Highlighted text={b.snippet} /> : b.description}
+                  </p>
+                )}
                 <a
                   href={b.url}
                   target="_blank"
@@ -594,39 +2039,128 @@ export default function Home() {
                 >
                   {b.url}
                 </a>
+                {linkHealth(b) === "redirected" && (
+                  <div className="text-xs text-amber-700 dark:text-amber-300 flex items-center gap-2 flex-wrap">
+                    <span className="break-all">Now redirects to {b.link_final_url}</span>
+                    <button
+                      onClick={() => acceptRedirect(b)}
+                      className="px-2 py-0.5 rounded-md bg-amber-500 hover:bg-amber-600 text-white transition"
+                    >
+                      Use new URL
+                    </button>
+                  </div>
+                )}
+                {(b.collection_id || b.tags?.length > 0) && (
+                  <div className="flex gap-1.5 flex-wrap mt-2">
+                    {b.collection_id && collectionsById.has(b.collection_id) && (
+                      <button
+                        onClick={() => selectCollection(b.collection_id)}
+                        className="px-2 py-0.5 rounded-full text-xs bg-indigo-100 text-indigo-700 dark:bg-indigo-900/60 dark:text-indigo-200"
+                      >
+                        📁 {collectionsById.get(b.collection_id).name}
+                      </button>
+                    )}
+                    {(b.tags || []).map((tag) => (
+                      <button
+                        key={tag}
+                        onClick={() => selectTag(tag)}
+                        className="px-2 py-0.5 rounded-full text-xs bg-emerald-100 text-emerald-700 dark:bg-emerald-900/60 dark:text-emerald-200"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
 
-              <div className="flex sm:flex-col gap-2 text-sm whitespace-nowrap">
-                <button
-                  onClick={() => startEdit(b)}
-                  className="px-4 py-1.5 bg-amber-500 hover:bg-amber-600 text-white rounded-lg transition"
-                >
-                  Edit
-                </button>
-                <button
-                  onClick={() => copyLink(b.url)}
-                  className="px-4 py-1.5 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition"
-                >
-                  Copy
-                </button>
-                <button
-                  onClick={() => deleteBookmark(b.id)}
-                  className="px-4 py-1.5 bg-rose-600 hover:bg-rose-700 text-white rounded-lg transition"
-                >
-                  Delete
-                </button>
-              </div>
+              {b.deleted_at ? (
+                <div className="flex sm:flex-col gap-2 text-sm whitespace-nowrap">
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    Deleted {new Date(b.deleted_at).toLocaleDateString()} · {daysUntilPurge(b)}d left
+                  </span>
+                  {canEdit(b) && (
+                    <>
+                      <button
+                        onClick={() => restoreFromTrash(b.id)}
+                        className="px-4 py-1.5 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition"
+                      >
+                        Restore
+                      </button>
+                      <button
+                        onClick={() => purgeFromTrash(b)}
+                        className="px-4 py-1.5 bg-rose-600 hover:bg-rose-700 text-white rounded-lg transition"
+                      >
+                        Delete forever
+                      </button>
+                    </>
+                  )}
+                </div>
+              ) : (
+                <div className="flex sm:flex-col gap-2 text-sm whitespace-nowrap">
+                  {canEdit(b) && (
+                    <button
+                      onClick={() => startEdit(b)}
+                      className="px-4 py-1.5 bg-amber-500 hover:bg-amber-600 text-white rounded-lg transition"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {!isLocalId(b.id) && (
+                    <>
+                      <button
+                        onClick={() => setReadingBookmark(b)}
+                        title={b.snapshot_captured_at ? `Saved ${new Date(b.snapshot_captured_at).toLocaleString()}` : "No offline copy yet"}
+                        className="px-4 py-1.5 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition"
+                      >
+                        {b.snapshot_captured_at ? "📖 Read" : "Read"}
+                      </button>
+                      <button
+                        onClick={() => setHistoryBookmark(b)}
+                        className="px-4 py-1.5 bg-slate-600 hover:bg-slate-700 text-white rounded-lg transition"
+                      >
+                        History
+                      </button>
+                    </>
+                  )}
+                  <button
+                    onClick={() => copyLink(b.url)}
+                    className="px-4 py-1.5 bg-emerald-600 hover:bg-emerald-700 text-white rounded-lg transition"
+                  >
+                    Copy
+                  </button>
+                  {canEdit(b) && (
+                    <button
+                      onClick={() => deleteBookmark(b.id)}
+                      className="px-4 py-1.5 bg-rose-600 hover:bg-rose-700 text-white rounded-lg transition"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              )}
             </motion.div>
           ))}
         </div>
 
-        {/* Load More */}
-        {paginated.length < filtered.length && (
+        {!loadingPage && bookmarks.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-10">
+            {showTrash
+              ? "Trash is empty."
+              : search || activeTag || activeCollection || brokenOnly
+                ? "No bookmarks match these filters."
+                : "No bookmarks yet."}
+          </p>
+        )}
+
+        {/* Load More (infinite scroll sentinel + manual fallback) */}
+        {hasMore && (
           <button
-            onClick={() => setPage((p) => p + 1)}
-            className="mt-10 w-full py-4 rounded-xl bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold shadow-lg hover:brightness-110 transition"
+            ref={sentinelRef}
+            onClick={loadMore}
+            disabled={loadingPage}
+            className="mt-10 w-full py-4 rounded-xl bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold shadow-lg hover:brightness-110 transition disabled:opacity-60"
           >
-            Load More ({paginated.length} of {filtered.length})
+            {loadingPage ? "Loading..." : `Load More (${bookmarks.length} loaded)`}
           </button>
         )}
 
@@ -648,6 +2182,34 @@ export default function Home() {
           </div>
         )}
       </div>
+
+      {/* Offline Reader (outside the blurred panel so `fixed` covers the viewport) */}
+      <AnimatePresence>
+        {readingBookmark && (
+          <ReaderView
+            bookmark={readingBookmark}
+            userId={user.id}
+            dark={dark}
+            canCapture={canEdit(readingBookmark)}
+            onClose={() => setReadingBookmark(null)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Edit history, kept on the live row so new edits show up while open */}
+      <AnimatePresence>
+        {historyBookmark && (
+          <RevisionHistory
+            bookmark={bookmarks.find((b) => b.id === historyBookmark.id) || historyBookmark}
+            userId={user.id}
+            people={memberEmails}
+            canRevert={canEdit(historyBookmark)}
+            collections={collections}
+            onRevert={revertRevision}
+            onClose={() => setHistoryBookmark(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
\ No newline at end of file
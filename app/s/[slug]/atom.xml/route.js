@@ -0,0 +1,7 @@
+// app/s/[slug]/atom.xml/route.js
+import { feedRoute, renderAtom } from '@/lib/publicFeed';
+
+export const GET = feedRoute(renderAtom, 'application/atom+xml; charset=utf-8');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
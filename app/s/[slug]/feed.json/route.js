@@ -0,0 +1,7 @@
+// app/s/[slug]/feed.json/route.js
+import { feedRoute, renderJsonFeed } from '@/lib/publicFeed';
+
+export const GET = feedRoute(renderJsonFeed, 'application/feed+json; charset=utf-8');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
@@ -0,0 +1,121 @@
+// app/s/[slug]/page.js — public, read-only list (server-rendered, no sign-in)
+import { cache } from 'react';
+import { headers } from 'next/headers';
+import { notFound } from 'next/navigation';
+import { loadPublicShare, siteOrigin, shareLinks, isWebUrl } from '@/lib/publicFeed';
+
+// Revoking or expiring a link must take effect on the next request
+export const dynamic = 'force-dynamic';
+
+// One RPC per request, shared by generateMetadata and the page
+const getShare = cache((slug) => loadPublicShare(slug));
+
+export async function generateMetadata({ params }) {
+  const { slug } = await params;
+  const share = await getShare(slug);
+  if (!share) return { title: 'Link not found · Smart Bookmark' };
+
+  const links = shareLinks(siteOrigin(await headers()), share.slug);
+  const description =
+    share.description || `${share.bookmarks.length} bookmark${share.bookmarks.length !== 1 ? 's' : ''} shared with Smart Bookmark`;
+  const image = share.bookmarks.find((b) => isWebUrl(b.image_url))?.image_url;
+
+  return {
+    title: `${share.title} · Smart Bookmark`,
+    description,
+    // Unguessable links shouldn't end up in search results
+    robots: { index: false, follow: false },
+    alternates: {
+      canonical: links.page,
+      types: {
+        'application/rss+xml': links.rss,
+        'application/atom+xml': links.atom,
+        'application/feed+json': links.json,
+      },
+    },
+    openGraph: {
+      type: 'website',
+      siteName: 'Smart Bookmark',
+      url: links.page,
+      title: share.title,
+      description,
+      ...(image && { images: [{ url: image }] }),
+    },
+    twitter: {
+      card: image ? 'summary_large_image' : 'summary',
+      title: share.title,
+      description,
+      ...(image && { images: [image] }),
+    },
+  };
+}
+
+export default async function PublicSharePage({ params }) {
+  const { slug } = await params;
+  const share = await getShare(slug);
+  if (!share) notFound();
+
+  const links = shareLinks('', share.slug);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-100 via-blue-50 to-indigo-100 dark:from-gray-950 dark:via-gray-900 dark:to-gray-950 px-4 py-10">
+      <main className="max-w-3xl mx-auto">
+        <header className="mb-8">
+          <p className="text-xs font-semibold uppercase tracking-wide text-indigo-600 dark:text-indigo-400">
+            📌 Shared with Smart Bookmark
+          </p>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mt-1">{share.title}</h1>
+          {share.description && (
+            <p className="text-gray-600 dark:text-gray-300 mt-2 whitespace-pre-line">{share.description}</p>
+          )}
+          <p className="text-sm text-gray-500 dark:text-gray-400 mt-3 flex flex-wrap gap-x-3 gap-y-1">
+            <span>
+              {share.bookmarks.length} bookmark{share.bookmarks.length !== 1 ? 's' : ''}
+            </span>
+            {share.expires_at && <span>· available until {new Date(share.expires_at).toUTCString()}</span>}
+            <span>
+              · <a href={links.rss} className="text-blue-600 dark:text-blue-400 hover:underline">RSS</a>
+              {' '}/ <a href={links.atom} className="text-blue-600 dark:text-blue-400 hover:underline">Atom</a>
+              {' '}/ <a href={links.json} className="text-blue-600 dark:text-blue-400 hover:underline">JSON Feed</a>
+            </span>
+          </p>
+        </header>
+
+        {share.bookmarks.length === 0 && (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-10">Nothing here yet.</p>
+        )}
+
+        <ul className="space-y-4">
+          {share.bookmarks.filter((b) => isWebUrl(b.url)).map((b) => (
+            <li
+              key={b.id}
+              className="p-5 rounded-2xl bg-white/80 dark:bg-gray-800/90 border border-white/40 dark:border-gray-700 shadow-md"
+            >
+              <div className="flex items-center gap-2 min-w-0 mb-1">
+                {isWebUrl(b.favicon_url) && (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img src={b.favicon_url} alt="" loading="lazy" className="w-4 h-4 rounded-sm shrink-0" />
+                )}
+                {b.site_name && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400 truncate">{b.site_name}</span>
+                )}
+              </div>
+              <a
+                href={b.url}
+                target="_blank"
+                rel="noopener noreferrer nofollow"
+                className="font-semibold text-lg text-gray-900 dark:text-white hover:underline"
+              >
+                {b.title}
+              </a>
+              {b.description && (
+                <p className="text-sm text-gray-600 dark:text-gray-300 line-clamp-3 mt-1">{b.description}</p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400 break-all mt-2">{b.url}</p>
+            </li>
+          ))}
+        </ul>
+      </main>
+    </div>
+  );
+}
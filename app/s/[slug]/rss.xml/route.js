@@ -0,0 +1,7 @@
+// app/s/[slug]/rss.xml/route.js
+import { feedRoute, renderRss } from '@/lib/publicFeed';
+
+export const GET = feedRoute(renderRss, 'application/rss+xml; charset=utf-8');
+
+// Use Node.js runtime for better compatibility
+export const runtime = 'nodejs';
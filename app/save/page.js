@@ -0,0 +1,128 @@
+"use client";
+
+// Opened by the bookmarklet (see Settings) in a small window:
+// /save?url=...&title=...&text=<selected text>
+import { Suspense, useEffect, useState } from "react";
+import { useSearchParams } from "next/navigation";
+import Link from "next/link";
+import { supabase } from "@/lib/supabase";
+import { authFetch } from "@/lib/authFetch";
+
+const field =
+  "w-full px-3 py-2 rounded-lg text-sm bg-white border border-gray-300 text-gray-900 placeholder-gray-500";
+
+function SaveForm() {
+  const params = useSearchParams();
+  const url = params.get("url") || "";
+  const selection = params.get("text") || "";
+
+  const [user, setUser] = useState(undefined);
+  const [title, setTitle] = useState(params.get("title") || "");
+  const [tags, setTags] = useState("");
+  // null | "saving" | { saved } | { duplicate } | { error }
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getUser().then(({ data }) => setUser(data?.user || null));
+  }, []);
+
+  const save = async ({ allowDuplicate = false } = {}) => {
+    setStatus("saving");
+    try {
+      const response = await authFetch("/api/v1/save", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ url, title, selection, tags, allow_duplicate: allowDuplicate }),
+      });
+      const data = await response.json();
+      if (response.status === 409 && data.code === "DUPLICATE") setStatus({ duplicate: data.details });
+      else if (!response.ok) setStatus({ error: data.error || "Could not save" });
+      else {
+        setStatus({ saved: data.data, warning: data.warning });
+        // Close the bookmarklet's popup once the user has seen it worked
+        if (window.opener) setTimeout(() => window.close(), 1500);
+      }
+    } catch (error) {
+      console.error("Quick save error:", error);
+      setStatus({ error: "Could not reach the server" });
+    }
+  };
+
+  if (user === undefined) return null;
+
+  if (!user) {
+    return (
+      <p className="text-sm text-gray-700">
+        <Link href="/login" target="_blank" className="text-blue-600 hover:underline">
+          Sign in
+        </Link>{" "}
+        to Smart Bookmark, then click the bookmarklet again.
+      </p>
+    );
+  }
+
+  if (!url) {
+    return <p className="text-sm text-gray-700">Nothing to save — open this page from the bookmarklet.</p>;
+  }
+
+  if (status?.saved) {
+    return (
+      <div className="space-y-2 text-center">
+        <p className="text-lg font-semibold text-emerald-700">✓ Saved</p>
+        <p className="text-sm text-gray-700 break-words">{status.saved.title}</p>
+        {status.warning && <p className="text-xs text-amber-700">{status.warning}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-gray-500 break-all">{url}</p>
+      <input placeholder="Title" className={field} value={title} onChange={(e) => setTitle(e.target.value)} />
+      <input
+        placeholder="Tags (comma separated)"
+        className={field}
+        value={tags}
+        autoFocus
+        onChange={(e) => setTags(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && status !== "saving" && save()}
+      />
+      {selection && (
+        <blockquote className="text-sm text-gray-600 border-l-4 border-indigo-300 pl-3 line-clamp-4">
+          {selection}
+        </blockquote>
+      )}
+
+      {status?.duplicate && (
+        <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-900 space-y-2">
+          <p>Already saved as “{status.duplicate.title}”.</p>
+          <button onClick={() => save({ allowDuplicate: true })} className="text-amber-900 font-medium hover:underline">
+            Save anyway
+          </button>
+        </div>
+      )}
+      {status?.error && <p className="text-sm text-rose-600">{status.error}</p>}
+
+      <button
+        onClick={() => save()}
+        disabled={status === "saving"}
+        className="w-full py-2.5 rounded-xl text-white font-semibold bg-gradient-to-r from-indigo-600 to-purple-600 hover:brightness-110 transition disabled:opacity-50"
+      >
+        {status === "saving" ? "Saving..." : "Save bookmark"}
+      </button>
+    </div>
+  );
+}
+
+export default function QuickSave() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 flex items-center justify-center p-4">
+      <main className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6 space-y-4">
+        <h1 className="text-lg font-bold text-gray-900">📌 Save to Smart Bookmark</h1>
+        <Suspense fallback={null}>
+          <SaveForm />
+        </Suspense>
+      </main>
+    </div>
+  );
+}
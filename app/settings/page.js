@@ -0,0 +1,41 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import Link from "next/link";
+import { supabase } from "@/lib/supabase";
+import AccessTokensPanel from "@/components/AccessTokensPanel";
+import BookmarkletPanel from "@/components/BookmarkletPanel";
+
+export default function Settings() {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    supabase.auth.getUser().then(({ data }) => {
+      if (data?.user) setUser(data.user);
+      else router.push("/login");
+    });
+  }, [router]);
+
+  if (!user) return null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-indigo-50 to-purple-50 px-4 py-10">
+      <main className="max-w-3xl mx-auto space-y-6">
+        <div className="flex justify-between items-center gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">⚙️ Settings</h1>
+            <p className="text-sm text-gray-600">{user.email}</p>
+          </div>
+          <Link href="/" className="text-sm text-blue-600 hover:underline">
+            ← Back to bookmarks
+          </Link>
+        </div>
+
+        <BookmarkletPanel />
+        <AccessTokensPanel />
+      </main>
+    </div>
+  );
+}
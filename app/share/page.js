@@ -0,0 +1,15 @@
+// app/share/page.js — Web Share Target (see app/manifest.js)
+import { redirect } from 'next/navigation';
+import { readSharedLink } from '@/lib/sharedLink';
+
+// Hands the shared link to the dashboard, which opens its add form prefilled.
+// Offline, the service worker serves the dashboard for /share directly and it
+// reads the same params.
+export default async function Share({ searchParams }) {
+  const { url, title } = readSharedLink(new URLSearchParams(await searchParams));
+
+  const params = new URLSearchParams({ add: '1' });
+  if (url) params.set('url', url);
+  if (title) params.set('title', title);
+  redirect(`/?${params}`);
+}
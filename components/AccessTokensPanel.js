@@ -0,0 +1,176 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  TOKEN_SCOPES,
+  TOKEN_EXPIRY_OPTIONS,
+  fetchAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  isTokenActive,
+} from "@/lib/accessTokens";
+import { confirmToast } from "@/lib/confirmToast";
+
+const field =
+  "px-3 py-2 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500";
+
+function tokenStatus(token) {
+  if (token.revoked_at) return `revoked ${new Date(token.revoked_at).toLocaleDateString()}`;
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) {
+    return `expired ${new Date(token.expires_at).toLocaleDateString()}`;
+  }
+  return [
+    token.last_used_at ? `last used ${new Date(token.last_used_at).toLocaleString()}` : "never used",
+    token.expires_at ? `expires ${new Date(token.expires_at).toLocaleDateString()}` : "no expiry",
+  ].join(" · ");
+}
+
+export default function AccessTokensPanel() {
+  const [tokens, setTokens] = useState(null);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState(["read"]);
+  const [expiresInDays, setExpiresInDays] = useState(TOKEN_EXPIRY_OPTIONS[1].value);
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setTokens(await fetchAccessTokens());
+    } catch (error) {
+      console.error("Token load failed:", error);
+      toast.error("Could not load tokens");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const toggleScope = (scope) =>
+    setScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+
+  const create = async () => {
+    setBusy(true);
+    try {
+      setCreated(await createAccessToken({ name, scopes, expiresInDays }));
+      setName("");
+      await load();
+    } catch (error) {
+      console.error("Token create error:", error);
+      toast.error(error.message || "Could not create the token");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revoke = async (token) => {
+    if (!(await confirmToast(`Revoke "${token.name}"? Scripts using it will stop working.`, { confirmLabel: "Revoke" }))) return;
+    try {
+      await revokeAccessToken(token.id);
+      if (created?.id === token.id) setCreated(null);
+      toast.success("Token revoked");
+      await load();
+    } catch (error) {
+      console.error("Token revoke error:", error);
+      toast.error("Could not revoke the token");
+    }
+  };
+
+  const copySecret = () => {
+    navigator.clipboard.writeText(created.token);
+    toast.success("Token copied!");
+  };
+
+  return (
+    <section className="space-y-4 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">🔑 Personal access tokens</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Let scripts and tools use the REST API at <code>/api/v1</code> as you. Send the token as{" "}
+          <code>Authorization: Bearer &lt;token&gt;</code>.
+        </p>
+      </div>
+
+      {created && (
+        <div className="p-4 rounded-xl bg-emerald-50 dark:bg-emerald-900/40 border border-emerald-200 dark:border-emerald-800 space-y-2">
+          <p className="text-sm font-semibold text-emerald-900 dark:text-emerald-100">
+            Copy “{created.name}” now — it won&apos;t be shown again.
+          </p>
+          <div className="flex gap-2">
+            <code className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-white dark:bg-gray-900 text-xs break-all text-gray-900 dark:text-gray-100">
+              {created.token}
+            </code>
+            <button
+              onClick={copySecret}
+              className="px-3 py-2 rounded-lg text-sm bg-emerald-600 hover:bg-emerald-700 text-white transition shrink-0"
+            >
+              Copy
+            </button>
+          </div>
+          <button onClick={() => setCreated(null)} className="text-xs text-emerald-800 dark:text-emerald-200 hover:underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      <div className="grid gap-2 sm:grid-cols-[1fr_auto_auto]">
+        <input
+          placeholder="Token name, e.g. Reading list script"
+          className={field}
+          value={name}
+          maxLength={100}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className={field}>
+          {TOKEN_EXPIRY_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={create}
+          disabled={busy || !name.trim() || scopes.length === 0}
+          className="px-4 py-2 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition disabled:opacity-50"
+        >
+          {busy ? "Creating..." : "Create token"}
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-4">
+        {Object.entries(TOKEN_SCOPES).map(([scope, label]) => (
+          <label key={scope} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {tokens === null ? (
+        <div className="animate-spin h-5 w-5 border-2 border-indigo-600 border-t-transparent rounded-full"></div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {tokens.map((token) => (
+            <li key={token.id} className="flex flex-wrap items-center justify-between gap-2 py-3">
+              <div className="min-w-0">
+                <p className={`text-sm font-medium ${isTokenActive(token) ? "text-gray-900 dark:text-white" : "text-gray-400 line-through"}`}>
+                  {token.name}{" "}
+                  <code className="text-xs text-gray-500 dark:text-gray-400">{token.token_prefix}…</code>
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {token.scopes.join(" + ")} · {tokenStatus(token)}
+                </p>
+              </div>
+              {isTokenActive(token) && (
+                <button onClick={() => revoke(token)} className="text-sm text-rose-600 hover:underline">
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+          {tokens.length === 0 && (
+            <li className="py-2 text-sm text-gray-500 dark:text-gray-400">No tokens yet.</li>
+          )}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,56 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+
+// Opens /save for the current tab in a small window, where the user's session
+// lives; selected text comes along as the description
+const bookmarkletCode = (origin) =>
+  `javascript:(()=>{const p=new URLSearchParams({url:location.href,title:document.title,text:String(getSelection()).slice(0,2000)});window.open('${origin}/save?'+p,'smart-bookmark-save','width=480,height=600')})()`;
+
+export default function BookmarkletPanel() {
+  const linkRef = useRef(null);
+
+  // React refuses javascript: hrefs, so the attribute is set on the DOM node
+  useEffect(() => {
+    linkRef.current?.setAttribute("href", bookmarkletCode(window.location.origin));
+  }, []);
+
+  return (
+    <section className="space-y-4 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm">
+      <div>
+        <h2 className="text-xl font-bold text-gray-900 dark:text-white">🔖 Save from any page</h2>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Both send the page&apos;s URL, title and any selected text; details, duplicate checks and the
+          offline copy work as in the dashboard.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="font-semibold text-gray-900 dark:text-white">Bookmarklet</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400">Drag this to your bookmarks bar:</p>
+        <a
+          ref={linkRef}
+          onClick={(e) => e.preventDefault()}
+          className="inline-block px-4 py-2 rounded-full text-sm font-medium text-white bg-gradient-to-r from-indigo-600 to-purple-600 shadow-sm cursor-grab"
+        >
+          📌 Save to Smart Bookmark
+        </a>
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="font-semibold text-gray-900 dark:text-white">Browser extension</h3>
+        <ol className="list-decimal list-inside text-sm text-gray-600 dark:text-gray-400 space-y-1">
+          <li>
+            Load the <code>extension/</code> folder of this project as an unpacked extension
+            (Chrome: <code>chrome://extensions</code> → Developer mode → Load unpacked).
+          </li>
+          <li>Create a token below with the <strong>write</strong> scope.</li>
+          <li>
+            In the extension&apos;s options, enter this site&apos;s address and the token. The popup then
+            saves the current tab with the tags you type.
+          </li>
+        </ol>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,156 @@
+"use client";
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+
+const button =
+  "px-3 py-1.5 rounded-lg text-sm transition whitespace-nowrap disabled:opacity-50";
+
+export default function BulkToolbar({
+  count,
+  loadedCount,
+  canSelectMatching,
+  busy,
+  collections,
+  exportOptions,
+  onSelectAll,
+  onSelectMatching,
+  onClear,
+  onDelete,
+  onAddTags,
+  onRemoveTags,
+  onMove,
+  onRefresh,
+  onCopy,
+  onExport,
+  onClose,
+}) {
+  const [tagsInput, setTagsInput] = useState("");
+  const [collectionName, setCollectionName] = useState("");
+  const none = count === 0 || busy;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="sticky top-4 z-20 mb-6 space-y-3 bg-white/90 dark:bg-gray-800/95 backdrop-blur p-4 rounded-2xl border border-indigo-300 dark:border-indigo-700 shadow-lg"
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold text-gray-900 dark:text-white mr-2">
+          {count} selected
+        </span>
+        <button
+          onClick={onSelectAll}
+          disabled={busy}
+          className={`${button} bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600`}
+        >
+          Select all shown ({loadedCount})
+        </button>
+        {canSelectMatching && (
+          <button
+            onClick={onSelectMatching}
+            disabled={busy}
+            className={`${button} bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 hover:bg-gray-300 dark:hover:bg-gray-600`}
+          >
+            Select all matching
+          </button>
+        )}
+        <button
+          onClick={onClear}
+          disabled={none}
+          className={`${button} text-gray-600 dark:text-gray-300 hover:underline`}
+        >
+          Clear
+        </button>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Shift-click to select a range
+        </span>
+        <button
+          onClick={onClose}
+          className={`${button} ml-auto text-gray-600 dark:text-gray-300 hover:underline`}
+        >
+          Done
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          placeholder="tags, comma separated"
+          className="px-3 py-1.5 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500"
+          value={tagsInput}
+          onChange={(e) => setTagsInput(e.target.value)}
+        />
+        <button
+          onClick={() => onAddTags(tagsInput)}
+          disabled={none || !tagsInput.trim()}
+          className={`${button} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          + Tag
+        </button>
+        <button
+          onClick={() => onRemoveTags(tagsInput)}
+          disabled={none || !tagsInput.trim()}
+          className={`${button} bg-indigo-100 hover:bg-indigo-200 text-indigo-800 dark:bg-indigo-900/60 dark:text-indigo-200`}
+        >
+          − Untag
+        </button>
+
+        <input
+          placeholder="Collection (empty = none)"
+          list="bulk-collection-options"
+          className="px-3 py-1.5 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500"
+          value={collectionName}
+          onChange={(e) => setCollectionName(e.target.value)}
+        />
+        <datalist id="bulk-collection-options">
+          {collections.map((c) => (
+            <option key={c.id} value={c.name} />
+          ))}
+        </datalist>
+        <button
+          onClick={() => onMove(collectionName)}
+          disabled={none}
+          className={`${button} bg-indigo-600 hover:bg-indigo-700 text-white`}
+        >
+          📁 Move
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onRefresh}
+          disabled={none}
+          className={`${button} bg-sky-600 hover:bg-sky-700 text-white`}
+        >
+          ↻ Refresh metadata
+        </button>
+        <button
+          onClick={onCopy}
+          disabled={none}
+          className={`${button} bg-gray-600 hover:bg-gray-700 text-white`}
+        >
+          📋 Copy as Markdown
+        </button>
+        <select
+          value=""
+          disabled={none}
+          onChange={(e) => e.target.value && onExport(e.target.value)}
+          className={`${button} bg-gray-600 text-white`}
+        >
+          <option value="">📤 Export…</option>
+          {exportOptions.map(({ format, label }) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={onDelete}
+          disabled={none}
+          className={`${button} ml-auto bg-rose-600 hover:bg-rose-700 text-white`}
+        >
+          🗑 Delete
+        </button>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,41 @@
+"use client";
+
+import { motion } from "framer-motion";
+
+// Invites to other people's collections, shown above the dashboard
+export default function CollectionInvites({ invites, onAccept, onDecline }) {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-6 space-y-2"
+    >
+      {invites.map((invite) => (
+        <div
+          key={invite.id}
+          className="flex flex-wrap items-center justify-between gap-3 p-4 rounded-2xl bg-indigo-50 dark:bg-indigo-900/40 border border-indigo-200 dark:border-indigo-800 text-sm text-gray-800 dark:text-gray-100"
+        >
+          <span>
+            👥 {invite.invited_by_email || "Someone"} invited you to{" "}
+            <strong>{invite.collection_name}</strong> as {invite.role === "editor" ? "an editor" : "a viewer"}.
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => onDecline(invite)}
+              className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 transition"
+            >
+              Decline
+            </button>
+            <button
+              onClick={() => onAccept(invite)}
+              className="px-3 py-1 rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white transition"
+            >
+              Accept
+            </button>
+          </div>
+        </div>
+      ))}
+    </motion.div>
+  );
+}
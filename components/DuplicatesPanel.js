@@ -0,0 +1,122 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import { findDuplicateGroups, mergeDuplicateGroup } from "@/lib/duplicates";
+
+export default function DuplicatesPanel({ userId, onClose }) {
+  const [groups, setGroups] = useState(null);
+  const [merging, setMerging] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    findDuplicateGroups(userId)
+      .then((found) => {
+        if (!cancelled) setGroups(found);
+      })
+      .catch((error) => {
+        console.error("Duplicate scan failed:", error);
+        toast.error("Could not scan for duplicates");
+        if (!cancelled) setGroups([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const merge = async (targets) => {
+    setMerging(targets.length === 1 ? targets[0].key : "all");
+    let merged = 0;
+    for (const group of targets) {
+      try {
+        await mergeDuplicateGroup(group);
+        merged++;
+        setGroups((prev) => prev.filter((g) => g.key !== group.key));
+      } catch (error) {
+        console.error("Merge failed:", error);
+        toast.error(`Could not merge ${group.keep.title}`);
+      }
+    }
+    if (merged) toast.success(`Merged ${merged} group${merged !== 1 ? "s" : ""} — extra copies are in the trash`);
+    setMerging(null);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      exit={{ opacity: 0, height: 0 }}
+      className="space-y-4 mb-8 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden"
+    >
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+          Duplicate Bookmarks
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+
+      {groups === null && (
+        <div className="flex items-center gap-3 text-gray-600 dark:text-gray-400">
+          <div className="animate-spin h-5 w-5 border-2 border-amber-600 border-t-transparent rounded-full"></div>
+          Scanning your bookmarks...
+        </div>
+      )}
+
+      {groups?.length === 0 && (
+        <p className="text-gray-600 dark:text-gray-400">No duplicates found. 🎉</p>
+      )}
+
+      {groups?.length > 0 && (
+        <>
+          <div className="flex justify-between items-center gap-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {groups.length} page{groups.length !== 1 ? "s are" : " is"} saved more than once.
+              Merging keeps the row with the most metadata and fills in the rest.
+            </p>
+            <button
+              onClick={() => merge(groups)}
+              disabled={merging !== null}
+              className="px-4 py-2 bg-amber-600 hover:bg-amber-700 text-white rounded-lg transition whitespace-nowrap disabled:opacity-50"
+            >
+              {merging === "all" ? "Merging..." : "Merge all"}
+            </button>
+          </div>
+
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {groups.map((group) => (
+              <div
+                key={group.key}
+                className="p-4 bg-white dark:bg-gray-900 rounded-xl border border-gray-200 dark:border-gray-700 flex justify-between items-start gap-4"
+              >
+                <ul className="flex-1 min-w-0 space-y-1 text-sm">
+                  {[group.keep, ...group.remove].map((b, idx) => (
+                    <li key={b.id} className="truncate text-gray-800 dark:text-gray-200">
+                      <span className={idx === 0 ? "text-emerald-600 dark:text-emerald-400" : "text-gray-400"}>
+                        {idx === 0 ? "★ keep " : "✗ merge "}
+                      </span>
+                      {b.title}{" "}
+                      <span className="text-blue-600 dark:text-blue-400">{b.url}</span>
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  onClick={() => merge([group])}
+                  disabled={merging !== null}
+                  className="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white rounded-lg transition whitespace-nowrap disabled:opacity-50"
+                >
+                  {merging === group.key ? "Merging..." : "Merge"}
+                </button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+}
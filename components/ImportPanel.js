@@ -0,0 +1,183 @@
+"use client";
+
+import { useState } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import { parseNetscapeBookmarks, importBookmarks } from "@/lib/importBookmarks";
+
+const STATUS_STYLES = {
+  imported: "text-emerald-600 dark:text-emerald-400",
+  duplicate: "text-amber-600 dark:text-amber-400",
+  invalid: "text-gray-500 dark:text-gray-400",
+  failed: "text-rose-600 dark:text-rose-400",
+};
+
+const STATUS_LABELS = {
+  imported: "✓ Imported",
+  duplicate: "↺ Duplicate",
+  invalid: "– Skipped",
+  failed: "✗ Failed",
+};
+
+export default function ImportPanel({ userId, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [items, setItems] = useState([]);
+  const [folderMode, setFolderMode] = useState("collections");
+  const [enrich, setEnrich] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setReport(null);
+    setFileName(file.name);
+    try {
+      const parsed = parseNetscapeBookmarks(await file.text());
+      setItems(parsed);
+      if (parsed.length === 0) toast.error("No bookmarks found in that file");
+    } catch (error) {
+      console.error("Import parse error:", error);
+      toast.error("Could not read that file");
+      setItems([]);
+    }
+  };
+
+  const runImport = async () => {
+    setImporting(true);
+    setProgress({ done: 0, total: items.length, phase: "checking" });
+    try {
+      const result = await importBookmarks({
+        items,
+        userId,
+        folderMode,
+        enrich,
+        onProgress: (done, total, phase) => setProgress({ done, total, phase }),
+      });
+      setReport(result);
+      const imported = result.filter((r) => r.status === "imported").length;
+      toast.success(`Imported ${imported} of ${result.length} bookmarks`);
+    } catch (error) {
+      console.error("Import error:", error);
+      toast.error("Import failed");
+    } finally {
+      setImporting(false);
+      setProgress(null);
+    }
+  };
+
+  const folderCount = new Set(items.filter((i) => i.folders.length).map((i) => i.folders.join("/"))).size;
+  const counts = (report || []).reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      exit={{ opacity: 0, height: 0 }}
+      className="space-y-4 mb-8 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden"
+    >
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+          Import Bookmarks
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Export your bookmarks from Chrome, Firefox or Safari as an HTML file and pick it here.
+      </p>
+
+      <label className="block w-full p-6 rounded-xl border-2 border-dashed border-gray-300 dark:border-gray-600 text-center cursor-pointer hover:border-indigo-400 transition text-gray-700 dark:text-gray-300">
+        <input
+          type="file"
+          accept=".html,.htm,text/html"
+          className="hidden"
+          disabled={importing}
+          onChange={(e) => handleFile(e.target.files?.[0])}
+        />
+        {fileName ? `📄 ${fileName}` : "📂 Choose bookmarks.html"}
+      </label>
+
+      {items.length > 0 && !report && (
+        <div className="space-y-3 text-gray-800 dark:text-gray-200">
+          <p className="text-sm">
+            Found <strong>{items.length}</strong> bookmark{items.length !== 1 ? "s" : ""} in{" "}
+            <strong>{folderCount}</strong> folder{folderCount !== 1 ? "s" : ""}.
+          </p>
+
+          <div className="flex gap-4 flex-wrap text-sm">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={folderMode === "collections"}
+                onChange={() => setFolderMode("collections")}
+              />
+              Folders → collections
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                checked={folderMode === "tags"}
+                onChange={() => setFolderMode("tags")}
+              />
+              Folders → tags
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={enrich}
+                onChange={(e) => setEnrich(e.target.checked)}
+              />
+              Fetch titles &amp; metadata (slower)
+            </label>
+          </div>
+
+          <button
+            onClick={runImport}
+            disabled={importing}
+            className="w-full py-3 rounded-xl text-white font-semibold bg-gradient-to-r from-indigo-600 to-purple-600 hover:brightness-110 transition disabled:opacity-50"
+          >
+            {importing && progress
+              ? `${progress.phase === "enriching" ? "Fetching metadata" : "Importing"}... ${progress.done}/${progress.total}`
+              : `Import ${items.length} bookmarks`}
+          </button>
+        </div>
+      )}
+
+      {report && (
+        <div className="space-y-3">
+          <div className="flex gap-4 flex-wrap text-sm font-medium">
+            {Object.keys(STATUS_LABELS).map((status) =>
+              counts[status] ? (
+                <span key={status} className={STATUS_STYLES[status]}>
+                  {STATUS_LABELS[status]}: {counts[status]}
+                </span>
+              ) : null
+            )}
+          </div>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700 text-sm rounded-xl border border-gray-200 dark:border-gray-700">
+            {report.map((r, idx) => (
+              <li key={idx} className="flex justify-between gap-4 px-3 py-2">
+                <span className="truncate text-gray-800 dark:text-gray-200" title={r.url}>
+                  {r.title}
+                </span>
+                <span className={`whitespace-nowrap ${STATUS_STYLES[r.status]}`} title={r.message}>
+                  {STATUS_LABELS[r.status]}
+                  {r.message && r.status === "failed" ? ` — ${r.message}` : ""}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </motion.div>
+  );
+}
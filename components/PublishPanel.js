@@ -0,0 +1,186 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import {
+  EXPIRY_OPTIONS,
+  fetchPublicShares,
+  createPublicShare,
+  revokePublicShare,
+  shareUrl,
+  isShareLive,
+} from "@/lib/publicShares";
+import { confirmToast } from "@/lib/confirmToast";
+
+const field =
+  "px-3 py-2 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500";
+
+function shareStatus(share) {
+  if (share.revoked_at) return `revoked ${new Date(share.revoked_at).toLocaleDateString()}`;
+  if (!share.expires_at) return "no expiry";
+  const expires = new Date(share.expires_at);
+  return expires > new Date()
+    ? `expires ${expires.toLocaleString()}`
+    : `expired ${expires.toLocaleDateString()}`;
+}
+
+// `target` is { collectionId, name } for a collection or { tag, name } for a tag
+export default function PublishPanel({ target, userId, onClose }) {
+  const [shares, setShares] = useState(null);
+  const [title, setTitle] = useState(target.name);
+  const [description, setDescription] = useState("");
+  const [slug, setSlug] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setShares(await fetchPublicShares(target));
+    } catch (error) {
+      console.error("Public shares load failed:", error);
+      toast.error("Could not load public links");
+    }
+  }, [target]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const copy = (share) => {
+    navigator.clipboard.writeText(shareUrl(share.slug));
+    toast.success("Link copied!");
+  };
+
+  const publish = async () => {
+    setBusy(true);
+    try {
+      const share = await createPublicShare({ ...target, userId, title, description, slug, expiresInDays });
+      setSlug("");
+      setDescription("");
+      copy(share);
+      await load();
+    } catch (error) {
+      console.error("Publish error:", error);
+      toast.error(error.message || "Could not publish");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revoke = async (share) => {
+    if (!(await confirmToast(`Revoke /s/${share.slug}? Anyone with the link loses access.`, { confirmLabel: "Revoke" }))) return;
+    try {
+      await revokePublicShare(share.id);
+      toast.success("Link revoked");
+      await load();
+    } catch (error) {
+      console.error("Revoke error:", error);
+      toast.error("Could not revoke the link");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      exit={{ opacity: 0, height: 0 }}
+      className="space-y-4 mb-8 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden"
+    >
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+          🌐 Publish {target.collectionId ? `“${target.name}”` : `#${target.tag}`}
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="grid gap-2 sm:grid-cols-2">
+        <input
+          placeholder="Page title"
+          className={field}
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+        />
+        <div className="flex items-center rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm overflow-hidden">
+          <span className="pl-3 text-gray-500 dark:text-gray-400 select-none">/s/</span>
+          <input
+            placeholder="custom-link (optional)"
+            className="flex-1 min-w-0 px-1 py-2 bg-transparent text-gray-900 dark:text-white placeholder-gray-500 outline-none"
+            value={slug}
+            onChange={(e) => setSlug(e.target.value.toLowerCase())}
+          />
+        </div>
+        <textarea
+          placeholder="Description (optional)"
+          rows={2}
+          className={`${field} sm:col-span-2`}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+        <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className={field}>
+          {EXPIRY_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={publish}
+          disabled={busy || !title.trim()}
+          className="px-4 py-2 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition disabled:opacity-50"
+        >
+          {busy ? "Publishing..." : "Publish link"}
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Anyone with the link can read the titles, links and descriptions, and follow them as RSS, Atom or JSON feeds.
+        Leave the link blank for an unguessable one.
+      </p>
+
+      {shares === null ? (
+        <div className="animate-spin h-5 w-5 border-2 border-indigo-600 border-t-transparent rounded-full"></div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {shares.map((share) => {
+            const live = isShareLive(share);
+            return (
+              <li key={share.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                <div className="min-w-0">
+                  <a
+                    href={`/s/${share.slug}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={`text-sm break-all ${
+                      live ? "text-blue-600 dark:text-blue-400 hover:underline" : "text-gray-400 line-through pointer-events-none"
+                    }`}
+                  >
+                    /s/{share.slug}
+                  </a>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {share.title} · {shareStatus(share)}
+                  </p>
+                </div>
+                {live && (
+                  <div className="flex items-center gap-3">
+                    <button onClick={() => copy(share)} className="text-sm text-indigo-600 dark:text-indigo-400 hover:underline">
+                      Copy link
+                    </button>
+                    <button onClick={() => revoke(share)} className="text-sm text-rose-600 hover:underline">
+                      Revoke
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+          {shares.length === 0 && (
+            <li className="py-2 text-sm text-gray-500 dark:text-gray-400">Not published yet.</li>
+          )}
+        </ul>
+      )}
+    </motion.div>
+  );
+}
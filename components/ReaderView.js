@@ -0,0 +1,139 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import { fetchSnapshot, captureSnapshot } from "@/lib/snapshots";
+
+// The snapshot is rendered in a sandboxed iframe whose CSP forbids every
+// network request, so reading never touches the live site — even if a stored
+// snapshot somehow contained a script or remote resource.
+const readerDocument = (snapshot, dark) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<base target="_blank">
+<style>
+  body { margin: 0; padding: 1.5rem 2rem 3rem; font: 18px/1.7 Georgia, 'Times New Roman', serif;
+         color: ${dark ? "#e5e7eb" : "#1f2937"}; background: ${dark ? "#111827" : "#fffdf8"}; }
+  main { max-width: 42rem; margin: 0 auto; }
+  h1, h2, h3, h4 { font-family: system-ui, sans-serif; line-height: 1.3; }
+  a { color: ${dark ? "#93c5fd" : "#2563eb"}; }
+  pre, code { font-family: ui-monospace, monospace; font-size: 0.85em; }
+  pre { overflow-x: auto; padding: 1rem; background: ${dark ? "#1f2937" : "#f3f4f6"}; border-radius: 0.5rem; }
+  blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid ${dark ? "#4b5563" : "#d1d5db"}; }
+  table { border-collapse: collapse; } td, th { border: 1px solid ${dark ? "#374151" : "#e5e7eb"}; padding: 0.25rem 0.5rem; }
+</style>
+</head>
+<body><main>${snapshot.html}</main></body>
+</html>`;
+
+// `canCapture`: only the bookmark's owner and editors of its collection may
+// write its snapshot
+export default function ReaderView({ bookmark, userId, dark, canCapture = true, onClose }) {
+  const [snapshot, setSnapshot] = useState(undefined);
+  const [capturing, setCapturing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSnapshot(bookmark.id)
+      .then((data) => {
+        if (!cancelled) setSnapshot(data);
+      })
+      .catch((error) => {
+        console.error("Snapshot load failed:", error);
+        if (!cancelled) setSnapshot(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookmark.id]);
+
+  const capture = async () => {
+    setCapturing(true);
+    try {
+      setSnapshot(await captureSnapshot(bookmark, userId));
+      toast.success("Snapshot saved");
+    } catch (error) {
+      console.error("Snapshot capture failed:", error);
+      toast.error(error.message || "Capture failed");
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: 30, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        className="w-full max-w-4xl h-[90vh] flex flex-col rounded-3xl overflow-hidden bg-white dark:bg-gray-900 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start gap-4 p-5 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h3 className="text-lg font-bold text-gray-900 dark:text-white truncate">
+              {snapshot?.title || bookmark.title}
+            </h3>
+            {snapshot && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {snapshot.byline && `${snapshot.byline} · `}
+                {snapshot.word_count.toLocaleString()} words · saved{" "}
+                {new Date(snapshot.captured_at).toLocaleString()} from{" "}
+                <span className="break-all">{snapshot.source_url}</span>
+              </p>
+            )}
+          </div>
+          <div className="flex gap-2 shrink-0">
+            {canCapture && (
+              <button
+                onClick={capture}
+                disabled={capturing}
+                className="px-4 py-1.5 text-sm bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition disabled:opacity-50"
+              >
+                {capturing ? "Saving..." : snapshot ? "Re-capture" : "Capture now"}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="px-4 py-1.5 text-sm bg-gray-500 hover:bg-gray-600 text-white rounded-lg transition"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+
+        {snapshot === undefined && (
+          <div className="flex-1 flex items-center justify-center">
+            <div className="animate-spin h-8 w-8 border-2 border-indigo-600 border-t-transparent rounded-full"></div>
+          </div>
+        )}
+
+        {snapshot === null && (
+          <div className="flex-1 flex flex-col items-center justify-center gap-2 text-gray-600 dark:text-gray-400 p-6 text-center">
+            <p>No offline copy of this page yet.</p>
+            {canCapture && (
+              <p className="text-sm">Capture one now to keep it readable even if the site goes away.</p>
+            )}
+          </div>
+        )}
+
+        {snapshot && (
+          <iframe
+            title={`Saved copy of ${bookmark.title}`}
+            sandbox="allow-popups allow-popups-to-escape-sandbox"
+            srcDoc={readerDocument(snapshot, dark)}
+            className="flex-1 w-full border-0"
+          />
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,171 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { fetchRevisions, diffTags, describeOrigin, REVISION_FIELDS } from "@/lib/revisions";
+import { deviceId } from "@/lib/device";
+
+const empty = <span className="italic text-gray-400">empty</span>;
+
+function FieldDiff({ field, before, after, collectionName }) {
+  if (field === "tags") {
+    const { added, removed } = diffTags(before, after);
+    return (
+      <div className="flex flex-wrap gap-1">
+        {added.map((t) => (
+          <span key={`+${t}`} className="px-2 py-0.5 rounded-full text-xs bg-emerald-100 text-emerald-800 dark:bg-emerald-900/60 dark:text-emerald-200">
+            +#{t}
+          </span>
+        ))}
+        {removed.map((t) => (
+          <span key={`-${t}`} className="px-2 py-0.5 rounded-full text-xs line-through bg-rose-100 text-rose-800 dark:bg-rose-900/60 dark:text-rose-200">
+            #{t}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  const show = (value) => {
+    if (value === null || value === undefined || value === "") return empty;
+    return field === "collection_id" ? collectionName(value) : String(value);
+  };
+
+  return (
+    <div className="grid gap-1 text-sm break-words">
+      <div className="px-2 py-1 rounded bg-rose-50 dark:bg-rose-900/30 text-rose-800 dark:text-rose-200">
+        <span className="select-none mr-1">−</span>
+        {show(before)}
+      </div>
+      <div className="px-2 py-1 rounded bg-emerald-50 dark:bg-emerald-900/30 text-emerald-800 dark:text-emerald-200">
+        <span className="select-none mr-1">+</span>
+        {show(after)}
+      </div>
+    </div>
+  );
+}
+
+export default function RevisionHistory({ bookmark, userId, people, canRevert, collections, onRevert, onClose }) {
+  const [revisions, setRevisions] = useState(undefined);
+  const [reverting, setReverting] = useState(null);
+  const [currentDevice] = useState(() => deviceId());
+
+  const load = useCallback(async () => {
+    try {
+      setRevisions(await fetchRevisions(bookmark.id));
+    } catch (error) {
+      console.error("History load failed:", error);
+      setRevisions(null);
+    }
+  }, [bookmark.id]);
+
+  // `bookmark` is the live row, so a new edit (here or elsewhere) reloads
+  useEffect(() => {
+    load();
+  }, [load, bookmark]);
+
+  const collectionName = (id) =>
+    collections.find((c) => c.id === id)?.name || "(deleted collection)";
+
+  const revert = async (revision) => {
+    setReverting(revision.id);
+    try {
+      await onRevert(revision);
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ y: 30, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        className="w-full max-w-2xl max-h-[90vh] flex flex-col rounded-3xl overflow-hidden bg-white dark:bg-gray-900 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-start gap-4 p-5 border-b border-gray-200 dark:border-gray-700">
+          <div className="min-w-0">
+            <h3 className="text-lg font-bold text-gray-900 dark:text-white truncate">
+              🕘 History · {bookmark.title}
+            </h3>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Reverting puts back the values from before a change, as a new edit.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-1.5 text-sm bg-gray-500 hover:bg-gray-600 text-white rounded-lg transition shrink-0"
+          >
+            Close
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-5 space-y-4">
+          {revisions === undefined && (
+            <div className="flex justify-center py-10">
+              <div className="animate-spin h-8 w-8 border-2 border-indigo-600 border-t-transparent rounded-full"></div>
+            </div>
+          )}
+
+          {revisions === null && (
+            <p className="text-center text-rose-600 py-10">Could not load the history.</p>
+          )}
+
+          {revisions?.length === 0 && (
+            <p className="text-center text-gray-500 dark:text-gray-400 py-10">
+              No edits since this bookmark was saved.
+            </p>
+          )}
+
+          {revisions?.map((revision) => (
+            <div
+              key={revision.id}
+              className="p-4 rounded-2xl border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/60 space-y-3"
+            >
+              <div className="flex justify-between items-start gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-gray-900 dark:text-white">
+                    {new Date(revision.changed_at).toLocaleString()}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {describeOrigin(revision, { currentDeviceId: currentDevice, userId, people })}
+                  </p>
+                </div>
+                {canRevert && (
+                  <button
+                    onClick={() => revert(revision)}
+                    disabled={reverting !== null}
+                    className="px-3 py-1 text-sm bg-amber-500 hover:bg-amber-600 text-white rounded-lg transition disabled:opacity-50 shrink-0"
+                  >
+                    {reverting === revision.id ? "Reverting..." : "↶ Revert"}
+                  </button>
+                )}
+              </div>
+
+              {revision.changed_fields.map((field) => (
+                <div key={field} className="space-y-1">
+                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    {REVISION_FIELDS[field] || field}
+                  </p>
+                  <FieldDiff
+                    field={field}
+                    before={revision.before[field]}
+                    after={revision.after[field]}
+                    collectionName={collectionName}
+                  />
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
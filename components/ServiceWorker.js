@@ -0,0 +1,16 @@
+"use client";
+
+import { useEffect } from "react";
+
+// Registers public/sw.js in production builds (in development it would cache
+// hot-reloaded chunks)
+export default function ServiceWorker() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((error) => console.error("Service worker registration failed:", error));
+  }, []);
+
+  return null;
+}
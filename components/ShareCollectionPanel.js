@@ -0,0 +1,153 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import {
+  MEMBER_ROLES,
+  fetchSharing,
+  inviteToCollection,
+  setMemberRole,
+  removeMember,
+  deleteInvite,
+} from "@/lib/collections";
+
+const select =
+  "px-2 py-1 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white";
+
+function RoleSelect({ value, onChange, disabled }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className={select}>
+      {Object.entries(MEMBER_ROLES).map(([role, label]) => (
+        <option key={role} value={role}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+export default function ShareCollectionPanel({ collection, onClose }) {
+  const [sharing, setSharing] = useState(null);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("viewer");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      setSharing(await fetchSharing(collection.id));
+    } catch (error) {
+      console.error("Sharing load failed:", error);
+      toast.error("Could not load members");
+    }
+  }, [collection.id]);
+
+  // `collection.members` changes with realtime membership events
+  useEffect(() => {
+    load();
+  }, [load, collection.members]);
+
+  const run = async (action, success) => {
+    setBusy(true);
+    try {
+      await action();
+      if (success) toast.success(success);
+      await load();
+    } catch (error) {
+      console.error("Sharing error:", error);
+      toast.error(error.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const invite = () =>
+    run(async () => {
+      await inviteToCollection(collection.id, email.trim(), role);
+      setEmail("");
+    }, `Invited ${email.trim()}`);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: "auto" }}
+      exit={{ opacity: 0, height: 0 }}
+      className="space-y-4 mb-8 bg-white/60 dark:bg-gray-800/85 p-6 rounded-2xl border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden"
+    >
+      <div className="flex justify-between items-center">
+        <h3 className="text-xl font-bold text-gray-900 dark:text-white">
+          👥 Share “{collection.name}”
+        </h3>
+        <button
+          onClick={onClose}
+          className="text-sm text-gray-500 dark:text-gray-400 hover:underline"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <input
+          type="email"
+          placeholder="teammate@example.com"
+          className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg text-sm bg-white dark:bg-gray-900 border border-gray-300 dark:border-gray-700 text-gray-900 dark:text-white placeholder-gray-500"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && email.trim() && invite()}
+        />
+        <RoleSelect value={role} onChange={setRole} />
+        <button
+          onClick={invite}
+          disabled={busy || !email.trim()}
+          className="px-4 py-2 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition disabled:opacity-50"
+        >
+          Invite
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        They&apos;ll see the invite in their dashboard after signing in with that email.
+      </p>
+
+      {sharing === null ? (
+        <div className="animate-spin h-5 w-5 border-2 border-indigo-600 border-t-transparent rounded-full"></div>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {sharing.members.map((m) => (
+            <li key={m.user_id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+              <span className="text-sm text-gray-900 dark:text-white break-all">{m.email}</span>
+              <div className="flex items-center gap-2">
+                <RoleSelect
+                  value={m.role}
+                  disabled={busy}
+                  onChange={(next) => run(() => setMemberRole(collection.id, m.user_id, next), "Role updated")}
+                />
+                <button
+                  onClick={() => run(() => removeMember(collection.id, m.user_id), `Removed ${m.email}`)}
+                  disabled={busy}
+                  className="text-sm text-rose-600 hover:underline disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            </li>
+          ))}
+          {sharing.invites.map((invite) => (
+            <li key={invite.id} className="flex flex-wrap items-center justify-between gap-2 py-2">
+              <span className="text-sm text-gray-500 dark:text-gray-400 break-all">
+                {invite.email} · invited as {invite.role}
+              </span>
+              <button
+                onClick={() => run(() => deleteInvite(invite.id), "Invite cancelled")}
+                disabled={busy}
+                className="text-sm text-rose-600 hover:underline disabled:opacity-50"
+              >
+                Cancel invite
+              </button>
+            </li>
+          ))}
+          {sharing.members.length === 0 && sharing.invites.length === 0 && (
+            <li className="py-2 text-sm text-gray-500 dark:text-gray-400">Only you can see this collection.</li>
+          )}
+        </ul>
+      )}
+    </motion.div>
+  );
+}
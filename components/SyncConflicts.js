@@ -0,0 +1,76 @@
+"use client";
+
+import { motion } from "framer-motion";
+import { fieldLabel } from "@/lib/writeQueue";
+
+const describe = (conflict) => {
+  if (conflict.kind === "deleted") return "was deleted on another device after you edited it offline.";
+  if (conflict.kind === "duplicate") {
+    return `was saved on another device meanwhile${conflict.duplicate?.title ? ` as “${conflict.duplicate.title}”` : ""}.`;
+  }
+  return "was also changed on another device:";
+};
+
+// [keep mine, keep theirs] button labels
+const choices = (conflict) => {
+  if (conflict.kind === "deleted") return ["Restore with my changes", "Leave it deleted"];
+  if (conflict.kind === "duplicate") return ["Keep both", "Discard mine"];
+  return ["Keep mine", "Keep theirs"];
+};
+
+// Offline changes that met a different change from another device when they
+// replayed (lib/writeQueue.js), shown above the dashboard until settled
+export default function SyncConflicts({ conflicts, collectionsById, onResolve }) {
+  const show = (field, value) => {
+    if (field === "tags") return value?.length ? value.map((tag) => `#${tag}`).join(" ") : "no tags";
+    if (field === "collection_id") return value ? collectionsById.get(value)?.name || "another collection" : "no collection";
+    return value || "empty";
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-6 space-y-2"
+    >
+      {conflicts.map((conflict) => {
+        const [mineLabel, theirsLabel] = choices(conflict);
+        return (
+          <div
+            key={conflict.id}
+            className="p-4 rounded-2xl bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700/60 text-sm text-gray-800 dark:text-gray-100 space-y-2"
+          >
+            <p>
+              ⚠️ <strong>{conflict.label?.title || conflict.label?.url || "A bookmark"}</strong> {describe(conflict)}
+            </p>
+            {conflict.kind === "fields" && (
+              <ul className="space-y-1">
+                {conflict.changes.map(({ field, mine, theirs }) => (
+                  <li key={field} className="break-words">
+                    <span className="font-medium">{fieldLabel(field)}:</span> yours “{show(field, mine)}” · theirs “
+                    {show(field, theirs)}”
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-2 justify-end">
+              <button
+                onClick={() => onResolve(conflict, false)}
+                className="px-3 py-1 rounded-lg bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 transition"
+              >
+                {theirsLabel}
+              </button>
+              <button
+                onClick={() => onResolve(conflict, true)}
+                className="px-3 py-1 rounded-lg bg-amber-500 hover:bg-amber-600 text-white transition"
+              >
+                {mineLabel}
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </motion.div>
+  );
+}
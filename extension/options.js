@@ -0,0 +1,31 @@
+// Options: where Smart Bookmark runs and which token to save with. "Save"
+// checks both with a real API call before storing them.
+import { loadSettings, saveSettings, api } from "./settings.js";
+
+const $ = (id) => document.getElementById(id);
+
+loadSettings().then(({ appUrl, token }) => {
+  $("app-url").value = appUrl;
+  $("token").value = token;
+});
+
+$("options").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const settings = { appUrl: $("app-url").value.trim().replace(/\/+$/, ""), token: $("token").value.trim() };
+  $("status").textContent = "Checking...";
+
+  try {
+    // A token without "read" answers 403 INSUFFICIENT_SCOPE, which still proves it works
+    const { ok, data } = await api(settings, "/tags?limit=1");
+    if (!ok && data.code !== "INSUFFICIENT_SCOPE") {
+      $("status").textContent = data.error || "That address or token didn't work";
+      return;
+    }
+  } catch {
+    $("status").textContent = `Could not reach ${settings.appUrl}`;
+    return;
+  }
+
+  await saveSettings(settings);
+  $("status").textContent = "Saved ✓";
+});
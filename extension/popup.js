@@ -0,0 +1,107 @@
+// 📌 Popup: save the active tab (URL, title, selected text) with tags through
+// POST /api/v1/save, which fetches the page details and checks duplicates.
+import { loadSettings, api } from "./settings.js";
+
+const $ = (id) => document.getElementById(id);
+const show = (id, visible = true) => ($(id).hidden = !visible);
+
+async function currentPage() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let selection = "";
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => String(getSelection()),
+    });
+    selection = (result?.result || "").trim().slice(0, 2000);
+  } catch {
+    // Browser pages (chrome://, the web store) can't be scripted
+  }
+  return { url: tab.url, title: tab.title, selection };
+}
+
+// Suggestions need the "read" scope; a write-only token just gets none
+async function suggestTags(settings) {
+  const { ok, data } = await api(settings, "/tags?limit=200").catch(() => ({ ok: false }));
+  if (!ok) return;
+  $("tag-list").replaceChildren(
+    ...data.data.map(({ tag }) => Object.assign(document.createElement("option"), { value: tag }))
+  );
+}
+
+async function init() {
+  const settings = await loadSettings();
+  if (!settings.appUrl || !settings.token) {
+    show("setup");
+    $("open-options").addEventListener("click", (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+    return;
+  }
+
+  const page = await currentPage();
+  $("url").textContent = page.url;
+  $("title").value = page.title || "";
+  if (page.selection) {
+    $("selection").textContent = page.selection;
+    show("selection");
+  }
+  show("form");
+  $("tags").focus();
+  suggestTags(settings);
+
+  const save = async (allowDuplicate) => {
+    $("save").disabled = true;
+    $("save").textContent = "Saving...";
+    show("error", false);
+    show("duplicate", false);
+
+    try {
+      const { ok, status, data } = await api(settings, "/save", {
+        method: "POST",
+        body: JSON.stringify({
+          url: page.url,
+          title: $("title").value,
+          selection: page.selection,
+          tags: $("tags").value,
+          allow_duplicate: allowDuplicate,
+        }),
+      });
+
+      if (ok) {
+        show("form", false);
+        $("saved-title").textContent = data.data.title;
+        if (data.warning) {
+          $("warning").textContent = data.warning;
+          show("warning");
+        }
+        $("open-app").href = settings.appUrl;
+        show("saved");
+        setTimeout(() => window.close(), 1500);
+        return;
+      }
+
+      if (status === 409 && data.code === "DUPLICATE") {
+        $("duplicate-text").textContent = `Already saved as “${data.details.title}”. `;
+        show("duplicate");
+      } else {
+        $("error").textContent = data.error || `Save failed (HTTP ${status})`;
+        show("error");
+      }
+    } catch {
+      $("error").textContent = `Could not reach ${settings.appUrl}`;
+      show("error");
+    }
+    $("save").disabled = false;
+    $("save").textContent = "Save bookmark";
+  };
+
+  $("form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    save(false);
+  });
+  $("save-anyway").addEventListener("click", () => save(true));
+}
+
+init();
@@ -0,0 +1,24 @@
+// App address and personal access token, kept in the browser's synced
+// extension storage (set on the options page).
+export async function loadSettings() {
+  const { appUrl = "", token = "" } = await chrome.storage.sync.get(["appUrl", "token"]);
+  return { appUrl, token };
+}
+
+export async function saveSettings({ appUrl, token }) {
+  await chrome.storage.sync.set({ appUrl: appUrl.trim().replace(/\/+$/, ""), token: token.trim() });
+}
+
+// Calls /api/v1 with the token; resolves to `{ ok, status, data }`
+export async function api(settings, path, init = {}) {
+  const response = await fetch(`${settings.appUrl}/api/v1${path}`, {
+    ...init,
+    headers: {
+      Authorization: `Bearer ${settings.token}`,
+      "Content-Type": "application/json",
+      ...init.headers,
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
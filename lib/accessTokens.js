@@ -0,0 +1,46 @@
+// 🔑 Personal access tokens for the REST API (/api/v1), managed from the
+// settings page. The secret is generated in Postgres and returned once by
+// create_access_token(); only its hash is stored.
+import { supabase } from "@/lib/supabase";
+
+export const TOKEN_SCOPES = {
+  read: "Read — list, search and get",
+  write: "Write — create, update and delete",
+};
+
+export const TOKEN_EXPIRY_OPTIONS = [
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "No expiry" },
+];
+
+export const isTokenActive = (token) =>
+  !token.revoked_at && (!token.expires_at || new Date(token.expires_at) > new Date());
+
+/** The user's tokens, newest first (without secrets). */
+export async function fetchAccessTokens() {
+  const { data, error } = await supabase
+    .from("personal_access_tokens")
+    .select("id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at")
+    .order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Resolves to the new row plus `token`, the secret — shown to the user once. */
+export async function createAccessToken({ name, scopes, expiresInDays }) {
+  const { data, error } = await supabase.rpc("create_access_token", {
+    token_name: name.trim(),
+    token_scopes: scopes,
+    expires_in_days: expiresInDays ? Number(expiresInDays) : null,
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** Revoked tokens stop working on the next request. */
+export async function revokeAccessToken(id) {
+  const { error } = await supabase.rpc("revoke_access_token", { token_id: id });
+  if (error) throw error;
+}
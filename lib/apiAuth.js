@@ -0,0 +1,59 @@
+// 🔐 Auth guard for API route handlers.
+//
+//   export const GET = withAuth(async (request, { user, supabase }) => { ... },
+//     { quotas: [perMinute] });
+//
+// Anonymous or invalid tokens get a 401 before the handler runs, so no route
+// can be used as an open proxy. `supabase` is the per-request client from
+// lib/supabaseServer.js, which keeps RLS in force for everything the handler
+// reads or writes on the user's behalf.
+//
+// Personal access tokens are only accepted by routes that declare the
+// `scope` ("read" or "write") they need; everything else is session-only.
+import { NextResponse } from "next/server";
+import {
+  getRequestUser,
+  getBearerToken,
+  isAccessToken,
+  accessTokensEnabled,
+} from "@/lib/supabaseServer";
+
+const deny = (status, code, error) => NextResponse.json({ error, code }, { status });
+
+export function withAuth(handler, { quotas = [], scope = null } = {}) {
+  return async (request, context = {}) => {
+    const auth = await getRequestUser(request);
+    if (!auth) {
+      if (!isAccessToken(getBearerToken(request))) {
+        return deny(401, "UNAUTHORIZED", "Sign in to use this endpoint");
+      }
+      return accessTokensEnabled()
+        ? deny(401, "UNAUTHORIZED", "Access token is invalid, expired or revoked")
+        : deny(503, "NOT_CONFIGURED", "Access tokens are not enabled on this server");
+    }
+
+    if (auth.token && !scope) {
+      return deny(403, "FORBIDDEN", "Access tokens can't be used with this endpoint");
+    }
+    if (auth.token && !auth.token.scopes.includes(scope)) {
+      return deny(403, "INSUFFICIENT_SCOPE", `This token needs the "${scope}" scope`);
+    }
+
+    // Per-user quotas (lib/rateLimit.js), checked in order
+    for (const quota of quotas) {
+      const rate = quota.check(auth.user.id);
+      if (!rate.allowed) {
+        return NextResponse.json(
+          {
+            error: `Quota of ${quota.limit} requests exceeded, try again in ${rate.retryAfter}s`,
+            code: "RATE_LIMITED",
+            retryAfter: rate.retryAfter,
+          },
+          { status: 429, headers: { "Retry-After": String(rate.retryAfter) } }
+        );
+      }
+    }
+
+    return handler(request, { ...context, ...auth });
+  };
+}
@@ -0,0 +1,216 @@
+// 🔌 Shared plumbing for the public REST API (app/api/v1, server-only).
+//
+//   export const GET = v1Route(async (request, { user, supabase }) => { ... }, "read");
+//
+// Every route authenticates with withAuth() (a personal access token or a
+// browser session), answers errors as `{ error, code, details? }` and lists as
+// `{ data, pagination: { limit, has_more, next_cursor } }`. Queries run as the
+// caller, so RLS decides what each token can see and change.
+import { NextResponse } from "next/server";
+import { withAuth } from "@/lib/apiAuth";
+import { createRateLimiter } from "@/lib/rateLimit";
+import { fetchCollections, findOrCreateCollection, canEditCollection } from "@/lib/collections";
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// 120 calls a minute per user, across all v1 routes
+const perMinute = createRateLimiter({ limit: 120, windowMs: 60_000 });
+
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const notFound = (what = "Resource") => new ApiError(404, "NOT_FOUND", `${what} not found`);
+
+export const apiError = (status, code, error, details) =>
+  NextResponse.json({ error, code, ...(details !== undefined && { details }) }, { status });
+
+// PostgREST / Postgres errors that mean "bad request" rather than "server broke"
+const fromDatabaseError = (error) => {
+  switch (error.code) {
+    case "PGRST116": // .single() matched no row: missing, or hidden by RLS
+      return notFound();
+    case "22P02": // malformed uuid
+      return new ApiError(400, "INVALID_ID", "Malformed id");
+    case "23505":
+      return new ApiError(409, "CONFLICT", "Already exists");
+    case "42501": // row-level security refused the write
+      return new ApiError(403, "FORBIDDEN", "You can't change this resource");
+    default:
+      return null;
+  }
+};
+
+/**
+ * withAuth() plus error handling; `scope` is what a token needs ("read" or
+ * "write"), `quotas` are checked after the shared per-minute limit.
+ */
+export const v1Route = (handler, scope, quotas = []) =>
+  withAuth(
+    async (request, context) => {
+      try {
+        return await handler(request, context);
+      } catch (error) {
+        const known = error instanceof ApiError ? error : fromDatabaseError(error);
+        if (known) return apiError(known.status, known.code, known.message, known.details);
+        console.error("API v1 error:", error);
+        return apiError(500, "INTERNAL_ERROR", "Something went wrong");
+      }
+    },
+    { scope, quotas: [perMinute, ...quotas] }
+  );
+
+// For callers outside the app's origin (the browser extension). Tokens travel
+// in the Authorization header, never cookies, so any origin may call.
+const corsHeaders = (methods) => ({
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": `${methods}, OPTIONS`,
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  "Access-Control-Max-Age": "86400",
+});
+
+export const corsPreflight = (methods) => () =>
+  new Response(null, { status: 204, headers: corsHeaders(methods) });
+
+export const withCors = (methods, handler) => async (request, context) => {
+  const response = await handler(request, context);
+  for (const [name, value] of Object.entries(corsHeaders(methods))) response.headers.set(name, value);
+  return response;
+};
+
+export async function readJson(request) {
+  try {
+    const body = await request.json();
+    if (body && typeof body === "object" && !Array.isArray(body)) return body;
+  } catch {
+    // fall through
+  }
+  throw new ApiError(400, "INVALID_JSON", "Request body must be a JSON object");
+}
+
+// `validateBookmarkInput()`-style `[{ field, message }]` → 422
+export const assertValid = (errors) => {
+  if (errors.length) throw new ApiError(422, "VALIDATION_FAILED", errors[0].message, errors);
+};
+
+/** `body[field]` as a non-empty trimmed string, or a 422. */
+export function requireText(body, field) {
+  const value = typeof body[field] === "string" ? body[field].trim() : "";
+  if (!value) {
+    throw new ApiError(422, "VALIDATION_FAILED", `${field} is required`, [
+      { field, message: `${field} is required` },
+    ]);
+  }
+  return value;
+}
+
+/**
+ * The collection a bookmark body asks for: `collection_id` (must be one the
+ * caller can edit, or null to unfile) or `collection` by name, created if
+ * missing like in the dashboard form. `undefined` when the body has neither.
+ */
+export async function resolveCollectionField(body, { client, userId }) {
+  if (body.collection_id !== undefined) {
+    if (body.collection_id === null) return null;
+    const collection = (await fetchCollections(userId, client)).find((c) => c.id === body.collection_id);
+    if (!canEditCollection(collection)) {
+      throw new ApiError(422, "VALIDATION_FAILED", "Unknown collection, or one you can't add to", [
+        { field: "collection_id", message: "Unknown collection, or one you can't add to" },
+      ]);
+    }
+    return collection.id;
+  }
+
+  if (body.collection !== undefined) {
+    if (body.collection === null || body.collection === "") return null;
+    if (typeof body.collection !== "string" || !body.collection.trim()) {
+      throw new ApiError(422, "VALIDATION_FAILED", "collection must be a name", [
+        { field: "collection", message: "collection must be a name" },
+      ]);
+    }
+    return (await findOrCreateCollection(body.collection, userId, client)).id;
+  }
+
+  return undefined;
+}
+
+// ---- Pagination ----
+// Cursors are opaque to clients: base64url JSON of whatever the list needs
+// (a keyset position, or an offset for searches and small lists).
+
+export const encodeCursor = (cursor) =>
+  cursor ? Buffer.from(JSON.stringify(cursor)).toString("base64url") : null;
+
+export function readPaging(searchParams) {
+  const rawLimit = searchParams.get("limit");
+  const limit = rawLimit === null ? DEFAULT_LIMIT : Number(rawLimit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(400, "INVALID_LIMIT", `limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const raw = searchParams.get("cursor");
+  if (!raw) return { limit, cursor: null };
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (cursor && typeof cursor === "object") return { limit, cursor };
+  } catch {
+    // fall through
+  }
+  throw new ApiError(400, "INVALID_CURSOR", "cursor is not one this API returned");
+}
+
+export const listResponse = (data, { limit, hasMore, nextCursor }) =>
+  NextResponse.json({
+    data,
+    pagination: { limit, has_more: hasMore, next_cursor: hasMore ? encodeCursor(nextCursor) : null },
+  });
+
+/** Page through an in-memory list (tags, collections) with an offset cursor. */
+export function paginateList(items, { limit, cursor }) {
+  const offset = Number.isInteger(cursor?.offset) && cursor.offset > 0 ? cursor.offset : 0;
+  return {
+    data: items.slice(offset, offset + limit),
+    hasMore: items.length > offset + limit,
+    nextCursor: { offset: offset + limit },
+  };
+}
+
+// ---- Representations ----
+
+const BOOKMARK_FIELDS = [
+  "id",
+  "title",
+  "url",
+  "description",
+  "tags",
+  "collection_id",
+  "favicon_url",
+  "image_url",
+  "site_name",
+  "canonical_url",
+  "lang",
+  "published_at",
+  "link_status",
+  "link_checked_at",
+  "created_at",
+  "deleted_at",
+];
+
+// Internal columns (search vectors, article text, keys) stay out of the API
+export const toApiBookmark = (row) =>
+  Object.fromEntries(BOOKMARK_FIELDS.map((field) => [field, row[field] ?? null]));
+
+export const toApiCollection = (collection) => ({
+  id: collection.id,
+  name: collection.name,
+  role: collection.role,
+  owner_id: collection.user_id,
+  created_at: collection.created_at,
+});
@@ -0,0 +1,12 @@
+// 🔐 fetch() for our own API routes with the current Supabase access token
+// attached, so route handlers can act as the signed-in user.
+import { supabase } from "@/lib/supabase";
+
+export async function authFetch(input, init = {}) {
+  const { data: { session } } = await supabase.auth.getSession();
+  const headers = new Headers(init.headers);
+  if (session?.access_token) {
+    headers.set("Authorization", `Bearer ${session.access_token}`);
+  }
+  return fetch(input, { ...init, headers });
+}
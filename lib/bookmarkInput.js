@@ -0,0 +1,48 @@
+// ✅ Bookmark input rules, shared by the dashboard form and /api/v1 so a
+// script can't save anything the form would refuse.
+import { isValidUrl } from "@/lib/url";
+import { parseTags } from "@/lib/tags";
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+/**
+ * Check and normalize user-supplied bookmark fields. With `partial` (edits)
+ * only the fields present are checked. Tags may be an array or a
+ * comma-separated string, as typed in the form.
+ * Returns `{ fields, errors }`, where `errors` is `[{ field, message }]`.
+ */
+export function validateBookmarkInput(input, { partial = false } = {}) {
+  const fields = {};
+  const errors = [];
+  const has = (key) => input?.[key] !== undefined;
+
+  if (!partial || has("title")) {
+    const title = text(input?.title);
+    if (!title) errors.push({ field: "title", message: "Title is required" });
+    else fields.title = title;
+  }
+
+  if (!partial || has("url")) {
+    const url = text(input?.url);
+    if (!url) errors.push({ field: "url", message: "URL is required" });
+    else if (!isValidUrl(url)) errors.push({ field: "url", message: "Invalid URL" });
+    else fields.url = url;
+  }
+
+  if (has("tags")) {
+    const { tags } = input;
+    if (typeof tags === "string") fields.tags = parseTags(tags);
+    else if (Array.isArray(tags) && tags.every((t) => typeof t === "string")) fields.tags = parseTags(tags.join(","));
+    else errors.push({ field: "tags", message: "Tags must be a list of strings" });
+  }
+
+  if (has("description")) {
+    if (input.description === null || typeof input.description === "string") {
+      fields.description = text(input.description) || null;
+    } else {
+      errors.push({ field: "description", message: "Description must be a string" });
+    }
+  }
+
+  return { fields, errors };
+}
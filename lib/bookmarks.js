@@ -0,0 +1,326 @@
+// 🧠 SYSTEM DESIGN: Bookmark query helpers
+// Keyset (cursor) pagination on (created_at, id) so pages stay stable while
+// realtime INSERT/DELETE events shift rows around above the cursor.
+// Searches go through the ranked `search_bookmarks` RPC instead (offset paging,
+// since rank order has no stable keyset).
+// Trashed rows (deleted_at set, see lib/trash.js) only appear with `trash: true`.
+// A collection view shows every row in it the user can read (shared
+// collections, lib/collections.js); other views only the user's own rows.
+import { supabase } from "@/lib/supabase";
+import { parseSearchQuery, isStructuredQuery } from "@/lib/searchQuery";
+import { isBroken } from "@/lib/linkHealth";
+
+export const PAGE_SIZE = 12;
+
+// PostgREST caps a single response (1000 rows by default on Supabase)
+const FACET_CHUNK = 1000;
+
+// Quote a value for use inside a PostgREST `or=(...)` filter
+const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+// Own rows plus rows in collections shared with the user, as a PostgREST `or`
+const ownerFilter = (userId, sharedCollectionIds) =>
+  sharedCollectionIds.length
+    ? `user_id.eq.${userId},collection_id.in.(${sharedCollectionIds.join(",")})`
+    : `user_id.eq.${userId}`;
+
+const applyFilters = (query, { tag, collectionId, unfiled, brokenOnly, trash }) => {
+  query = trash ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+  if (tag) query = query.contains("tags", [tag]);
+  if (collectionId) query = query.eq("collection_id", collectionId);
+  else if (unfiled) query = query.is("collection_id", null);
+  // Same rule as bookmark_is_broken() in SQL and isBroken() in lib/linkHealth.js
+  if (brokenOnly) {
+    query = query.or(
+      "link_error.not.is.null,and(link_status.gte.400,link_status.not.in.(401,403,429))"
+    );
+  }
+  return query;
+};
+
+export const isSearchActive = (search) => isStructuredQuery(parseSearchQuery(search));
+
+export const cursorFor = (row) => (row ? { created_at: row.created_at, id: row.id } : null);
+
+// Newest first; ties on created_at are broken by id
+export const compareBookmarks = (a, b) => {
+  if (a.created_at !== b.created_at) return a.created_at < b.created_at ? 1 : -1;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+};
+
+// Ranked full-text search (see supabase/migrations/*_full_text_search.sql)
+async function searchBookmarksPage({ client, search, cursor, tag, collectionId, unfiled, brokenOnly, trash, limit }) {
+  const parsed = parseSearchQuery(search);
+  const offset = cursor?.offset || 0;
+  const tags = [...new Set([...(tag ? [tag] : []), ...parsed.tags])];
+
+  const { data, error } = await client.rpc("search_bookmarks", {
+    q: parsed.text,
+    site_filter: parsed.site,
+    tag_filter: tags.length ? tags : null,
+    collection: collectionId,
+    result_limit: limit + 1,
+    result_offset: offset,
+    broken_only: Boolean(brokenOnly),
+    in_trash: Boolean(trash),
+  });
+
+  if (error) throw error;
+
+  const page = (data || []).slice(0, limit);
+  const rows = page
+    // search_bookmarks has no "no collection" filter
+    .filter((r) => !unfiled || !r.bookmark.collection_id)
+    .map((r) => ({
+      ...r.bookmark,
+      rank: r.rank,
+      title_highlight: r.title_highlight,
+      snippet: r.snippet,
+    }));
+  return {
+    rows,
+    hasMore: (data || []).length > limit,
+    nextCursor: { offset: offset + page.length },
+  };
+}
+
+/**
+ * Fetch one page of the user's bookmarks, newest first — or best match first
+ * when `search` is set. Pass the `nextCursor` of the previous page to continue.
+ * API routes pass their own per-request `client` (see lib/supabaseServer.js).
+ * `columns` narrows the select for list views (not applied to searches).
+ * `unfiled` keeps only bookmarks outside any collection.
+ */
+export async function fetchBookmarksPage({
+  client = supabase,
+  userId,
+  cursor = null,
+  search = "",
+  tag = null,
+  collectionId = null,
+  unfiled = false,
+  brokenOnly = false,
+  trash = false,
+  limit = PAGE_SIZE,
+  columns = "*",
+}) {
+  if (isSearchActive(search)) {
+    return searchBookmarksPage({ client, search, cursor, tag, collectionId, unfiled, brokenOnly, trash, limit });
+  }
+
+  let query = client.from("bookmarks").select(columns);
+  // RLS limits a collection to the rows the user may read
+  if (!collectionId) query = query.eq("user_id", userId);
+
+  query = applyFilters(query, { tag, collectionId, unfiled, brokenOnly, trash });
+
+  if (cursor) {
+    const at = quote(cursor.created_at);
+    query = query.or(
+      `created_at.lt.${at},and(created_at.eq.${at},id.lt.${quote(cursor.id)})`
+    );
+  }
+
+  // Ask for one extra row to learn whether another page exists
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(limit + 1);
+
+  if (error) throw error;
+
+  const rows = (data || []).slice(0, limit);
+  return {
+    rows,
+    hasMore: (data || []).length > limit,
+    nextCursor: cursorFor(rows[rows.length - 1]) || cursor,
+  };
+}
+
+/**
+ * Save edited fields and resolve to the saved row. Form saves and history
+ * reverts both come through here, so either one reaches other tabs as the
+ * same realtime UPDATE.
+ */
+export async function updateBookmark(id, fields) {
+  const { data, error } = await supabase.from("bookmarks").update(fields).eq("id", id).select().single();
+  if (error) throw error;
+  return data;
+}
+
+// Rows per round-trip when reading a whole result (bulk "select all")
+const ALL_PAGE_SIZE = 500;
+
+/** Every bookmark matching the dashboard filters, in display order. */
+export async function fetchAllBookmarks({ client = supabase, userId, ...filters }) {
+  const rows = [];
+  let cursor = null;
+  for (;;) {
+    const page = await fetchBookmarksPage({ client, userId, cursor, limit: ALL_PAGE_SIZE, ...filters });
+    rows.push(...page.rows);
+    if (!page.hasMore) return rows;
+    cursor = page.nextCursor;
+  }
+}
+
+/**
+ * Lightweight `{ id, user_id, tags, collection_id }` rows for every bookmark
+ * the user owns, or can read in `sharedCollectionIds`, outside the trash —
+ * enough to keep tag/collection counts exact without loading pages.
+ */
+export async function fetchBookmarkFacets(userId, sharedCollectionIds = [], client = supabase) {
+  const owner = ownerFilter(userId, sharedCollectionIds);
+  const facets = [];
+  for (let from = 0; ; from += FACET_CHUNK) {
+    const { data, error } = await client
+      .from("bookmarks")
+      .select("id, user_id, tags, collection_id")
+      .or(owner)
+      .is("deleted_at", null)
+      .order("id", { ascending: true })
+      .range(from, from + FACET_CHUNK - 1);
+    if (error) throw error;
+    facets.push(...(data || []));
+    if (!data || data.length < FACET_CHUNK) return facets;
+  }
+}
+
+/**
+ * Every row the user can see that changed at or after `since` (an
+ * `updated_at` value), trash included, oldest change first. Realtime resync
+ * (lib/realtimeSync.js) replays them as UPDATE events, starting a safety
+ * window before the newest change it saw: rows don't commit in stamp order.
+ */
+export async function fetchBookmarkChanges(userId, sharedCollectionIds, since) {
+  const rows = [];
+  for (let from = 0; ; from += FACET_CHUNK) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("*")
+      .or(ownerFilter(userId, sharedCollectionIds))
+      .gte("updated_at", since)
+      .order("updated_at", { ascending: true })
+      .order("id", { ascending: true })
+      .range(from, from + FACET_CHUNK - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < FACET_CHUNK) return rows;
+  }
+}
+
+/** The newest `updated_at` among the rows the user can see, or null. */
+export async function fetchLatestChange(userId, sharedCollectionIds) {
+  const { data, error } = await supabase
+    .from("bookmarks")
+    .select("updated_at")
+    .or(ownerFilter(userId, sharedCollectionIds))
+    .order("updated_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0]?.updated_at || null;
+}
+
+/** Which of `ids` still exist — a purge leaves no `updated_at` to find. */
+export async function fetchExistingIds(ids) {
+  const existing = new Set();
+  for (let from = 0; from < ids.length; from += ALL_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("id")
+      .in("id", ids.slice(from, from + ALL_PAGE_SIZE));
+    if (error) throw error;
+    for (const row of data || []) existing.add(row.id);
+  }
+  return existing;
+}
+
+// Client-side mirror of fetchBookmarksPage's filters, used to place realtime rows
+export const matchesFilters = (row, { tag, collectionId, brokenOnly, trash }, userId) => {
+  if (!collectionId && userId && row.user_id !== userId) return false;
+  if (Boolean(row.deleted_at) !== Boolean(trash)) return false;
+  if (tag && !(row.tags || []).includes(tag)) return false;
+  if (collectionId && row.collection_id !== collectionId) return false;
+  if (brokenOnly && !isBroken(row)) return false;
+  return true;
+};
+
+// Whether a row sorts inside the window already loaded (at or above the cursor)
+export const isWithinLoaded = (row, cursor, hasMore) =>
+  !hasMore || !cursor || compareBookmarks(row, cursor) <= 0;
+
+// Merge a freshly fetched page into the list without duplicating rows that a
+// realtime INSERT already placed there
+export const appendPage = (list, rows) => {
+  const seen = new Set(list.map((b) => b.id));
+  return [...list, ...rows.filter((r) => !seen.has(r.id))];
+};
+
+/**
+ * Apply a realtime `postgres_changes` payload to the loaded window.
+ * Rows only enter the list if they match the active filters and sort above
+ * the pagination cursor — anything older will arrive with a later page.
+ * While searching, rank order is the server's call: rows are only updated in
+ * place (keeping their snippets) or removed.
+ * Moving to or out of the trash is an UPDATE; it removes the row from one view
+ * and may add it to the other.
+ */
+export const applyRealtimeChange = (list, payload, { filters, cursor, hasMore, userId }) => {
+  const { eventType, new: newRecord, old: oldRecord } = payload;
+
+  if (eventType === "DELETE") {
+    return list.some((b) => b.id === oldRecord.id)
+      ? list.filter((b) => b.id !== oldRecord.id)
+      : list;
+  }
+  if (eventType !== "INSERT" && eventType !== "UPDATE") return list;
+
+  if (isSearchActive(filters.search)) {
+    if (Boolean(newRecord.deleted_at) !== Boolean(filters.trash)) {
+      return list.some((b) => b.id === newRecord.id)
+        ? list.filter((b) => b.id !== newRecord.id)
+        : list;
+    }
+    return list.some((b) => b.id === newRecord.id)
+      ? list.map((b) =>
+          b.id === newRecord.id
+            ? {
+                ...b,
+                ...newRecord,
+                title_highlight: b.title === newRecord.title ? b.title_highlight : null,
+              }
+            : b
+        )
+      : list;
+  }
+
+  const belongs =
+    matchesFilters(newRecord, filters, userId) && isWithinLoaded(newRecord, cursor, hasMore);
+  const index = list.findIndex((b) => b.id === newRecord.id);
+
+  if (!belongs) {
+    return index === -1 ? list : list.filter((b) => b.id !== newRecord.id);
+  }
+  if (index !== -1) {
+    return list.map((b) => (b.id === newRecord.id ? newRecord : b));
+  }
+  return [...list, newRecord].sort(compareBookmarks);
+};
+
+// Keep the `{ id, user_id, tags, collection_id }` facet list in step with realtime events
+// (trashed rows don't count)
+export const applyFacetChange = (facets, payload) => {
+  const { eventType, new: newRecord, old: oldRecord } = payload;
+  if (eventType === "DELETE") return facets.filter((f) => f.id !== oldRecord.id);
+  if (newRecord.deleted_at) return facets.filter((f) => f.id !== newRecord.id);
+
+  const facet = {
+    id: newRecord.id,
+    user_id: newRecord.user_id,
+    tags: newRecord.tags || [],
+    collection_id: newRecord.collection_id || null,
+  };
+  return facets.some((f) => f.id === facet.id)
+    ? facets.map((f) => (f.id === facet.id ? facet : f))
+    : [...facets, facet];
+};
@@ -0,0 +1,76 @@
+// ☑️ Bulk actions on a selection of bookmarks.
+//
+// Every write is one round-trip: the `patch_bookmarks` RPC
+// (supabase/migrations/..._bulk_actions.sql) takes the whole batch and returns
+// the rows as they were before, which is exactly what undo needs. Deleting
+// goes through the trash (lib/trash.js). Realtime then delivers the per-row
+// UPDATE events to every open tab.
+import { supabase } from "@/lib/supabase";
+import { canonicalKey } from "@/lib/url";
+import { parseTags } from "@/lib/tags";
+import { fetchPageMetadata, pickMetadata } from "@/lib/pageMetadata";
+import { EXPORT_FORMATS } from "@/lib/exportFormats";
+
+const REFRESH_CONCURRENCY = 4;
+
+/**
+ * Apply `[{ id, ...fields }]` in one call.
+ * Resolves to undo patches: the same fields with their previous values.
+ */
+export async function patchBookmarks(patches) {
+  const { data, error } = await supabase.rpc("patch_bookmarks", { patches });
+  if (error) throw error;
+
+  const previous = new Map((data || []).map((b) => [b.id, b]));
+  return patches
+    .filter((p) => previous.has(p.id))
+    .map((p) =>
+      Object.fromEntries(Object.keys(p).map((field) => [field, previous.get(p.id)[field] ?? null]))
+    );
+}
+
+export const addTagPatches = (rows, input) => {
+  const add = parseTags(input);
+  return rows.map((b) => ({ id: b.id, tags: [...new Set([...(b.tags || []), ...add])] }));
+};
+
+export const removeTagPatches = (rows, input) => {
+  const remove = new Set(parseTags(input));
+  return rows.map((b) => ({ id: b.id, tags: (b.tags || []).filter((t) => !remove.has(t)) }));
+};
+
+export const movePatches = (rows, collectionId) =>
+  rows.map((b) => ({ id: b.id, collection_id: collectionId }));
+
+/**
+ * Re-fetch metadata for `rows` (skipping the server cache) and build patches
+ * for the ones that succeeded. `onProgress(done, total)` after each page.
+ */
+export async function refreshMetadataPatches(rows, onProgress = () => {}) {
+  const patches = [];
+  let done = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < rows.length) {
+      const b = rows[next++];
+      const metadata = await fetchPageMetadata(b.url, { refresh: true, patient: true });
+      if (!metadata.error) {
+        patches.push({
+          id: b.id,
+          ...pickMetadata(metadata),
+          normalized_url: canonicalKey(b.url, metadata.canonical_url),
+          // Only replace titles that were never real ones
+          ...(metadata.title && (!b.title || b.title === b.url) && { title: metadata.title }),
+        });
+      }
+      onProgress(++done, rows.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(REFRESH_CONCURRENCY, rows.length) }, worker));
+
+  return patches;
+}
+
+export const toMarkdownList = (rows) =>
+  rows.map((b) => EXPORT_FORMATS.markdown.item(b)).join("");
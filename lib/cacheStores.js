@@ -0,0 +1,113 @@
+// 🗄 Key/value stores behind server-side caches (server-only).
+//
+// Every store has the same async shape:
+//
+//   get(key)                  → value or null
+//   set(key, value, retainMs) → void   (the store may drop it after retainMs)
+//
+// Values are plain JSON. Pick one with createCacheStore(name):
+//
+// - `memory`   – per-instance LRU (lib/ttlCache.js), the default
+// - `redis`    – Redis over HTTP (Upstash REST API); REDIS_REST_URL + REDIS_REST_TOKEN
+// - `database` – the `metadata_cache` table via the service-role client
+import { createTtlCache } from '@/lib/ttlCache';
+import { getServiceClient } from '@/lib/supabaseServer';
+
+const REDIS_TIMEOUT_MS = 2000;
+
+export function memoryStore({ maxEntries = 1000 } = {}) {
+  const cache = createTtlCache({ ttlMs: 60_000, maxEntries });
+  return {
+    name: 'memory',
+    get: async (key) => cache.get(key) ?? null,
+    set: async (key, value, retainMs) => cache.set(key, value, retainMs),
+  };
+}
+
+export function redisStore({
+  url = process.env.REDIS_REST_URL,
+  token = process.env.REDIS_REST_TOKEN,
+  prefix = 'cache:',
+} = {}) {
+  if (!url || !token) throw new Error('REDIS_REST_URL and REDIS_REST_TOKEN are required');
+
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(REDIS_TIMEOUT_MS),
+    });
+    const { result, error } = await response.json();
+    if (!response.ok || error) throw new Error(error || `Redis HTTP ${response.status}`);
+    return result;
+  };
+
+  return {
+    name: 'redis',
+    async get(key) {
+      const value = await command('GET', prefix + key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value, retainMs) {
+      await command('SET', prefix + key, JSON.stringify(value), 'PX', String(Math.ceil(retainMs)));
+    },
+  };
+}
+
+export function databaseStore({ table = 'metadata_cache' } = {}) {
+  const client = getServiceClient();
+  if (!client) throw new Error('SUPABASE_SERVICE_ROLE_KEY is required for the database cache');
+
+  return {
+    name: 'database',
+    async get(key) {
+      const { data, error } = await client
+        .from(table)
+        .select('entry')
+        .eq('key', key)
+        .gt('retain_until', new Date().toISOString())
+        .maybeSingle();
+      if (error) throw error;
+      return data?.entry ?? null;
+    },
+    async set(key, value, retainMs) {
+      const { error } = await client.from(table).upsert({
+        key,
+        entry: value,
+        retain_until: new Date(Date.now() + retainMs).toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      if (error) throw error;
+
+      // Now and then, sweep rows past their retention
+      if (Math.random() < 0.01) {
+        const { error: sweepError } = await client
+          .from(table)
+          .delete()
+          .lt('retain_until', new Date().toISOString());
+        if (sweepError) console.error('Cache sweep failed:', sweepError);
+      }
+    },
+  };
+}
+
+const STORES = { memory: memoryStore, redis: redisStore, database: databaseStore };
+
+/**
+ * Build the store called `name`. A misconfigured store falls back to memory
+ * (with a warning) rather than taking the route down.
+ */
+export function createCacheStore(name = 'memory', options) {
+  const factory = STORES[name];
+  if (!factory) {
+    console.warn(`Unknown cache store "${name}", using memory`);
+    return memoryStore(options);
+  }
+  try {
+    return factory(options);
+  } catch (error) {
+    console.warn(`Cache store "${name}" unavailable (${error.message}), using memory`);
+    return memoryStore(options);
+  }
+}
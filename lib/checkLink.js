@@ -0,0 +1,35 @@
+// 🩺 Server-side link check used by /api/link-health.
+import { safeFetch, SafeFetchError } from '@/lib/safeFetch';
+
+// Servers that reject HEAD outright; retry these with GET
+const HEAD_UNSUPPORTED = new Set([400, 403, 405, 406, 501]);
+
+/**
+ * Request `url` (following redirects) and report what happened:
+ * `{ link_status, link_final_url, link_error, link_checked_at }`, ready to be
+ * written to the bookmark row. Never throws.
+ */
+export async function checkLink(url) {
+  const result = {
+    link_status: null,
+    link_final_url: null,
+    link_error: null,
+    link_checked_at: new Date().toISOString(),
+  };
+
+  try {
+    // Only the status matters; don't download the page
+    let response = await safeFetch(url, { method: 'HEAD', readBody: false });
+    if (HEAD_UNSUPPORTED.has(response.status)) {
+      response = await safeFetch(url, { method: 'GET', readBody: false });
+    }
+
+    result.link_status = response.status;
+    result.link_final_url = response.redirected && response.url !== url ? response.url : null;
+  } catch (error) {
+    // Same codes /api/metadata returns (TIMEOUT, DNS_FAILED, BLOCKED_ADDRESS...)
+    result.link_error = error instanceof SafeFetchError ? error.code : error.message;
+  }
+
+  return result;
+}
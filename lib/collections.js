@@ -0,0 +1,130 @@
+// 👥 Collections and sharing. Who may do what is enforced by RLS
+// (supabase/migrations/..._shared_collections.sql); the helpers here only
+// read and write through it, and `role` is for deciding which buttons to show.
+import { supabase } from "@/lib/supabase";
+
+export const MEMBER_ROLES = {
+  viewer: "Viewer — can read",
+  editor: "Editor — can add, edit and delete",
+};
+
+export const canEditCollection = (collection) =>
+  collection?.role === "owner" || collection?.role === "editor";
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// Attach the caller's `role` and the member list to a collection row
+export const withRole = (collection, userId) => {
+  const { collection_members: members = [], ...rest } = collection;
+  return {
+    ...rest,
+    members,
+    role:
+      rest.user_id === userId
+        ? "owner"
+        : members.find((m) => m.user_id === userId)?.role || null,
+  };
+};
+
+/** The user's own collections plus those shared with them, by name. */
+export async function fetchCollections(userId, client = supabase) {
+  const { data, error } = await client
+    .from("collections")
+    .select("*, collection_members(user_id, role, email)")
+    .order("name", { ascending: true });
+  if (error) throw error;
+  return (data || []).map((c) => withRole(c, userId)).sort(byName);
+}
+
+// Typing a collection name files the bookmark under the editable collection
+// of that name, preferring the user's own over a shared one
+export const findCollectionByName = (collections, name) => {
+  const wanted = name.trim().toLowerCase();
+  const matches = collections.filter((c) => canEditCollection(c) && c.name.toLowerCase() === wanted);
+  return matches.find((c) => c.role === "owner") || matches[0] || null;
+};
+
+/** findCollectionByName() over a fresh list, creating the collection if there's none. */
+export async function findOrCreateCollection(name, userId, client = supabase) {
+  const existing = findCollectionByName(await fetchCollections(userId, client), name);
+  if (existing) return existing;
+
+  const { data, error } = await client
+    .from("collections")
+    .insert([{ name: name.trim(), user_id: userId }])
+    .select()
+    .single();
+  if (error) throw error;
+  return withRole(data, userId);
+}
+
+export async function inviteToCollection(collectionId, email, role) {
+  const { data, error } = await supabase.rpc("invite_to_collection", {
+    collection: collectionId,
+    invitee_email: email,
+    member_role: role,
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** Members and pending invites of a collection the user owns. */
+export async function fetchSharing(collectionId) {
+  const [members, invites] = await Promise.all([
+    supabase
+      .from("collection_members")
+      .select("*")
+      .eq("collection_id", collectionId)
+      .order("created_at", { ascending: true }),
+    supabase
+      .from("collection_invites")
+      .select("*")
+      .eq("collection_id", collectionId)
+      .order("created_at", { ascending: true }),
+  ]);
+  if (members.error) throw members.error;
+  if (invites.error) throw invites.error;
+  return { members: members.data || [], invites: invites.data || [] };
+}
+
+export async function setMemberRole(collectionId, userId, role) {
+  const { error } = await supabase
+    .from("collection_members")
+    .update({ role })
+    .eq("collection_id", collectionId)
+    .eq("user_id", userId);
+  if (error) throw error;
+}
+
+/** Owner removing someone, or a member leaving. */
+export async function removeMember(collectionId, userId) {
+  const { error } = await supabase
+    .from("collection_members")
+    .delete()
+    .eq("collection_id", collectionId)
+    .eq("user_id", userId);
+  if (error) throw error;
+}
+
+/** Invites waiting for the signed-in user. */
+export async function fetchMyInvites(email) {
+  if (!email) return [];
+  const { data, error } = await supabase
+    .from("collection_invites")
+    .select("*")
+    .eq("email", email.toLowerCase())
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+export async function acceptInvite(inviteId) {
+  const { error } = await supabase.rpc("accept_collection_invite", { invite_id: inviteId });
+  if (error) throw error;
+}
+
+/** Decline (invitee) or cancel (owner). */
+export async function deleteInvite(inviteId) {
+  const { error } = await supabase.from("collection_invites").delete().eq("id", inviteId);
+  if (error) throw error;
+}
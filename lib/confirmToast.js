@@ -0,0 +1,34 @@
+// 🍞 Yes/no prompt rendered as a toast — resolves true/false.
+import toast from "react-hot-toast";
+
+export function confirmToast(message, { confirmLabel = "Continue", cancelLabel = "Cancel" } = {}) {
+  return new Promise((resolve) => {
+    const settle = (id, value) => {
+      toast.dismiss(id);
+      resolve(value);
+    };
+
+    toast(
+      (t) => (
+        <div className="flex flex-col gap-3">
+          <span className="text-sm">{message}</span>
+          <div className="flex gap-2 justify-end">
+            <button
+              onClick={() => settle(t.id, false)}
+              className="px-3 py-1 rounded-lg text-sm bg-gray-200 hover:bg-gray-300 text-gray-800 transition"
+            >
+              {cancelLabel}
+            </button>
+            <button
+              onClick={() => settle(t.id, true)}
+              className="px-3 py-1 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition"
+            >
+              {confirmLabel}
+            </button>
+          </div>
+        </div>
+      ),
+      { duration: Infinity, icon: "⚠️" }
+    );
+  });
+}
@@ -0,0 +1,51 @@
+// 📱 Names this browser for the edit history (bookmark_revisions): a random
+// id kept in localStorage plus a readable "Chrome on macOS" label. Sent as
+// request headers on every Supabase call (lib/supabase.js).
+const DEVICE_KEY = "smart-bookmark-device-id";
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad/, "iOS"],
+  [/Android/, "Android"],
+  [/Mac OS X/, "macOS"],
+  [/Windows/, "Windows"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"],
+];
+
+const match = (table, ua) => table.find(([pattern]) => pattern.test(ua))?.[1];
+
+export const deviceName = (ua = typeof navigator === "undefined" ? "" : navigator.userAgent) => {
+  const browser = match(BROWSERS, ua);
+  const system = match(SYSTEMS, ua);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+export function deviceId() {
+  try {
+    let id = localStorage.getItem(DEVICE_KEY);
+    if (!id) {
+      id = crypto.randomUUID();
+      localStorage.setItem(DEVICE_KEY, id);
+    }
+    return id;
+  } catch {
+    // Private mode / storage disabled: still label the device, just not stably
+    return null;
+  }
+}
+
+/** Headers identifying this browser, or none on the server. */
+export const deviceHeaders = () => {
+  if (typeof window === "undefined") return {};
+  const id = deviceId();
+  return { "x-device-name": deviceName(), ...(id && { "x-device-id": id }) };
+};
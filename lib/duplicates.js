@@ -0,0 +1,118 @@
+// 🧹 Duplicate detection and merging, keyed on normalized URLs (lib/url.js).
+import { supabase } from "@/lib/supabase";
+import { normalizeUrl, canonicalKey } from "@/lib/url";
+import { METADATA_FIELDS } from "@/lib/pageMetadata";
+import { trashBookmarks } from "@/lib/trash";
+
+const SCAN_CHUNK = 1000;
+const UPSERT_CHUNK = 500;
+
+// Keys a URL might already be stored under: its own and its canonical's
+export const urlKeys = (url, canonicalUrl) =>
+  [...new Set([normalizeUrl(url), canonicalKey(url, canonicalUrl)])];
+
+/**
+ * The user's existing bookmark for this URL, if any (trash excluded).
+ * `excludeId` skips the row being edited.
+ */
+export async function findDuplicate({ client = supabase, userId, url, canonicalUrl = null, excludeId = null }) {
+  let query = client
+    .from("bookmarks")
+    .select("id, title, url")
+    .eq("user_id", userId)
+    .in("normalized_url", urlKeys(url, canonicalUrl))
+    .is("deleted_at", null)
+    .limit(1);
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// How much a row knows about its page — the richest one survives a merge
+const richness = (b) =>
+  METADATA_FIELDS.filter((field) => b[field]).length +
+  (b.tags?.length ? 1 : 0) +
+  (b.collection_id ? 1 : 0) +
+  (b.title && b.title !== b.url ? 1 : 0);
+
+const rowKey = (b) => canonicalKey(b.url, b.canonical_url);
+
+/**
+ * Scan every bookmark the user owns and group rows sharing a canonical key.
+ * Also rewrites stale `normalized_url` values (e.g. rows saved before the
+ * column existed) so future insert-time checks catch them.
+ */
+export async function findDuplicateGroups(userId) {
+  const rows = [];
+  for (let from = 0; ; from += SCAN_CHUNK) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("*")
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .order("created_at", { ascending: true })
+      .range(from, from + SCAN_CHUNK - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < SCAN_CHUNK) break;
+  }
+
+  const stale = rows
+    .filter((b) => b.normalized_url !== rowKey(b))
+    .map((b) => ({ id: b.id, user_id: b.user_id, title: b.title, url: b.url, normalized_url: rowKey(b) }));
+  for (let i = 0; i < stale.length; i += UPSERT_CHUNK) {
+    const { error } = await supabase
+      .from("bookmarks")
+      .upsert(stale.slice(i, i + UPSERT_CHUNK), { onConflict: "id" });
+    if (error) console.error("normalized_url backfill failed:", error);
+  }
+
+  const groups = new Map();
+  for (const b of rows) {
+    const key = rowKey(b);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(b);
+  }
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([key, members]) => {
+      const sorted = [...members].sort(
+        (a, b) => richness(b) - richness(a) || a.created_at.localeCompare(b.created_at)
+      );
+      return { key, keep: sorted[0], remove: sorted.slice(1) };
+    });
+}
+
+/**
+ * Merge one group into its richest row: missing metadata is filled from the
+ * others, tags are unioned and the oldest `created_at` is kept. The other
+ * rows go to the trash.
+ */
+export async function mergeDuplicateGroup({ key, keep, remove }) {
+  const all = [keep, ...remove];
+  const merged = {
+    normalized_url: key,
+    tags: [...new Set(all.flatMap((b) => b.tags || []))],
+    collection_id: all.find((b) => b.collection_id)?.collection_id || null,
+    created_at: all.map((b) => b.created_at).sort()[0],
+  };
+  for (const field of METADATA_FIELDS) {
+    merged[field] = all.find((b) => b[field])?.[field] ?? null;
+  }
+  if (!keep.title || keep.title === keep.url) {
+    merged.title = all.find((b) => b.title && b.title !== b.url)?.title || keep.title;
+  }
+
+  const { error: updateError } = await supabase
+    .from("bookmarks")
+    .update(merged)
+    .eq("id", keep.id);
+  if (updateError) throw updateError;
+
+  await trashBookmarks(remove.map((b) => b.id));
+
+  return { ...keep, ...merged };
+}
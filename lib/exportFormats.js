@@ -0,0 +1,124 @@
+// 📤 Export serializers used by /api/export.
+//
+// Each format is written piecewise — `start()`, one `item()` per bookmark,
+// `end()` — so the route can stream pages straight from the database without
+// holding the whole export in memory. `folderStart`/`folderEnd` are only used
+// by formats with `grouped: true`, which are streamed one collection at a time.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const unixSeconds = (iso) => (iso ? Math.floor(new Date(iso).getTime() / 1000) : "");
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "url",
+  "description",
+  "tags",
+  "collection",
+  "site_name",
+  "favicon_url",
+  "image_url",
+  "canonical_url",
+  "lang",
+  "published_at",
+  "created_at",
+];
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Markdown link text can't contain unbalanced brackets
+const escapeMarkdown = (value) => String(value ?? "").replace(/([\[\]\\])/g, "\\$1");
+
+export const EXPORT_FORMATS = {
+  // Netscape bookmark file — importable by every browser (and by us)
+  html: {
+    contentType: "text/html; charset=utf-8",
+    extension: "html",
+    grouped: true,
+    start: () =>
+      "<!DOCTYPE NETSCAPE-Bookmark-file-1>\n" +
+      "<!-- This is an automatically generated file. -->\n" +
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n' +
+      "<TITLE>Bookmarks</TITLE>\n<H1>Bookmarks</H1>\n<DL><p>\n",
+    folderStart: (name) => `  <DT><H3>${escapeHtml(name)}</H3>\n  <DL><p>\n`,
+    folderEnd: () => "  </DL><p>\n",
+    item: (b, { indent = "  " } = {}) => {
+      const tags = b.tags?.length ? ` TAGS="${escapeHtml(b.tags.join(","))}"` : "";
+      const icon = b.favicon_url ? ` ICON_URI="${escapeHtml(b.favicon_url)}"` : "";
+      const line = `${indent}<DT><A HREF="${escapeHtml(b.url)}" ADD_DATE="${unixSeconds(b.created_at)}"${tags}${icon}>${escapeHtml(b.title)}</A>\n`;
+      return b.description ? `${line}${indent}<DD>${escapeHtml(b.description)}\n` : line;
+    },
+    end: () => "</DL><p>\n",
+  },
+
+  // Every column, as stored
+  json: {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    start: () => "[\n",
+    item: (b, { index, collectionName }) =>
+      `${index > 0 ? ",\n" : ""}${JSON.stringify({ ...b, collection: collectionName || null })}`,
+    end: () => "\n]\n",
+  },
+
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    start: () => `${CSV_COLUMNS.join(",")}\r\n`,
+    item: (b, { collectionName }) =>
+      `${CSV_COLUMNS.map((col) => csvCell(col === "collection" ? collectionName : b[col])).join(",")}\r\n`,
+    end: () => "",
+  },
+
+  markdown: {
+    contentType: "text/markdown; charset=utf-8",
+    extension: "md",
+    start: () => "# Bookmarks\n\n",
+    item: (b) => {
+      const tags = b.tags?.length ? ` ${b.tags.map((t) => `#${t}`).join(" ")}` : "";
+      const description = b.description ? ` — ${b.description.replace(/\s+/g, " ")}` : "";
+      return `- [${escapeMarkdown(b.title)}](<${b.url}>)${description}${tags}\n`;
+    },
+    end: () => "",
+  },
+};
+
+/**
+ * Serialize an in-memory list in one go (bulk export of a selection).
+ * `collections` is the user's `[{ id, name }]` list, used for folder names.
+ */
+export function renderExport(formatName, rows, collections = []) {
+  const format = EXPORT_FORMATS[formatName];
+  const names = new Map(collections.map((c) => [c.id, c.name]));
+  let index = 0;
+  let out = format.start();
+
+  if (format.grouped) {
+    // One folder per collection, then everything unfiled at the root
+    for (const c of collections) {
+      const members = rows.filter((b) => b.collection_id === c.id);
+      if (members.length === 0) continue;
+      out += format.folderStart(c.name);
+      for (const b of members) out += format.item(b, { index: index++, indent: "    " });
+      out += format.folderEnd();
+    }
+    for (const b of rows) {
+      if (!names.has(b.collection_id)) out += format.item(b, { index: index++, indent: "  " });
+    }
+  } else {
+    for (const b of rows) {
+      out += format.item(b, { index: index++, indent: "  ", collectionName: names.get(b.collection_id) });
+    }
+  }
+
+  return out + format.end();
+}
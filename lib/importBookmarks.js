@@ -0,0 +1,225 @@
+// 📥 Import from the Netscape bookmark file format (bookmarks.html) that
+// Chrome, Firefox, Safari and Edge all export.
+//
+//   <DL><p>
+//     <DT><H3 ADD_DATE="...">Folder</H3>
+//     <DL><p>
+//       <DT><A HREF="https://..." ADD_DATE="1700000000" TAGS="a,b">Title</A>
+//     </DL><p>
+//   </DL><p>
+//
+// Parsing uses the browser's DOMParser, so this module is client-only.
+import { supabase } from "@/lib/supabase";
+import { isHttpUrl, normalizeUrl, canonicalKey } from "@/lib/url";
+import { parseTags } from "@/lib/tags";
+import { fetchPageMetadata, pickMetadata } from "@/lib/pageMetadata";
+
+const INSERT_BATCH = 100;
+const LOOKUP_BATCH = 50;
+const ENRICH_CONCURRENCY = 4;
+
+// ADD_DATE is seconds since the epoch (some exporters write microseconds)
+const parseAddDate = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const ms = n > 1e14 ? n / 1000 : n > 1e11 ? n : n * 1000;
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Folder names from the outermost <H3> down to the one containing `anchor`
+const folderPath = (anchor) => {
+  const path = [];
+  for (let dl = anchor.closest("dl"); dl; dl = dl.parentElement?.closest("dl")) {
+    // The folder's <H3> sits just before its <DL> (Firefox may put a <DD>
+    // description in between); reaching another <DT> means no heading
+    let heading = dl.previousElementSibling;
+    while (heading && heading.tagName !== "H3" && heading.tagName !== "DT") {
+      heading = heading.previousElementSibling;
+    }
+    const name = heading?.tagName === "H3" ? heading.textContent.trim() : "";
+    if (name) path.unshift(name);
+  }
+  return path;
+};
+
+/**
+ * Parse a bookmarks.html export into `{ title, url, created_at, folders, tags }`
+ * items, in document order. Non-web links (javascript:, place:) are kept with
+ * `invalid: true` so the report can mention them.
+ */
+export function parseNetscapeBookmarks(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  return [...doc.querySelectorAll("a[href]")].map((a) => {
+    const url = a.getAttribute("href").trim();
+    return {
+      title: a.textContent.trim() || url,
+      url,
+      created_at: parseAddDate(a.getAttribute("add_date")),
+      folders: folderPath(a),
+      tags: parseTags(a.getAttribute("tags") || ""),
+      invalid: !isHttpUrl(url),
+    };
+  });
+}
+
+const chunk = (list, size) => {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+};
+
+// Run `worker` over `items` with at most `limit` in flight
+const mapConcurrent = async (items, limit, worker) => {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+};
+
+// Normalized keys (lib/url.js) of the given keys that are already saved
+const existingKeys = async (userId, keys) => {
+  const found = new Set();
+  for (const batch of chunk(keys, LOOKUP_BATCH)) {
+    const { data, error } = await supabase
+      .from("bookmarks")
+      .select("normalized_url")
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .in("normalized_url", batch);
+    if (error) throw error;
+    for (const row of data || []) found.add(row.normalized_url);
+  }
+  return found;
+};
+
+// Map folder paths to collection ids, creating the missing collections at once
+const resolveCollections = async (userId, names) => {
+  const { data: existing, error } = await supabase
+    .from("collections")
+    .select("id, name")
+    .eq("user_id", userId);
+  if (error) throw error;
+
+  const ids = new Map((existing || []).map((c) => [c.name.toLowerCase(), c.id]));
+  const missing = [...new Set(names)].filter((n) => !ids.has(n.toLowerCase()));
+
+  if (missing.length) {
+    const { data: created, error: createError } = await supabase
+      .from("collections")
+      .insert(missing.map((name) => ({ name, user_id: userId })))
+      .select("id, name");
+    if (createError) throw createError;
+    for (const c of created || []) ids.set(c.name.toLowerCase(), c.id);
+  }
+  return ids;
+};
+
+/**
+ * Import parsed items for `userId`.
+ *
+ * - `folderMode: "collections"` files each bookmark under a collection named
+ *   after its folder path ("Dev / React"); `"tags"` turns each folder into a tag.
+ * - `enrich` fetches /api/metadata per link for missing titles and metadata.
+ *
+ * Resolves to a per-item report: `{ ...item, status, message }` where status is
+ * "imported", "duplicate", "invalid" or "failed".
+ */
+export async function importBookmarks({
+  items,
+  userId,
+  folderMode = "collections",
+  enrich = false,
+  onProgress = () => {},
+}) {
+  const report = items.map((item) => ({ ...item, status: "pending", message: "" }));
+  const done = () =>
+    onProgress(report.filter((r) => r.status !== "pending").length, report.length, "importing");
+
+  // 1. Invalid links and duplicates (within the file and against saved rows),
+  //    compared by normalized URL so http/https, www and utm_* variants match
+  for (const r of report) if (!r.invalid) r.key = normalizeUrl(r.url);
+  const known = await existingKeys(
+    userId,
+    [...new Set(report.filter((r) => !r.invalid).map((r) => r.key))]
+  );
+  for (const r of report) {
+    if (r.invalid) {
+      r.status = "invalid";
+      r.message = "Not a web link";
+    } else if (known.has(r.key)) {
+      r.status = "duplicate";
+      r.message = "Already saved";
+    } else {
+      known.add(r.key);
+    }
+  }
+  done();
+
+  const pending = report.filter((r) => r.status === "pending");
+
+  // 2. Folders -> collections or tags
+  const collectionIds =
+    folderMode === "collections"
+      ? await resolveCollections(
+          userId,
+          pending.filter((r) => r.folders.length).map((r) => r.folders.join(" / "))
+        )
+      : new Map();
+
+  const rows = new Map();
+  for (const r of pending) {
+    const folderTags = folderMode === "tags" ? parseTags(r.folders.join(",")) : [];
+    rows.set(r, {
+      title: r.title,
+      url: r.url,
+      normalized_url: r.key,
+      tags: [...new Set([...r.tags, ...folderTags])],
+      collection_id: r.folders.length
+        ? collectionIds.get(r.folders.join(" / ").toLowerCase()) || null
+        : null,
+      user_id: userId,
+      ...(r.created_at && { created_at: r.created_at }),
+    });
+  }
+
+  // 3. Optional metadata enrichment
+  if (enrich) {
+    let enriched = 0;
+    await mapConcurrent(pending, ENRICH_CONCURRENCY, async (r) => {
+      // /api/metadata is rate-limited per user; `patient` waits out the window
+      const metadata = await fetchPageMetadata(r.url, { patient: true });
+      const row = rows.get(r);
+      if (metadata.error) {
+        onProgress(++enriched, pending.length, "enriching");
+        return;
+      }
+      Object.assign(row, pickMetadata(metadata));
+      row.normalized_url = canonicalKey(r.url, metadata?.canonical_url);
+      if (metadata?.title && (!r.title || r.title === r.url)) row.title = metadata.title;
+      onProgress(++enriched, pending.length, "enriching");
+    });
+  }
+
+  // 4. Batched inserts; a failed batch is retried row by row for exact errors
+  for (const batch of chunk(pending, INSERT_BATCH)) {
+    const { error } = await supabase.from("bookmarks").insert(batch.map((r) => rows.get(r)));
+    if (!error) {
+      for (const r of batch) r.status = "imported";
+      done();
+      continue;
+    }
+    for (const r of batch) {
+      const { error: rowError } = await supabase.from("bookmarks").insert([rows.get(r)]);
+      r.status = rowError ? "failed" : "imported";
+      r.message = rowError?.message || "";
+    }
+    done();
+  }
+
+  return report;
+}
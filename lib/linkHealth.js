@@ -0,0 +1,68 @@
+// 🩺 Link health: classification of the stored check result, and the client
+// loop that re-checks bookmarks in batches through /api/link-health.
+import { supabase } from "@/lib/supabase";
+import { authFetch } from "@/lib/authFetch";
+import { normalizeUrl } from "@/lib/url";
+
+export const LINK_CHECK_BATCH = 10;
+
+// Re-check links older than this when running "Check links"
+export const LINK_RECHECK_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that say "you may not look" rather than "gone"
+const RESTRICTED = new Set([401, 403, 429]);
+
+/**
+ * "unchecked" | "ok" | "redirected" | "restricted" | "dead"
+ * Redirects that only change scheme/www/trailing slash don't count.
+ */
+export function linkHealth(b) {
+  if (!b.link_checked_at) return "unchecked";
+  if (b.link_error) return "dead";
+  if (RESTRICTED.has(b.link_status)) return "restricted";
+  if (b.link_status >= 400) return "dead";
+  if (b.link_final_url && normalizeUrl(b.link_final_url) !== normalizeUrl(b.url)) {
+    return "redirected";
+  }
+  return "ok";
+}
+
+export const isBroken = (b) => linkHealth(b) === "dead";
+
+/**
+ * Re-check every bookmark not checked in the last day, oldest check first,
+ * `LINK_CHECK_BATCH` at a time. Resolves to `{ checked, broken }`.
+ */
+export async function runLinkCheck({ userId, onProgress = () => {} }) {
+  const staleBefore = new Date(Date.now() - LINK_RECHECK_AFTER_MS).toISOString();
+
+  const { data: due, error } = await supabase
+    .from("bookmarks")
+    .select("id")
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .or(`link_checked_at.is.null,link_checked_at.lt."${staleBefore}"`)
+    .order("link_checked_at", { ascending: true, nullsFirst: true });
+  if (error) throw error;
+
+  const ids = (due || []).map((b) => b.id);
+  let checked = 0;
+  let broken = 0;
+  onProgress(0, ids.length);
+
+  for (let i = 0; i < ids.length; i += LINK_CHECK_BATCH) {
+    const response = await authFetch("/api/link-health", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ids: ids.slice(i, i + LINK_CHECK_BATCH) }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Link check failed (${response.status})`);
+
+    checked += data.results.length;
+    broken += data.results.filter(isBroken).length;
+    onProgress(checked, ids.length);
+  }
+
+  return { checked, broken };
+}
@@ -0,0 +1,147 @@
+// 🧠 SYSTEM DESIGN: Server-side metadata extraction (cheerio)
+// Used by /api/metadata — keep this file out of client components so cheerio
+// never ends up in the browser bundle.
+import * as cheerio from "cheerio";
+
+const clean = (value) =>
+  typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "";
+
+// Resolve a possibly-relative href against the page URL. Only http(s) links
+// come back; `image` also allows inline `data:` images (favicons often are)
+export const resolveUrl = (href, baseUrl, { image = false } = {}) => {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href.trim(), baseUrl);
+    const allowed = image ? ["http:", "https:", "data:"] : ["http:", "https:"];
+    return allowed.includes(resolved.protocol) ? resolved.toString() : null;
+  } catch {
+    return null;
+  }
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const domainFromUrl = (url) =>
+  url.replace(/^https?:\/\/(www\.)?/, "").split("/")[0];
+
+// First non-empty value among several meta selectors
+const firstMeta = ($, selectors) => {
+  for (const selector of selectors) {
+    const value = clean($(selector).first().attr("content"));
+    if (value) return value;
+  }
+  return "";
+};
+
+// JSON-LD blocks often carry headline / datePublished when meta tags don't
+const readJsonLd = ($) => {
+  const found = {};
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      const parsed = JSON.parse($(el).contents().text());
+      const nodes = Array.isArray(parsed) ? parsed : parsed["@graph"] || [parsed];
+      for (const node of nodes) {
+        if (!node || typeof node !== "object") continue;
+        found.datePublished ||= node.datePublished;
+        found.description ||= node.description;
+        found.headline ||= node.headline;
+      }
+    } catch {
+      // Ignore malformed JSON-LD
+    }
+  });
+  return found;
+};
+
+// Cap stored page text — it feeds full-text search, not a reader view
+export const MAX_CONTENT_LENGTH = 10000;
+
+const NON_CONTENT = "script, style, noscript, template, svg, iframe, nav, header, footer, aside, form";
+
+// Visible text of the main content area, whitespace-collapsed
+const extractText = ($) => {
+  $(NON_CONTENT).remove();
+  const root = $("article").first().length
+    ? $("article").first()
+    : $("main").first().length
+      ? $("main").first()
+      : $("body");
+  return clean(root.text()).slice(0, MAX_CONTENT_LENGTH);
+};
+
+const pickFavicon = ($, pageUrl) => {
+  const candidates = [
+    'link[rel~="icon"][sizes="32x32"]',
+    'link[rel~="icon"]',
+    'link[rel="shortcut icon"]',
+    'link[rel="apple-touch-icon"]',
+  ];
+  for (const selector of candidates) {
+    const href = resolveUrl($(selector).first().attr("href"), pageUrl, { image: true });
+    if (href) return href;
+  }
+  return resolveUrl("/favicon.ico", pageUrl);
+};
+
+/**
+ * Parse a page's HTML into the metadata fields stored on a bookmark.
+ * `pageUrl` should be the final URL after redirects so relative links resolve.
+ */
+export function extractMetadata(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const jsonLd = readJsonLd($);
+
+  const title =
+    firstMeta($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+    clean($("title").first().text()) ||
+    clean(jsonLd.headline) ||
+    domainFromUrl(pageUrl);
+
+  const description =
+    firstMeta($, [
+      'meta[property="og:description"]',
+      'meta[name="twitter:description"]',
+      'meta[name="description"]',
+    ]) || clean(jsonLd.description);
+
+  const image = firstMeta($, [
+    'meta[property="og:image:secure_url"]',
+    'meta[property="og:image"]',
+    'meta[name="twitter:image"]',
+    'meta[name="twitter:image:src"]',
+  ]);
+
+  const canonical =
+    $('link[rel="canonical"]').first().attr("href") ||
+    firstMeta($, ['meta[property="og:url"]']);
+
+  const published =
+    firstMeta($, [
+      'meta[property="article:published_time"]',
+      'meta[name="article:published_time"]',
+      'meta[name="date"]',
+      'meta[name="pubdate"]',
+      'meta[itemprop="datePublished"]',
+    ]) ||
+    jsonLd.datePublished ||
+    $("time[datetime]").first().attr("datetime");
+
+  return {
+    title,
+    description: description || null,
+    favicon_url: pickFavicon($, pageUrl),
+    image_url: resolveUrl(image, pageUrl, { image: true }),
+    site_name:
+      firstMeta($, ['meta[property="og:site_name"]', 'meta[name="application-name"]']) ||
+      domainFromUrl(pageUrl),
+    canonical_url: resolveUrl(canonical, pageUrl),
+    lang: clean($("html").attr("lang")) || firstMeta($, ['meta[http-equiv="content-language"]']) || null,
+    published_at: toIsoDate(published),
+    // Last: extractText() strips nodes from the document
+    content: extractText($) || null,
+  };
+}
@@ -0,0 +1,78 @@
+// 🧠 SYSTEM DESIGN: Shared metadata cache for /api/metadata (server-only)
+//
+// One cache for every user and tab, keyed by normalized URL (lib/url.js), in
+// the store named by METADATA_CACHE_STORE (lib/cacheStores.js).
+//
+// - Successes stay fresh for METADATA_CACHE_TTL seconds (1 day), failures for
+//   METADATA_CACHE_ERROR_TTL (5 minutes), so a site that was down is retried
+//   soon but a good result isn't refetched on every save.
+// - Entries are kept for a week after they go stale. A stale success still
+//   holds the page's ETag / Last-Modified, so the refetch is conditional and a
+//   304 just renews it.
+// - Cache trouble is logged and treated as a miss; it never fails a request.
+import { createCacheStore } from '@/lib/cacheStores';
+import { normalizeUrl } from '@/lib/url';
+
+export const SUCCESS_TTL_MS = (Number(process.env.METADATA_CACHE_TTL) || 24 * 60 * 60) * 1000;
+export const FAILURE_TTL_MS = (Number(process.env.METADATA_CACHE_ERROR_TTL) || 5 * 60) * 1000;
+const RETAIN_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const store = createCacheStore(process.env.METADATA_CACHE_STORE || 'memory');
+
+export const metadataCacheKey = (url) => `metadata:${normalizeUrl(url)}`;
+
+export const isFresh = (entry) => Boolean(entry) && entry.expiresAt > Date.now();
+
+export async function readMetadataCache(key) {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.error(`Metadata cache read failed (${store.name}):`, error.message);
+    return null;
+  }
+}
+
+async function write(key, entry) {
+  try {
+    await store.set(key, entry, entry.expiresAt - Date.now() + RETAIN_STALE_MS);
+  } catch (error) {
+    console.error(`Metadata cache write failed (${store.name}):`, error.message);
+  }
+  return entry;
+}
+
+/** Cache extracted metadata with the validators of the response it came from. */
+export const cacheSuccess = (key, metadata, headers = {}) =>
+  write(key, {
+    ok: true,
+    metadata,
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    fetchedAt: Date.now(),
+    expiresAt: Date.now() + SUCCESS_TTL_MS,
+  });
+
+/** Cache a `{ code, error, status }` failure for the short TTL. */
+export const cacheFailure = (key, { code, error, status, upstreamStatus }) =>
+  write(key, {
+    ok: false,
+    code,
+    error,
+    status,
+    ...(upstreamStatus && { upstreamStatus }),
+    fetchedAt: Date.now(),
+    expiresAt: Date.now() + FAILURE_TTL_MS,
+  });
+
+/** The page answered 304: keep the metadata, restart its TTL. */
+export const renewEntry = (key, entry) =>
+  write(key, { ...entry, fetchedAt: Date.now(), expiresAt: Date.now() + SUCCESS_TTL_MS });
+
+// If-None-Match / If-Modified-Since for a stale success
+export const conditionalHeaders = (entry) => {
+  if (!entry?.ok) return {};
+  return {
+    ...(entry.etag && { 'If-None-Match': entry.etag }),
+    ...(entry.lastModified && { 'If-Modified-Since': entry.lastModified }),
+  };
+};
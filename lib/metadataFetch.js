@@ -0,0 +1,98 @@
+// 🧠 SYSTEM DESIGN: Page metadata lookup (server-only)
+// Cache → conditional fetch → cheerio extraction, shared by /api/metadata
+// and the one-click save endpoint (/api/v1/save) so both see the same cache,
+// SSRF guards and error codes.
+import { extractMetadata } from '@/lib/metadata';
+import { safeFetch, SafeFetchError } from '@/lib/safeFetch';
+import { extractArticle } from '@/lib/readability';
+import {
+  metadataCacheKey,
+  readMetadataCache,
+  isFresh,
+  cacheSuccess,
+  cacheFailure,
+  renewEntry,
+  conditionalHeaders,
+} from '@/lib/metadataCache';
+
+// Only pages we can actually parse
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Look up `url`'s metadata. `snapshot` also returns a readable copy of the
+ * article (never cached); `refresh` ignores the cache.
+ * Resolves to `{ ok: true, metadata, cache, snapshot? }` or
+ * `{ ok: false, code, error, status, upstreamStatus?, cache? }` — failures
+ * are answers (blocked, site down...), not exceptions.
+ */
+export async function loadPageMetadata(url, { snapshot = false, refresh = false } = {}) {
+  const key = metadataCacheKey(url);
+  const cached = refresh ? null : await readMetadataCache(key);
+
+  // A snapshot needs the page's HTML, which isn't cached
+  if (isFresh(cached) && !snapshot) {
+    if (!cached.ok) {
+      return {
+        ok: false,
+        code: cached.code,
+        error: cached.error,
+        status: cached.status,
+        ...(cached.upstreamStatus && { upstreamStatus: cached.upstreamStatus }),
+        cache: 'hit',
+      };
+    }
+    return { ok: true, metadata: cached.metadata, cache: 'hit' };
+  }
+
+  console.log('Fetching metadata for:', url);
+
+  try {
+    const response = await safeFetch(url, {
+      allowedContentTypes: HTML_TYPES,
+      // Stale but validated before: let the site answer 304 Not Modified
+      headers: snapshot ? {} : conditionalHeaders(cached),
+    });
+
+    if (response.status === 304 && cached?.ok) {
+      await renewEntry(key, cached);
+      return { ok: true, metadata: cached.metadata, cache: 'revalidated' };
+    }
+
+    if (!response.ok) {
+      console.error('Fetch failed with status:', response.status);
+      const failure = {
+        code: 'UPSTREAM_ERROR',
+        error: `The page answered with HTTP ${response.status}`,
+        status: 502,
+        upstreamStatus: response.status,
+      };
+      await cacheFailure(key, failure);
+      return { ok: false, ...failure };
+    }
+
+    // Parse with cheerio; resolve relative links against the final (post-redirect) URL
+    const html = response.text;
+    const finalUrl = response.url;
+    const metadata = extractMetadata(html, finalUrl);
+    metadata.title = metadata.title || null;
+
+    console.log('Metadata extracted successfully:', metadata.title);
+    await cacheSuccess(key, metadata, response.headers);
+
+    return {
+      ok: true,
+      metadata,
+      cache: refresh ? 'refresh' : 'miss',
+      ...(snapshot && { snapshot: { ...extractArticle(html, finalUrl), source_url: finalUrl } }),
+    };
+  } catch (error) {
+    if (error instanceof SafeFetchError) {
+      console.error(`Metadata fetch refused (${error.code}):`, url, error.message);
+      await cacheFailure(key, { code: error.code, error: error.message, status: error.status });
+      return { ok: false, code: error.code, error: error.message, status: error.status };
+    }
+
+    console.error('Metadata lookup error:', error);
+    return { ok: false, code: 'INTERNAL_ERROR', error: 'Could not read metadata for this page', status: 500 };
+  }
+}
@@ -0,0 +1,166 @@
+// 📴 Offline copy of the bookmark list in IndexedDB.
+//
+// While online the dashboard keeps a full copy of the user's own bookmarks
+// (trash excluded) and their collections here: a full sync at most every
+// SYNC_INTERVAL_MS, plus every realtime change in between. Offline, pages,
+// counts and filters are read from this copy instead of Supabase.
+import { fetchAllBookmarks, matchesFilters, compareBookmarks } from "@/lib/bookmarks";
+import { parseSearchQuery } from "@/lib/searchQuery";
+
+const DB_NAME = "smart-bookmark-offline";
+const DB_VERSION = 1;
+const SYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+// Everything a card needs; article text (`content`) is left on the server
+export const OFFLINE_COLUMNS = [
+  "id",
+  "user_id",
+  "title",
+  "url",
+  "normalized_url",
+  "canonical_url",
+  "tags",
+  "collection_id",
+  "description",
+  "favicon_url",
+  "image_url",
+  "site_name",
+  "lang",
+  "published_at",
+  "link_status",
+  "link_final_url",
+  "link_error",
+  "link_checked_at",
+  "snapshot_captured_at",
+  "deleted_at",
+  "created_at",
+];
+
+const pick = (row) => Object.fromEntries(OFFLINE_COLUMNS.map((column) => [column, row[column] ?? null]));
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("bookmarks", { keyPath: "id" });
+      // { key: "sync", userId, syncedAt } and { key: "collections", value }
+      db.createObjectStore("meta", { keyPath: "key" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Run `work(stores)` in one transaction; resolves with its result on commit
+async function transaction(mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["bookmarks", "meta"], mode);
+    let result;
+    Promise.resolve(work({ bookmarks: tx.objectStore("bookmarks"), meta: tx.objectStore("meta") })).then(
+      (value) => (result = value),
+      reject
+    );
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const read = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/** `{ userId, syncedAt }` of the last full sync, or null. */
+export const readSyncInfo = () => transaction("readonly", ({ meta }) => read(meta.get("sync")));
+
+/**
+ * Replace the copy with the user's current bookmarks. Skipped when the last
+ * sync for this user is recent, unless `force`.
+ */
+export async function syncOfflineCopy(userId, { force = false } = {}) {
+  const last = await readSyncInfo();
+  if (!force && last?.userId === userId && Date.now() - last.syncedAt < SYNC_INTERVAL_MS) return false;
+
+  const rows = await fetchAllBookmarks({ userId, columns: OFFLINE_COLUMNS.join(",") });
+  await transaction("readwrite", ({ bookmarks, meta }) => {
+    bookmarks.clear();
+    for (const row of rows) bookmarks.put(pick(row));
+    meta.put({ key: "sync", userId, syncedAt: Date.now() });
+  });
+  return true;
+}
+
+export const saveOfflineCollections = (collections) =>
+  transaction("readwrite", ({ meta }) => meta.put({ key: "collections", value: collections }));
+
+export async function readOfflineCollections() {
+  const entry = await transaction("readonly", ({ meta }) => read(meta.get("collections")));
+  return entry?.value || [];
+}
+
+/** Keep the copy in step with a realtime `postgres_changes` payload. */
+export function applyOfflineChange(payload, userId) {
+  const { eventType, new: newRecord, old: oldRecord } = payload;
+  return transaction("readwrite", ({ bookmarks }) => {
+    if (eventType === "DELETE") {
+      bookmarks.delete(oldRecord.id);
+    } else if (newRecord.user_id === userId && !newRecord.deleted_at) {
+      bookmarks.put(pick(newRecord));
+    } else {
+      bookmarks.delete(newRecord.id);
+    }
+  });
+}
+
+/** The copy for `userId` (empty if it belongs to someone else), newest first. */
+export async function readOfflineBookmarks(userId) {
+  const sync = await readSyncInfo();
+  if (sync?.userId !== userId) return [];
+  const rows = await transaction("readonly", ({ bookmarks }) => read(bookmarks.getAll()));
+  return rows.sort(compareBookmarks);
+}
+
+// Offline stand-in for search_bookmarks: every word (phrases are split, `or`
+// is ignored), tag: and site: term must match, -words must not (no ranking)
+const matchesSearch = (row, search) => {
+  const parsed = parseSearchQuery(search);
+  const haystack = [row.title, row.url, row.description, row.site_name, ...(row.tags || [])]
+    .join(" ")
+    .toLowerCase();
+  const words = (parsed.text.toLowerCase().match(/[^\s"]+/g) || []).filter((word) => word !== "or");
+  if (!words.every((word) => haystack.includes(word.replace(/^-/, "")) !== word.startsWith("-"))) return false;
+  if (parsed.tags.some((tag) => !(row.tags || []).includes(tag))) return false;
+  if (parsed.site && !row.url.toLowerCase().includes(parsed.site.toLowerCase())) return false;
+  return true;
+};
+
+/**
+ * fetchBookmarksPage's answer from the offline copy: every match as a single
+ * page. The trash and other people's rows in shared collections aren't kept.
+ */
+export async function readOfflinePage(userId, { search, ...filters }) {
+  const rows = await readOfflineBookmarks(userId);
+  return {
+    rows: rows.filter((row) => matchesFilters(row, filters, userId) && (!search || matchesSearch(row, search))),
+    hasMore: false,
+    nextCursor: null,
+  };
+}
+
+/** Forget everything (sign-out). */
+export const clearOfflineCopy = () =>
+  transaction("readwrite", ({ bookmarks, meta }) => {
+    bookmarks.clear();
+    meta.clear();
+  });
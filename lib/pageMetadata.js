@@ -0,0 +1,51 @@
+// 🧠 SYSTEM DESIGN: Client-side access to /api/metadata
+// (the HTML parsing itself lives server-side in lib/metadata.js)
+import { authFetch } from "@/lib/authFetch";
+
+// Columns filled from /api/metadata (see lib/metadata.js)
+export const METADATA_FIELDS = [
+  "description",
+  "favicon_url",
+  "image_url",
+  "site_name",
+  "canonical_url",
+  "lang",
+  "published_at",
+  "content",
+];
+
+export const pickMetadata = (metadata) =>
+  Object.fromEntries(METADATA_FIELDS.map((field) => [field, metadata?.[field] ?? null]));
+
+// `snapshot: true` also asks for the readable article copy (lib/readability.js);
+// `refresh: true` bypasses the server-side cache (lib/metadataCache.js).
+// `patient: true` waits out a rate limit once and retries — for batch jobs
+// (import, bulk refresh) that would otherwise hit the per-user quota.
+// Failures resolve to `{ error, code, url }` (codes from lib/safeFetch.js).
+export const fetchPageMetadata = async (url, { snapshot = false, refresh = false, patient = false } = {}) => {
+  const data = await requestMetadata(url, { snapshot, refresh });
+  if (patient && data.code === "RATE_LIMITED") {
+    await new Promise((resolve) => setTimeout(resolve, (data.retryAfter || 60) * 1000));
+    return requestMetadata(url, { snapshot, refresh });
+  }
+  return data;
+};
+
+const requestMetadata = async (url, { snapshot, refresh }) => {
+  try {
+    const params = new URLSearchParams({ url });
+    if (snapshot) params.set("snapshot", "1");
+    if (refresh) params.set("refresh", "1");
+    const response = await authFetch(`/api/metadata?${params}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.warn(`Metadata unavailable (${data.code}):`, url);
+      return { ...data, url };
+    }
+    return data;
+  } catch (error) {
+    console.error("Failed to fetch metadata:", error);
+    return { error: "Could not reach the metadata service", code: "NETWORK_ERROR", url };
+  }
+};
@@ -0,0 +1,41 @@
+// 🍞 One toast for a whole batch job: a spinner while it runs, then the result
+// with an optional Undo button.
+import toast from "react-hot-toast";
+
+const UNDO_WINDOW_MS = 8000;
+
+/** A success toast with an Undo button; pass `id` to replace an existing toast. */
+export function undoToast(text, onUndo, { id } = {}) {
+  toast(
+    (t) => (
+      <div className="flex items-center gap-3">
+        <span className="text-sm">{text}</span>
+        <button
+          onClick={() => {
+            toast.dismiss(t.id);
+            onUndo();
+          }}
+          className="px-3 py-1 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white transition"
+        >
+          Undo
+        </button>
+      </div>
+    ),
+    { id, icon: "✅", duration: UNDO_WINDOW_MS }
+  );
+}
+
+export function progressToast(message) {
+  const id = toast.loading(message);
+
+  return {
+    update: (text) => toast.loading(text, { id }),
+
+    error: (text) => toast.error(text, { id }),
+
+    done(text, { onUndo } = {}) {
+      if (onUndo) undoToast(text, onUndo, { id });
+      else toast.success(text, { id });
+    },
+  };
+}
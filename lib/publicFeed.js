@@ -0,0 +1,143 @@
+// 🌐 Public share pages and feeds (/s/<slug>, server-only).
+//
+// Everything is read through the get_public_share RPC with the anon key, so a
+// revoked or expired link stops working on the next request and visitors can
+// never see more than the fields that function returns.
+import { supabase } from '@/lib/supabase';
+
+export const PAGE_ITEMS = 200;
+export const FEED_ITEMS = 50;
+
+/** The live share for `slug`, or null when unknown, revoked or expired. */
+export async function loadPublicShare(slug, limit = PAGE_ITEMS) {
+  if (!/^[a-z0-9][a-z0-9-]{2,63}$/i.test(slug || '')) return null;
+  const { data, error } = await supabase.rpc('get_public_share', {
+    share_slug: slug,
+    item_limit: limit,
+  });
+  if (error) throw error;
+  return data || null;
+}
+
+// Stored URLs are user input; only link out to web pages
+export const isWebUrl = (url) => /^https?:\/\//i.test(url || '');
+
+// Absolute origin for feed and Open Graph URLs: NEXT_PUBLIC_SITE_URL when
+// set, else the Host header. Forwarded headers are ignored: feeds are cached
+// publicly, so one spoofed request would hand its links to every subscriber.
+export const siteOrigin = (headers) => {
+  if (process.env.NEXT_PUBLIC_SITE_URL) return process.env.NEXT_PUBLIC_SITE_URL.replace(/\/$/, '');
+  const host = headers.get('host') || 'localhost:3000';
+  return `${host.startsWith('localhost') ? 'http' : 'https'}://${host}`;
+};
+
+export const shareLinks = (origin, slug) => ({
+  page: `${origin}/s/${slug}`,
+  rss: `${origin}/s/${slug}/rss.xml`,
+  atom: `${origin}/s/${slug}/atom.xml`,
+  json: `${origin}/s/${slug}/feed.json`,
+});
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const summary = (b) => b.description || b.site_name || b.url;
+
+// Same rule as the share page: bookmarks that aren't web pages are left out
+const webBookmarks = (share) => share.bookmarks.filter((b) => isWebUrl(b.url));
+
+export function renderRss(share, origin) {
+  const links = shareLinks(origin, share.slug);
+  const items = webBookmarks(share).map((b) => `    <item>
+      <title>${escapeXml(b.title)}</title>
+      <link>${escapeXml(b.url)}</link>
+      <guid isPermaLink="false">${escapeXml(b.id)}</guid>
+      <pubDate>${new Date(b.created_at).toUTCString()}</pubDate>
+      <description>${escapeXml(summary(b))}</description>
+${(b.tags || []).map((t) => `      <category>${escapeXml(t)}</category>\n`).join('')}    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(share.title)}</title>
+    <link>${escapeXml(links.page)}</link>
+    <description>${escapeXml(share.description || share.title)}</description>
+    <atom:link href="${escapeXml(links.rss)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(share.updated_at).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(share, origin) {
+  const links = shareLinks(origin, share.slug);
+  const entries = webBookmarks(share).map((b) => `  <entry>
+    <title>${escapeXml(b.title)}</title>
+    <link href="${escapeXml(b.url)}"/>
+    <id>urn:uuid:${escapeXml(b.id)}</id>
+    <updated>${new Date(b.created_at).toISOString()}</updated>
+    <summary>${escapeXml(summary(b))}</summary>
+${(b.tags || []).map((t) => `    <category term="${escapeXml(t)}"/>\n`).join('')}  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(share.title)}</title>
+  ${share.description ? `<subtitle>${escapeXml(share.description)}</subtitle>` : ''}
+  <link href="${escapeXml(links.page)}"/>
+  <link href="${escapeXml(links.atom)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(links.page)}</id>
+  <updated>${new Date(share.updated_at).toISOString()}</updated>
+  <author><name>Smart Bookmark</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+// https://www.jsonfeed.org/version/1.1/
+export function renderJsonFeed(share, origin) {
+  const links = shareLinks(origin, share.slug);
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: share.title,
+    home_page_url: links.page,
+    feed_url: links.json,
+    ...(share.description && { description: share.description }),
+    items: webBookmarks(share).map((b) => ({
+      id: b.id,
+      url: b.url,
+      title: b.title,
+      summary: summary(b),
+      ...(isWebUrl(b.image_url) && { image: b.image_url }),
+      ...(b.tags?.length && { tags: b.tags }),
+      date_published: b.created_at,
+    })),
+  };
+}
+
+// Feeds are public and cheap to refetch; keep CDN copies short so a revoked
+// link disappears within a minute
+export const FEED_CACHE_CONTROL = 'public, max-age=0, s-maxage=60';
+
+/** Shared GET for the three feed routes. */
+export const feedRoute = (render, contentType) => async (request, { params }) => {
+  const { slug } = await params;
+  let share;
+  try {
+    share = await loadPublicShare(slug, FEED_ITEMS);
+  } catch (error) {
+    console.error('Public feed error:', error);
+    return new Response('Feed unavailable', { status: 500 });
+  }
+  if (!share) return new Response('Not found', { status: 404 });
+
+  const body = render(share, siteOrigin(request.headers));
+  return new Response(typeof body === 'string' ? body : JSON.stringify(body, null, 2), {
+    headers: { 'Content-Type': contentType, 'Cache-Control': FEED_CACHE_CONTROL },
+  });
+};
@@ -0,0 +1,66 @@
+// 🌐 Managing public share links (the owner's side of /s/<slug>). What a
+// visitor sees is decided by get_public_share() and rendered by
+// lib/publicFeed.js.
+import { supabase } from "@/lib/supabase";
+
+export const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{2,63}$/;
+
+export const EXPIRY_OPTIONS = [
+  { value: "", label: "Never expires" },
+  { value: "1", label: "1 day" },
+  { value: "7", label: "7 days" },
+  { value: "30", label: "30 days" },
+  { value: "365", label: "1 year" },
+];
+
+// Absolute link for copying; the page itself works on any host
+export const shareUrl = (slug) =>
+  `${typeof window === "undefined" ? "" : window.location.origin}/s/${slug}`;
+
+export const isShareLive = (share) =>
+  !share.revoked_at && (!share.expires_at || new Date(share.expires_at) > new Date());
+
+/** Links published for a collection (`{ collectionId }`) or a tag (`{ tag }`), newest first. */
+export async function fetchPublicShares({ collectionId, tag }) {
+  let query = supabase.from("public_shares").select("*").order("created_at", { ascending: false });
+  query = collectionId ? query.eq("collection_id", collectionId) : query.eq("tag", tag);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+export async function createPublicShare({ userId, collectionId, tag, title, description, slug, expiresInDays }) {
+  const custom = slug?.trim().toLowerCase();
+  if (custom && !SLUG_PATTERN.test(custom)) {
+    throw new Error("Use 3–64 lowercase letters, numbers or dashes for the link");
+  }
+
+  const { data, error } = await supabase
+    .from("public_shares")
+    .insert({
+      user_id: userId,
+      collection_id: collectionId || null,
+      tag: collectionId ? null : tag,
+      title: title.trim(),
+      description: description?.trim() || null,
+      expires_at: expiresInDays
+        ? new Date(Date.now() + Number(expiresInDays) * 86400000).toISOString()
+        : null,
+      // Omitted so the column default generates an unguessable slug
+      ...(custom && { slug: custom }),
+    })
+    .select()
+    .single();
+  if (error?.code === "23505") throw new Error(`/s/${custom} is already taken`);
+  if (error) throw error;
+  return data;
+}
+
+/** Revoked links stop resolving immediately; the row stays for the record. */
+export async function revokePublicShare(id) {
+  const { error } = await supabase
+    .from("public_shares")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id);
+  if (error) throw error;
+}
@@ -0,0 +1,38 @@
+// ⏱ In-memory fixed-window rate limiter for API routes.
+//
+// Counters live in the server process, so limits are per instance — enough to
+// stop one user hammering an endpoint, not a global quota.
+
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    limit,
+    /**
+     * Count one request for `key`.
+     * Returns `{ allowed, remaining, retryAfter }` (retryAfter in seconds).
+     */
+    check(key) {
+      const now = Date.now();
+
+      // Drop expired windows now and then so the map can't grow unbounded
+      if (windows.size > 10000) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      }
+
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+
+      return {
+        allowed: entry.count <= limit,
+        remaining: Math.max(0, limit - entry.count),
+        retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+      };
+    },
+  };
+}
+
@@ -0,0 +1,142 @@
+// 📖 Readable article extraction for offline snapshots (server-side, cheerio).
+//
+// Picks the main content block, then rebuilds it from an allowlist of text
+// elements. Scripts, styles, forms, iframes, images and every attribute except
+// absolute link targets are dropped, so the stored HTML can be shown without
+// loading anything from the original site.
+import * as cheerio from "cheerio";
+
+export const MAX_SNAPSHOT_HTML = 500_000;
+export const MAX_SNAPSHOT_TEXT = 200_000;
+
+const NOISE = [
+  "script", "style", "noscript", "template", "iframe", "object", "embed", "svg",
+  "canvas", "form", "button", "input", "select", "textarea", "nav", "header",
+  "footer", "aside", "img", "picture", "video", "audio", "source",
+].join(", ");
+
+// Class/id fragments that mark page furniture rather than the article
+const NOISE_HINT = /(^|[-_\s])(comment|sidebar|footer|nav|menu|promo|share|social|related|advert|ads?|banner|cookie|newsletter|subscribe|popup|modal)([-_\s]|$)/i;
+
+const ALLOWED_TAGS = new Set([
+  "p", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "blockquote",
+  "pre", "code", "em", "strong", "b", "i", "u", "s", "a", "br", "hr",
+  "figure", "figcaption", "table", "thead", "tbody", "tfoot", "tr", "th",
+  "td", "sup", "sub", "small", "mark", "dl", "dt", "dd",
+]);
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const clean = (value) => (value || "").replace(/\s+/g, " ").trim();
+
+// Plain text of our own serialized HTML, with a break between blocks
+const htmlToText = (value) =>
+  value
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|figcaption|tr|dt|dd)>|<br>|<hr>/g, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .split("\n")
+    .map(clean)
+    .filter(Boolean)
+    .join("\n");
+
+// Highest paragraph-text container, when there's no <article>/<main>
+const bestCandidate = ($) => {
+  for (const selector of ["article", "main", '[role="main"]', '[itemprop="articleBody"]']) {
+    const el = $(selector).first();
+    if (clean(el.text()).length > 200) return el;
+  }
+
+  const scores = new Map();
+  $("p").each((_, p) => {
+    const length = clean($(p).text()).length;
+    if (length < 40) return;
+    const parent = p.parent;
+    const grandparent = parent?.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + length);
+    if (grandparent) scores.set(grandparent, (scores.get(grandparent) || 0) + length / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    if (score > bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  }
+  return best ? $(best) : $("body");
+};
+
+// Rebuild a node tree as allowlisted HTML
+const serialize = ($, nodes, baseUrl) =>
+  nodes
+    .map((node) => {
+      if (node.type === "text") return escapeHtml(node.data || "");
+      if (node.type !== "tag") return "";
+
+      const tag = node.name.toLowerCase();
+      const inner = serialize($, node.children || [], baseUrl);
+      if (!ALLOWED_TAGS.has(tag)) {
+        // Unknown wrappers (div, span, section...) keep their content
+        return /^(div|section|center)$/.test(tag) ? `\n${inner}\n` : inner;
+      }
+      if (tag === "br" || tag === "hr") return `<${tag}>`;
+      if (tag === "a") {
+        let href = null;
+        try {
+          const resolved = new URL($(node).attr("href") || "", baseUrl);
+          if (resolved.protocol === "http:" || resolved.protocol === "https:") href = resolved.toString();
+        } catch {
+          // Not a usable link
+        }
+        return href
+          ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${inner}</a>`
+          : inner;
+      }
+      return `<${tag}>${inner}</${tag}>`;
+    })
+    .join("");
+
+/**
+ * Extract the readable article from a page.
+ * Returns `{ title, byline, excerpt, html, text, word_count }`.
+ */
+export function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html);
+
+  const title =
+    clean($('meta[property="og:title"]').attr("content")) ||
+    clean($("h1").first().text()) ||
+    clean($("title").first().text());
+  const byline =
+    clean($('meta[name="author"]').attr("content")) ||
+    clean($('[rel="author"], [itemprop="author"], .byline, .author').first().text()) ||
+    null;
+
+  $(NOISE).remove();
+  $("[class], [id]").each((_, el) => {
+    const hint = `${$(el).attr("class") || ""} ${$(el).attr("id") || ""}`;
+    if (NOISE_HINT.test(hint) && el.name !== "body" && el.name !== "html") $(el).remove();
+  });
+  $('[hidden], [aria-hidden="true"]').remove();
+
+  const root = bestCandidate($);
+  const fullHtml = serialize($, root.toArray().flatMap((n) => n.children || []), pageUrl)
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  const text = htmlToText(fullHtml).slice(0, MAX_SNAPSHOT_TEXT);
+
+  return {
+    title: title || null,
+    byline: byline ? byline.slice(0, 200) : null,
+    excerpt: clean(text.slice(0, 300)) || null,
+    html: fullHtml.slice(0, MAX_SNAPSHOT_HTML),
+    text,
+    word_count: text ? text.split(/\s+/).length : 0,
+  };
+}
@@ -0,0 +1,245 @@
+// 📡 Realtime connection: status, reconnect and resync.
+//
+// Open tabs share one Supabase channel: they elect a leader with the Web
+// Locks API, only the leader subscribes, and it relays every event and its
+// connection status to the other tabs over a BroadcastChannel. When the
+// leader tab closes another one takes the lock and subscribes. Browsers
+// without either API just subscribe in every tab.
+//
+// A channel that errors, times out or closes is removed and subscribed again
+// with exponential backoff; coming back online, the tab becoming visible and
+// waking from sleep retry at once. Every subscribe ends with a delta resync:
+// rows whose `updated_at` is at or after the newest change seen so far, less
+// RESYNC_WINDOW_MS, are fetched and replayed as UPDATE events, so nothing
+// missed while disconnected is lost. The window covers rows committed after
+// a newer-stamped one was seen; replaying them again is safe because
+// applying a change is idempotent.
+import { supabase } from "@/lib/supabase";
+import { fetchBookmarkChanges, fetchLatestChange } from "@/lib/bookmarks";
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+// A check that runs this much later than scheduled means the machine slept
+const WAKE_CHECK_MS = 10 * 1000;
+const WAKE_GAP_MS = 30 * 1000;
+// Longer than any write takes between stamping updated_at and committing
+const RESYNC_WINDOW_MS = 2 * 60 * 1000;
+
+// realtime-js hands back a channel with the same topic while it's still
+// leaving, and won't subscribe it again; every subscribe gets a fresh topic
+let topics = 0;
+
+export const REALTIME_STATUS = {
+  connecting: { label: "Connecting…", dot: "bg-gray-400" },
+  live: { label: "Live", dot: "bg-emerald-500" },
+  reconnecting: { label: "Reconnecting…", dot: "bg-amber-500" },
+  offline: { label: "Offline", dot: "bg-rose-500" },
+};
+
+/**
+ * Keep the dashboard of `userId` (and the collections in `sharedIds` shared
+ * with them) in sync. `handlers`:
+ * - onBookmarkChange(payload), onCollectionChange(payload): a realtime event,
+ *   or a resynced row as an UPDATE
+ * - onMembersChange(), onInvitesChange(): reload those lists
+ * - onStatus(status): a key of REALTIME_STATUS
+ * - onResync(): missed changes were replayed after a reconnect; refresh what
+ *   a delta can't carry (counts, purged rows, collections)
+ * Returns `{ close }`.
+ */
+export function startRealtimeSync({ userId, sharedIds = [], handlers }) {
+  const name = `smart-bookmark-realtime:${userId}`;
+  const shared = typeof BroadcastChannel !== "undefined" && typeof navigator !== "undefined" && !!navigator.locks;
+  const bus = shared ? new BroadcastChannel(name) : null;
+  const abort = new AbortController();
+
+  let closed = false;
+  let leading = false;
+  let releaseLock = null;
+  let channel = null;
+  let subscribedOnce = false;
+  let status = "connecting";
+  let attempt = 0;
+  let retryTimer = null;
+  let lastSeen = null; // ms of the newest `updated_at` seen
+  let resyncing = null;
+
+  const post = (message) => bus?.postMessage(message);
+
+  const setStatus = (next) => {
+    if (closed || next === status) return;
+    status = next;
+    handlers.onStatus(next);
+    if (leading) post({ type: "status", status: next });
+  };
+
+  const see = (row) => {
+    const at = row?.updated_at ? Date.parse(row.updated_at) : NaN;
+    if (!Number.isNaN(at) && (lastSeen == null || at > lastSeen)) lastSeen = at;
+  };
+
+  const dispatch = (message) => {
+    if (closed) return;
+    if (message.type === "bookmark") {
+      see(message.payload.new);
+      handlers.onBookmarkChange(message.payload);
+    } else if (message.type === "collection") handlers.onCollectionChange(message.payload);
+    else if (message.type === "members") handlers.onMembersChange();
+    else if (message.type === "invites") handlers.onInvitesChange();
+  };
+
+  // Leader: handle the event here and pass it on to the other tabs
+  const relay = (message) => {
+    dispatch(message);
+    post(message);
+  };
+
+  const ready = fetchLatestChange(userId, sharedIds)
+    .then((latest) => see({ updated_at: latest }))
+    .catch((error) => console.error("Realtime watermark failed:", error));
+
+  const resync = (notify) => {
+    resyncing ??= (async () => {
+      try {
+        await ready;
+        // Never learned where we stood (started offline): start from now on
+        if (lastSeen == null) {
+          see({ updated_at: await fetchLatestChange(userId, sharedIds) });
+          return;
+        }
+        const since = new Date(lastSeen - RESYNC_WINDOW_MS).toISOString();
+        const rows = await fetchBookmarkChanges(userId, sharedIds, since);
+        for (const row of rows) {
+          if (closed) return;
+          see(row);
+          handlers.onBookmarkChange({ eventType: "UPDATE", new: row, old: { id: row.id } });
+        }
+        if (notify && !closed) handlers.onResync();
+      } catch (error) {
+        console.error("Realtime resync failed:", error);
+      } finally {
+        resyncing = null;
+      }
+    })();
+    return resyncing;
+  };
+
+  const subscribe = () => {
+    if (closed) return;
+    const changes = (table, filter) => ({ event: "*", schema: "public", table, ...(filter && { filter }) });
+    const onBookmark = (payload) => relay({ type: "bookmark", payload });
+    const onCollection = (payload) => relay({ type: "collection", payload });
+
+    // The user's own rows plus rows in the collections shared with them.
+    // Realtime checks RLS per subscriber, so only rows the user may read
+    // arrive; a row in both sets arrives twice.
+    let next = supabase
+      .channel(`bookmarks-${userId}-${++topics}`)
+      .on("postgres_changes", changes("bookmarks", `user_id=eq.${userId}`), onBookmark)
+      .on("postgres_changes", changes("collections", `user_id=eq.${userId}`), onCollection);
+    if (sharedIds.length) {
+      next = next
+        .on("postgres_changes", changes("bookmarks", `collection_id=in.(${sharedIds.join(",")})`), onBookmark)
+        .on("postgres_changes", changes("collections", `id=in.(${sharedIds.join(",")})`), onCollection);
+    }
+    // Someone joined, left or changed role somewhere the user can see, or an
+    // invite for them arrived or was withdrawn
+    next = next
+      .on("postgres_changes", changes("collection_members"), () => relay({ type: "members" }))
+      .on("postgres_changes", changes("collection_invites"), () => relay({ type: "invites" }));
+
+    channel = next;
+    next.subscribe((state) => {
+      // Late callbacks from a channel already replaced or removed
+      if (closed || channel !== next) return;
+      if (state === "SUBSCRIBED") {
+        attempt = 0;
+        setStatus("live");
+        // The first subscribe only closes the gap since the page loaded
+        resync(subscribedOnce);
+        subscribedOnce = true;
+        post({ type: "resync" });
+      } else if (state === "CHANNEL_ERROR" || state === "TIMED_OUT" || state === "CLOSED") {
+        reconnect();
+      }
+    });
+  };
+
+  const reconnect = async ({ now = false } = {}) => {
+    if (closed || !leading) return;
+    clearTimeout(retryTimer);
+    const old = channel;
+    channel = null;
+    setStatus(navigator.onLine ? "reconnecting" : "offline");
+    if (old) await supabase.removeChannel(old).catch(() => {});
+    const delay = now ? 0 : Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+    attempt += 1;
+    retryTimer = setTimeout(subscribe, delay);
+  };
+
+  const lead = () => {
+    if (closed) return;
+    leading = true;
+    // Whatever the previous leader last reported no longer holds
+    setStatus("connecting");
+    post({ type: "status", status });
+    subscribe();
+    // Held until close(); the lock then passes to another tab
+    return new Promise((resolve) => (releaseLock = resolve));
+  };
+
+  if (shared) {
+    bus.onmessage = ({ data }) => {
+      if (data.type === "hello") {
+        if (leading) post({ type: "status", status });
+      } else if (leading) {
+        return;
+      } else if (data.type === "status") {
+        setStatus(data.status);
+      } else if (data.type === "resync") {
+        resync(true);
+      } else {
+        dispatch(data);
+      }
+    };
+    navigator.locks.request(name, { signal: abort.signal }, lead).catch(() => {});
+    post({ type: "hello" });
+  } else {
+    lead();
+  }
+
+  const onOnline = () => status !== "live" && reconnect({ now: true });
+  const onOffline = () => leading && setStatus("offline");
+  let lastTick = Date.now();
+  const onVisibility = () => {
+    if (document.visibilityState !== "visible") return;
+    // Hidden tabs have their timers throttled; that's not sleep
+    lastTick = Date.now();
+    if (status !== "live") reconnect({ now: true });
+  };
+  const wakeTimer = setInterval(() => {
+    const now = Date.now();
+    if (document.visibilityState === "visible" && now - lastTick > WAKE_GAP_MS) reconnect({ now: true });
+    lastTick = now;
+  }, WAKE_CHECK_MS);
+
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onOffline);
+  document.addEventListener("visibilitychange", onVisibility);
+
+  return {
+    close() {
+      closed = true;
+      abort.abort();
+      releaseLock?.();
+      clearTimeout(retryTimer);
+      clearInterval(wakeTimer);
+      window.removeEventListener("online", onOnline);
+      window.removeEventListener("offline", onOffline);
+      document.removeEventListener("visibilitychange", onVisibility);
+      if (channel) supabase.removeChannel(channel).catch(() => {});
+      channel = null;
+      bus?.close();
+    },
+  };
+}
@@ -0,0 +1,80 @@
+// 🕘 Bookmark edit history. Rows are written by the record_bookmark_revision
+// trigger (supabase/migrations/..._bookmark_revisions.sql) on every update,
+// whatever made it; this side only reads them and turns one back into an
+// ordinary update for "Revert".
+import { supabase } from "@/lib/supabase";
+import { canonicalKey } from "@/lib/url";
+
+const HISTORY_LIMIT = 50;
+
+// Fields the trigger tracks, in display order
+export const REVISION_FIELDS = {
+  title: "Title",
+  url: "URL",
+  tags: "Tags",
+  collection_id: "Collection",
+  description: "Description",
+  image_url: "Image",
+  site_name: "Site",
+  canonical_url: "Canonical URL",
+};
+
+/** Newest first. */
+export async function fetchRevisions(bookmarkId) {
+  const { data, error } = await supabase
+    .from("bookmark_revisions")
+    .select("*")
+    .eq("bookmark_id", bookmarkId)
+    .order("changed_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(HISTORY_LIMIT);
+  if (error) throw error;
+  return data || [];
+}
+
+// Tags are sets: show what was added and removed rather than two lists
+export const diffTags = (before, after) => {
+  const was = new Set(before || []);
+  const now = new Set(after || []);
+  return {
+    added: [...now].filter((t) => !was.has(t)),
+    removed: [...was].filter((t) => !now.has(t)),
+  };
+};
+
+/**
+ * The update that puts back the values from before `revision`.
+ * `normalized_url` follows a reverted URL; a collection that is gone or no
+ * longer editable (not in `collections`) is left as it is (reported in
+ * `skipped`).
+ */
+export function revertFields(revision, bookmark, collections) {
+  const fields = { ...revision.before };
+  const skipped = [];
+
+  if (fields.collection_id && !collections.some((c) => c.id === fields.collection_id)) {
+    delete fields.collection_id;
+    skipped.push("collection_id");
+  }
+  if ("url" in fields || "canonical_url" in fields) {
+    fields.normalized_url = canonicalKey(
+      fields.url ?? bookmark.url,
+      "canonical_url" in fields ? fields.canonical_url : bookmark.canonical_url
+    );
+  }
+  return { fields, skipped };
+}
+
+// "ana@example.com · Chrome on macOS · session 1a2b3c4d"; edits by the
+// current user name the device instead ("this device")
+export const describeOrigin = (revision, { currentDeviceId, userId, people = new Map() }) =>
+  [
+    revision.changed_by && revision.changed_by !== userId
+      ? people.get(revision.changed_by) || "another member"
+      : null,
+    revision.device_name || (revision.changed_by ? "Unknown device" : "Server"),
+    revision.device_id && revision.device_id === currentDeviceId ? "this device" : null,
+    revision.session_id ? `session ${revision.session_id.slice(0, 8)}` : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
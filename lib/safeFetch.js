@@ -0,0 +1,297 @@
+// 🛡 SYSTEM DESIGN: Hardened outbound fetch for user-supplied URLs (SSRF guard)
+//
+// Every URL a user gives us is fetched from our server, so it must not be able
+// to reach anything a browser on the public internet couldn't:
+//
+// - Only http(s), only default-looking targets
+// - Every address a hostname resolves to is checked at connect time (so DNS
+//   rebinding between "check" and "connect" doesn't help), on every redirect hop
+// - Redirects are followed manually and capped
+// - The body is streamed, decompressed and cut off at `maxBytes`
+// - Optional content-type allowlist (metadata only parses HTML)
+//
+// Failures throw a SafeFetchError with a stable `code` the routes return as-is.
+import http from 'node:http';
+import https from 'node:https';
+import dns from 'node:dns';
+import net from 'node:net';
+import zlib from 'node:zlib';
+import { pipeline, Writable } from 'node:stream';
+
+export const DEFAULT_TIMEOUT_MS = 8000;
+export const DEFAULT_MAX_BYTES = 2 * 1024 * 1024; // 2 MB
+export const DEFAULT_MAX_REDIRECTS = 5;
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+export class SafeFetchError extends Error {
+  constructor(code, message, status = 502) {
+    super(message);
+    this.name = 'SafeFetchError';
+    this.code = code;
+    // HTTP status our route should answer with
+    this.status = status;
+  }
+}
+
+// Loopback, private, link-local (incl. cloud metadata 169.254.169.254),
+// carrier-grade NAT, documentation, benchmarking, multicast and reserved ranges
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.88.99.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['100::', 64],
+  ['2001::', 23],
+  ['2001:db8::', 32],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return !blocked.check(address, 'ipv4');
+  if (family === 6) {
+    // IPv4-mapped (::ffff:10.0.0.1) and -compatible forms hide a v4 address
+    const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !blocked.check(address, 'ipv6');
+  }
+  return false;
+}
+
+// dns.lookup replacement handed to http(s).request: the socket only ever
+// connects to an address that passed the check
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(new SafeFetchError('DNS_FAILED', `Could not resolve ${hostname}`, 400));
+      return;
+    }
+    const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: options.family }];
+    const rejected = list.find((a) => !isPublicAddress(a.address));
+    if (rejected || list.length === 0) {
+      callback(new SafeFetchError('BLOCKED_ADDRESS', `${hostname} resolves to a private or reserved address`, 400));
+      return;
+    }
+    if (options.all) callback(null, list);
+    else callback(null, list[0].address, list[0].family);
+  });
+};
+
+export function parsePublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new SafeFetchError('INVALID_URL', 'Invalid URL', 400);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new SafeFetchError('UNSUPPORTED_PROTOCOL', 'Only http and https URLs can be fetched', 400);
+  }
+  if (url.username || url.password) {
+    throw new SafeFetchError('INVALID_URL', 'URLs with credentials are not allowed', 400);
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', 'Private and loopback addresses are not allowed', 400);
+  }
+  if (/^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i.test(host)) {
+    throw new SafeFetchError('BLOCKED_ADDRESS', 'Private and loopback addresses are not allowed', 400);
+  }
+  return url;
+}
+
+const decoderFor = (encoding) => {
+  switch ((encoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+};
+
+const charsetOf = (contentType) => {
+  const match = /charset=["']?([\w-]+)/i.exec(contentType || '');
+  return match ? match[1].toLowerCase() : 'utf-8';
+};
+
+// One request/response hop, no redirect handling
+function requestOnce(url, { method, headers, signal }) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const req = transport.request(url, {
+      method,
+      headers,
+      lookup: guardedLookup,
+      signal,
+    });
+    req.on('response', resolve);
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Read (and decompress) a body, refusing more than maxBytes. pipeline() tears
+// down every stage when one fails, so an aborted or broken response also ends
+// the decoder instead of leaving the read hanging.
+function readBody(response, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const decoder = decoderFor(response.headers['content-encoding']);
+    const chunks = [];
+    let size = 0;
+
+    const collect = new Writable({
+      write(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          callback(new SafeFetchError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes`, 413));
+          return;
+        }
+        chunks.push(chunk);
+        callback();
+      },
+    });
+
+    const stages = decoder ? [response, decoder, collect] : [response, collect];
+    pipeline(...stages, (error) => (error ? reject(error) : resolve(Buffer.concat(chunks))));
+  });
+}
+
+/**
+ * Fetch a user-supplied URL safely.
+ *
+ * Resolves to `{ status, ok, url, redirected, headers, contentType, text }`
+ * (`text` is null when `readBody` is false). Non-2xx responses are returned,
+ * not thrown — callers decide what an upstream 404 means to them.
+ */
+export async function safeFetch(input, {
+  method = 'GET',
+  headers = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+  allowedContentTypes = null,
+  readBody: shouldReadBody = true,
+} = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let url = parsePublicUrl(input);
+  let redirects = 0;
+
+  try {
+    for (;;) {
+      let response;
+      try {
+        response = await requestOnce(url, {
+          method,
+          signal: controller.signal,
+          headers: {
+            'User-Agent': USER_AGENT,
+            Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+            'Accept-Encoding': 'gzip, deflate, br',
+            ...headers,
+          },
+        });
+      } catch (error) {
+        if (error instanceof SafeFetchError) throw error;
+        if (error.name === 'AbortError') throw new SafeFetchError('TIMEOUT', `No response within ${timeoutMs}ms`, 504);
+        throw new SafeFetchError('FETCH_FAILED', error.code || error.message, 502);
+      }
+
+      const { statusCode: status, headers: responseHeaders } = response;
+
+      if (status >= 300 && status < 400 && responseHeaders.location) {
+        response.destroy();
+        if (++redirects > maxRedirects) {
+          throw new SafeFetchError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`, 502);
+        }
+        // Each hop is re-validated (protocol, literal IPs, then DNS at connect)
+        url = parsePublicUrl(new URL(responseHeaders.location, url).toString());
+        if (status === 303) method = method === 'HEAD' ? 'HEAD' : 'GET';
+        continue;
+      }
+
+      const contentType = responseHeaders['content-type'] || '';
+      const result = {
+        status,
+        ok: status >= 200 && status < 300,
+        url: url.toString(),
+        redirected: redirects > 0,
+        headers: responseHeaders,
+        contentType,
+        text: null,
+      };
+
+      // Don't download bodies nobody will read
+      if (!shouldReadBody || method === 'HEAD' || !result.ok) {
+        response.destroy();
+        return result;
+      }
+
+      if (allowedContentTypes) {
+        const mime = contentType.split(';')[0].trim().toLowerCase();
+        if (!allowedContentTypes.includes(mime)) {
+          response.destroy();
+          throw new SafeFetchError('UNSUPPORTED_CONTENT_TYPE', `Not an HTML page (${mime || 'unknown type'})`, 422);
+        }
+      }
+
+      const declaredLength = Number(responseHeaders['content-length']);
+      if (declaredLength > maxBytes && !responseHeaders['content-encoding']) {
+        response.destroy();
+        throw new SafeFetchError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes`, 413);
+      }
+
+      let body;
+      try {
+        body = await readBody(response, maxBytes);
+      } catch (error) {
+        if (error instanceof SafeFetchError) throw error;
+        // The abort surfaces as a reset or premature close, not an AbortError
+        if (controller.signal.aborted) throw new SafeFetchError('TIMEOUT', `No response within ${timeoutMs}ms`, 504);
+        throw new SafeFetchError('FETCH_FAILED', 'Could not read response', 502);
+      }
+
+      try {
+        result.text = new TextDecoder(charsetOf(contentType)).decode(body);
+      } catch {
+        result.text = new TextDecoder('utf-8').decode(body);
+      }
+      return result;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
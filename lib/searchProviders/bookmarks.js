@@ -0,0 +1,29 @@
+// The signed-in user's own bookmarks, ranked by the same full-text search as
+// the dashboard (search_bookmarks RPC, run as the user so RLS applies).
+// `site` maps to the search box's site: operator; time and language filters
+// describe web pages, so they don't apply here.
+import { fetchBookmarksPage } from '@/lib/bookmarks';
+
+const stripHighlights = (value) => (value || '').replace(/[«»]/g, '');
+
+export const bookmarksProvider = {
+  name: 'bookmarks',
+  label: 'Your bookmarks',
+  isEnabled: () => true,
+
+  async search(query, { user, supabase, limit, offset, filters }) {
+    const { rows } = await fetchBookmarksPage({
+      client: supabase,
+      userId: user.id,
+      search: filters.site ? `${query} site:${filters.site}` : query,
+      cursor: offset ? { offset } : null,
+      limit,
+    });
+    return rows.map((b) => ({
+      title: b.title,
+      url: b.url,
+      description: stripHighlights(b.snippet) || b.description || '',
+      bookmarkId: b.id,
+    }));
+  },
+};
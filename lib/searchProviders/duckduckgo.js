@@ -0,0 +1,60 @@
+// DuckDuckGo Instant Answer API: free and keyless, but it returns the topic
+// abstract and related topics rather than a full page of web results. It has
+// no paging, time or language options; `site` is applied to the results.
+import { providerFetch } from '@/lib/searchProviders/providerFetch';
+
+// "Name - what it is" → title "Name"
+const toResult = (topic) => ({
+  title: (topic.Text || topic.FirstURL).split(' - ')[0],
+  url: topic.FirstURL,
+  description: topic.Text || '',
+});
+
+const onSite = (url, site) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return host === site || host.endsWith(`.${site}`);
+  } catch {
+    return false;
+  }
+};
+
+export const duckduckgoProvider = {
+  name: 'duckduckgo',
+  label: 'DuckDuckGo',
+  cacheable: true,
+  isEnabled: () => true,
+
+  async search(query, { limit, offset, filters }) {
+    // Everything comes back on the first page
+    if (offset > 0) return [];
+
+    const params = new URLSearchParams({
+      q: query,
+      format: 'json',
+      no_html: '1',
+      skip_disambig: '1',
+    });
+    const data = await providerFetch(`https://api.duckduckgo.com/?${params}`);
+
+    const results = [];
+    if (data.AbstractURL) {
+      results.push({
+        title: data.Heading || data.AbstractURL,
+        url: data.AbstractURL,
+        description: data.AbstractText || '',
+      });
+    }
+    for (const topic of data.Results || []) {
+      if (topic.FirstURL) results.push(toResult(topic));
+    }
+    // Related topics may be grouped one level deep ({ Name, Topics: [...] })
+    for (const topic of (data.RelatedTopics || []).flatMap((t) => t.Topics || [t])) {
+      if (topic.FirstURL) results.push(toResult(topic));
+    }
+    const site = filters.site?.toLowerCase();
+    return results
+      .filter((r) => !site || onSite(r.url, site))
+      .slice(0, limit);
+  },
+};
@@ -0,0 +1,42 @@
+// Google Programmable Search (Custom Search JSON API).
+// Needs GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID.
+import { providerFetch } from '@/lib/searchProviders/providerFetch';
+
+// dateRestrict=<unit>1
+const TIME_UNITS = { day: 'd1', week: 'w1', month: 'm1', year: 'y1' };
+
+// The API serves results 1-100 only
+const MAX_START = 91;
+
+export const googleProvider = {
+  name: 'google',
+  label: 'Google',
+  cacheable: true,
+  isEnabled: () => Boolean(process.env.GOOGLE_SEARCH_API_KEY && process.env.GOOGLE_SEARCH_ENGINE_ID),
+
+  async search(query, { limit, offset, filters }) {
+    if (offset + 1 > MAX_START) return [];
+
+    const params = new URLSearchParams({
+      key: process.env.GOOGLE_SEARCH_API_KEY,
+      cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
+      q: query,
+      // The API returns at most 10 per request
+      num: String(Math.min(limit, 10)),
+      start: String(offset + 1),
+    });
+    if (filters.site) {
+      params.set('siteSearch', filters.site);
+      params.set('siteSearchFilter', 'i');
+    }
+    if (filters.time) params.set('dateRestrict', TIME_UNITS[filters.time]);
+    if (filters.lang) params.set('lr', `lang_${filters.lang}`);
+
+    const data = await providerFetch(`https://www.googleapis.com/customsearch/v1?${params}`);
+    return (data.items || []).map((item) => ({
+      title: item.title,
+      url: item.link,
+      description: item.snippet || '',
+    }));
+  },
+};
@@ -0,0 +1,168 @@
+// 🔎 SYSTEM DESIGN: Pluggable web search providers
+//
+// Each provider is `{ name, label, isEnabled(), search(query, context) }` and
+// maps its backend's response to `{ title, url, description }`. The route runs
+// every enabled provider in SEARCH_PROVIDERS order, in parallel, then merges:
+// results are deduplicated by normalized URL, earlier providers win ties, and
+// every result records which providers returned it.
+//
+// SEARCH_PROVIDERS="bookmarks,serpapi,google,duckduckgo" is the default.
+// Providers without credentials are skipped; `mock` only runs when listed.
+//
+// Web providers (`cacheable: true`) are cached per query, filters and page
+// for SEARCH_CACHE_TTL seconds, so repeating a search or paging back doesn't
+// bill the API again. The user's own bookmarks are always searched live.
+import { isHttpUrl, normalizeUrl } from '@/lib/url';
+import { createTtlCache } from '@/lib/ttlCache';
+import { bookmarksProvider } from '@/lib/searchProviders/bookmarks';
+import { serpapiProvider } from '@/lib/searchProviders/serpapi';
+import { googleProvider } from '@/lib/searchProviders/google';
+import { duckduckgoProvider } from '@/lib/searchProviders/duckduckgo';
+import { mockProvider } from '@/lib/searchProviders/mock';
+
+export const PROVIDERS = Object.fromEntries(
+  [bookmarksProvider, serpapiProvider, googleProvider, duckduckgoProvider, mockProvider].map((p) => [p.name, p])
+);
+
+export const DEFAULT_ORDER = ['bookmarks', 'serpapi', 'google', 'duckduckgo'];
+
+// Results asked of each provider per page
+export const PROVIDER_LIMIT = 10;
+
+export const TIME_RANGES = ['day', 'week', 'month', 'year'];
+
+const cache = createTtlCache({
+  ttlMs: (Number(process.env.SEARCH_CACHE_TTL) || 600) * 1000,
+  maxEntries: 1000,
+});
+
+/**
+ * `{ site, time, lang }` from request params. Unknown values are dropped
+ * rather than passed to paid APIs.
+ */
+export function parseSearchFilters(params) {
+  const site = (params.get('site') || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/.*$/, '');
+  const time = params.get('time');
+  const lang = (params.get('lang') || '').trim().toLowerCase();
+  return {
+    site: /^[a-z0-9.-]+\.[a-z]{2,}$/.test(site) ? site : null,
+    time: TIME_RANGES.includes(time) ? time : null,
+    lang: /^[a-z]{2}$/.test(lang) ? lang : null,
+  };
+}
+
+// Same search, same key: case and spacing of the query don't matter
+const cacheKey = (provider, query, filters, offset) =>
+  JSON.stringify([
+    provider.name,
+    query.toLowerCase().replace(/\s+/g, ' ').trim(),
+    filters.site,
+    filters.time,
+    filters.lang,
+    offset,
+    PROVIDER_LIMIT,
+  ]);
+
+const searchProvider = async (provider, query, context) => {
+  const key = provider.cacheable && cacheKey(provider, query, context.filters, context.offset);
+  if (key) {
+    const hit = cache.get(key);
+    if (hit) return { results: hit, cached: true };
+  }
+
+  const results = await provider.search(query, context);
+  // Only successes are cached; a failed provider is retried next time
+  if (key) cache.set(key, results);
+  return { results, cached: false };
+};
+
+/** Enabled providers in configured order. */
+export function configuredProviders(setting = process.env.SEARCH_PROVIDERS) {
+  const names = setting
+    ? setting.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return [...new Set(names)]
+    .filter((name) => {
+      if (PROVIDERS[name]) return true;
+      console.warn('Unknown search provider in SEARCH_PROVIDERS:', name);
+      return false;
+    })
+    .map((name) => PROVIDERS[name])
+    .filter((provider) => provider.isEnabled());
+}
+
+/** Merge per-provider result lists (already in priority order). */
+export function mergeResults(lists) {
+  const merged = new Map();
+  for (const { provider, results } of lists) {
+    for (const result of results) {
+      if (!isHttpUrl(result?.url)) continue;
+      const key = normalizeUrl(result.url);
+      const existing = merged.get(key);
+      if (existing) {
+        if (!existing.sources.includes(provider)) existing.sources.push(provider);
+        if (!existing.description && result.description) existing.description = result.description;
+        if (result.bookmarkId) existing.bookmarkId = result.bookmarkId;
+        continue;
+      }
+      merged.set(key, {
+        title: result.title || result.url,
+        url: result.url,
+        description: result.description || '',
+        source: provider,
+        sources: [provider],
+        ...(result.bookmarkId && { bookmarkId: result.bookmarkId }),
+      });
+    }
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Run every configured provider for one page of `query`.
+ * `context` is `{ user, supabase }` from withAuth; `offset` counts results
+ * per provider. Resolves to `{ results, providers, hasMore }` where
+ * `providers` reports each one's count (or error) and whether it was cached.
+ */
+export async function runSearch(query, context, {
+  providers = configuredProviders(),
+  offset = 0,
+  filters = { site: null, time: null, lang: null },
+} = {}) {
+  const settled = await Promise.allSettled(
+    providers.map((provider) =>
+      searchProvider(provider, query, { ...context, limit: PROVIDER_LIMIT, offset, filters })
+    )
+  );
+
+  const lists = [];
+  const report = providers.map((provider, i) => {
+    const outcome = settled[i];
+    if (outcome.status === 'fulfilled') {
+      const { results, cached } = outcome.value;
+      lists.push({ provider: provider.name, results });
+      return {
+        name: provider.name,
+        label: provider.label,
+        count: results.length,
+        cached,
+        // A full page suggests there's another one
+        hasMore: results.length >= PROVIDER_LIMIT,
+      };
+    }
+    console.error(`Search provider ${provider.name} failed:`, outcome.reason?.message);
+    return { name: provider.name, label: provider.label, error: outcome.reason?.message || 'Failed' };
+  });
+
+  return {
+    results: mergeResults(lists),
+    providers: report,
+    hasMore: report.some((p) => p.hasMore),
+  };
+}
@@ -0,0 +1,30 @@
+// Canned results for development and tests. Never used unless it is listed in
+// SEARCH_PROVIDERS explicitly.
+
+export const mockProvider = {
+  name: 'mock',
+  label: 'Mock',
+  isEnabled: () => true,
+
+  async search(query, { offset }) {
+    // A single page, so "load more" can be exercised without a paid API
+    if (offset > 0) return [];
+    return [
+      {
+        title: `Mock result for: ${query}`,
+        url: `https://example.com/search?q=${encodeURIComponent(query)}`,
+        description: 'Returned by the mock search provider (SEARCH_PROVIDERS=mock).',
+      },
+      {
+        title: 'How to Enable Search',
+        url: 'https://serpapi.com',
+        description: 'Sign up for a free SerpAPI account (100 searches/month) and add SERP_API_KEY to your environment variables.',
+      },
+      {
+        title: 'Alternative: Google Custom Search',
+        url: 'https://programmablesearchengine.google.com',
+        description: 'Or create a Programmable Search Engine and add GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID.',
+      },
+    ];
+  },
+};
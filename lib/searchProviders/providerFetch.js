@@ -0,0 +1,15 @@
+// JSON GET against a fixed search API host, with a timeout. These URLs are
+// built by us, not users, so they don't need lib/safeFetch.js.
+
+export const PROVIDER_TIMEOUT_MS = 8000;
+
+export async function providerFetch(url) {
+  const response = await fetch(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.json();
+}
@@ -0,0 +1,33 @@
+// SerpAPI (Google results, paid per query). Needs SERP_API_KEY.
+import { providerFetch } from '@/lib/searchProviders/providerFetch';
+
+// Google's tbs=qdr:<unit> time restriction
+const TIME_UNITS = { day: 'd', week: 'w', month: 'm', year: 'y' };
+
+export const serpapiProvider = {
+  name: 'serpapi',
+  label: 'SerpAPI',
+  cacheable: true,
+  isEnabled: () => Boolean(process.env.SERP_API_KEY),
+
+  async search(query, { limit, offset, filters }) {
+    const params = new URLSearchParams({
+      q: filters.site ? `${query} site:${filters.site}` : query,
+      api_key: process.env.SERP_API_KEY,
+      num: String(limit),
+      start: String(offset),
+    });
+    if (filters.time) params.set('tbs', `qdr:${TIME_UNITS[filters.time]}`);
+    if (filters.lang) {
+      params.set('hl', filters.lang);
+      params.set('lr', `lang_${filters.lang}`);
+    }
+
+    const data = await providerFetch(`https://serpapi.com/search.json?${params}`);
+    return (data.organic_results || []).map((item) => ({
+      title: item.title,
+      url: item.link,
+      description: item.snippet || '',
+    }));
+  },
+};
@@ -0,0 +1,57 @@
+// 🔍 Search query parsing for the dashboard search box.
+//
+//   react "server components" site:github.com tag:nextjs -vue
+//
+// `site:` and `tag:` become structured filters; everything else (words,
+// quoted phrases, `-exclusions`, `or`) is passed through to Postgres
+// `websearch_to_tsquery`, which understands that syntax natively.
+
+const OPERATOR = /^(site|tag):(.+)$/i;
+
+// Split on whitespace but keep "quoted phrases" together
+const tokenize = (input) => input.match(/-?"[^"]*"?|\S+/g) || [];
+
+export function parseSearchQuery(input) {
+  const terms = [];
+  const tags = [];
+  let site = null;
+
+  for (const token of tokenize(String(input || ""))) {
+    const match = token.match(OPERATOR);
+    if (!match) {
+      terms.push(token);
+      continue;
+    }
+    const [, operator, value] = match;
+    if (operator.toLowerCase() === "site") {
+      site = value
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, "")
+        .replace(/^www\./, "")
+        .split("/")[0];
+    } else {
+      tags.push(value.toLowerCase());
+    }
+  }
+
+  return { text: terms.join(" "), site: site || null, tags };
+}
+
+export const isStructuredQuery = (parsed) =>
+  Boolean(parsed.text || parsed.site || parsed.tags.length);
+
+// "a «match» b" -> [{ text: "a ", match: false }, { text: "match", match: true }, ...]
+export function splitHighlights(value) {
+  if (!value) return [];
+  const parts = [];
+  const pattern = /«([^»]*)»/g;
+  let last = 0;
+  let m;
+  while ((m = pattern.exec(value))) {
+    if (m.index > last) parts.push({ text: value.slice(last, m.index), match: false });
+    parts.push({ text: m[1], match: true });
+    last = m.index + m[0].length;
+  }
+  if (last < value.length) parts.push({ text: value.slice(last), match: false });
+  return parts;
+}
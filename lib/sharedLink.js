@@ -0,0 +1,14 @@
+// 📲 Links shared into the installed app (Web Share Target, app/manifest.js).
+
+// Android puts the link in `text` about as often as in `url`, sometimes after
+// a headline ("Great read https://...")
+const URL_IN_TEXT = /https?:\/\/\S+/i;
+
+/** `{ url, title }` from the share's `url`, `title` and `text` params. */
+export function readSharedLink(params) {
+  const text = params.get("text") || "";
+  return {
+    url: params.get("url") || text.match(URL_IN_TEXT)?.[0] || "",
+    title: params.get("title") || text.replace(URL_IN_TEXT, "").trim(),
+  };
+}
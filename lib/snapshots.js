@@ -0,0 +1,50 @@
+// 📖 Offline reading archive — client side.
+// The readable copy is produced by /api/metadata?snapshot=1 (lib/readability.js)
+// and stored in `bookmark_snapshots`, one row per bookmark.
+import { supabase } from "@/lib/supabase";
+import { fetchPageMetadata } from "@/lib/pageMetadata";
+
+export async function saveSnapshot({ client = supabase, bookmarkId, userId, snapshot }) {
+  if (!snapshot?.html) return null;
+
+  const { data, error } = await client
+    .from("bookmark_snapshots")
+    .upsert(
+      {
+        bookmark_id: bookmarkId,
+        user_id: userId,
+        source_url: snapshot.source_url,
+        title: snapshot.title,
+        byline: snapshot.byline,
+        excerpt: snapshot.excerpt,
+        html: snapshot.html,
+        text_content: snapshot.text,
+        word_count: snapshot.word_count,
+        captured_at: new Date().toISOString(),
+      },
+      { onConflict: "bookmark_id" }
+    )
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Download the page again and store a fresh snapshot for an existing bookmark
+export async function captureSnapshot(bookmark, userId) {
+  const metadata = await fetchPageMetadata(bookmark.url, { snapshot: true });
+  if (!metadata?.snapshot?.html) {
+    throw new Error(metadata?.error || "Could not read this page");
+  }
+  return saveSnapshot({ bookmarkId: bookmark.id, userId, snapshot: metadata.snapshot });
+}
+
+export async function fetchSnapshot(bookmarkId) {
+  const { data, error } = await supabase
+    .from("bookmark_snapshots")
+    .select("*")
+    .eq("bookmark_id", bookmarkId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
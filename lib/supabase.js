@@ -1,6 +1,10 @@
 import { createClient } from "@supabase/supabase-js";
+import { deviceHeaders } from "@/lib/device";
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// The device headers end up in each bookmark's edit history
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  global: { headers: deviceHeaders() },
+});
@@ -0,0 +1,110 @@
+// 🔐 Supabase clients for API routes (server-only: never import this from a
+// client component).
+//
+// Route handlers never see the browser's session storage, so the client sends
+// its access token as `Authorization: Bearer <token>` (see lib/authFetch.js).
+// That header is the only way in: cookies are never read, so a cross-site
+// form post can't act as the user.
+// A client created with that token runs every query as the user, which keeps
+// RLS — and the same `user_id` isolation as the dashboard — in force.
+//
+// Personal access tokens (`sbk_...`, supabase/migrations/..._personal_access_tokens.sql)
+// are exchanged for a short-lived JWT for their owner, signed with
+// SUPABASE_JWT_SECRET, so scripts get exactly the same RLS as a browser.
+import { createHmac } from "node:crypto";
+import { createClient } from "@supabase/supabase-js";
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+
+export const getBearerToken = (request) => {
+  const header = request.headers.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+};
+
+// `headers` are extra request headers, e.g. the device headers read by the
+// edit history trigger
+export const createUserClient = (accessToken, headers = {}) =>
+  createClient(supabaseUrl, supabaseAnonKey, {
+    global: { headers: { ...headers, Authorization: `Bearer ${accessToken}` } },
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+
+export const isAccessToken = (token) => /^sbk_[0-9a-f]{64}$/.test(token || "");
+
+// Without the project's JWT secret we can't act as the token's owner
+export const accessTokensEnabled = () => Boolean(process.env.SUPABASE_JWT_SECRET);
+
+// Long enough for one request, short enough to be useless if it leaked
+const TOKEN_JWT_TTL_SECONDS = 300;
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const signUserJwt = (userId, email) => {
+  const now = Math.floor(Date.now() / 1000);
+  const body = `${base64url({ alg: "HS256", typ: "JWT" })}.${base64url({
+    sub: userId,
+    email,
+    role: "authenticated",
+    aud: "authenticated",
+    iat: now,
+    exp: now + TOKEN_JWT_TTL_SECONDS,
+  })}`;
+  const signature = createHmac("sha256", process.env.SUPABASE_JWT_SECRET).update(body).digest("base64url");
+  return `${body}.${signature}`;
+};
+
+async function getTokenUser(token) {
+  const anon = createClient(supabaseUrl, supabaseAnonKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  });
+  const { data, error } = await anon.rpc("resolve_access_token", { token });
+  if (error) {
+    console.error("Access token lookup failed:", error);
+    return null;
+  }
+  const match = data?.[0];
+  if (!match) return null;
+
+  return {
+    user: { id: match.user_id, email: match.email },
+    // Edits made with a token show up in the history as "API · <token name>"
+    supabase: createUserClient(signUserJwt(match.user_id, match.email), {
+      "x-device-id": `token:${match.token_id}`,
+      "x-device-name": `API · ${match.name}`,
+    }),
+    token: { id: match.token_id, name: match.name, scopes: match.scopes },
+  };
+}
+
+// Service-role client for data no single user owns (e.g. the shared metadata
+// cache). It bypasses RLS, so it must never act on a user's behalf.
+// Returns null when SUPABASE_SERVICE_ROLE_KEY isn't configured.
+let serviceClient;
+export const getServiceClient = () => {
+  if (serviceClient === undefined) {
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    serviceClient = key
+      ? createClient(supabaseUrl, key, { auth: { persistSession: false, autoRefreshToken: false } })
+      : null;
+  }
+  return serviceClient;
+};
+
+/**
+ * Resolve the signed-in user behind a request.
+ * Returns `{ user, supabase }` — plus `token: { id, name, scopes }` for a
+ * personal access token — or `null` when the token is missing or invalid.
+ */
+export async function getRequestUser(request) {
+  const token = getBearerToken(request);
+  if (!token) return null;
+  if (isAccessToken(token)) return accessTokensEnabled() ? getTokenUser(token) : null;
+
+  const client = createUserClient(token);
+  const { data, error } = await client.auth.getUser(token);
+  if (error || !data?.user) return null;
+
+  return { user: data.user, supabase: client };
+}
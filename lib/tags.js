@@ -0,0 +1,39 @@
+// 🏷 Tag helpers shared by the dashboard form, filters and counts.
+
+// "React, Next.js ,  react" -> ["react", "next.js"]
+export const parseTags = (input) => {
+  const seen = new Set();
+  return String(input || "")
+    .split(",")
+    .map((t) => t.trim().toLowerCase().replace(/\s+/g, "-"))
+    .filter((t) => {
+      if (!t || seen.has(t)) return false;
+      seen.add(t);
+      return true;
+    });
+};
+
+export const formatTags = (tags) => (tags || []).join(", ");
+
+// Counts are derived from the bookmark list itself, so every realtime
+// INSERT/UPDATE/DELETE that touches `bookmarks` keeps them correct for free.
+export const countTags = (bookmarks) => {
+  const counts = new Map();
+  for (const b of bookmarks) {
+    for (const tag of b.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+export const countCollections = (bookmarks) => {
+  const counts = new Map();
+  for (const b of bookmarks) {
+    if (!b.collection_id) continue;
+    counts.set(b.collection_id, (counts.get(b.collection_id) || 0) + 1);
+  }
+  return counts;
+};
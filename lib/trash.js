@@ -0,0 +1,50 @@
+// 🗑 Trash: deleting only sets `deleted_at` (supabase/migrations/..._trash.sql).
+// Rows stay restorable until the user purges them or they pass the retention
+// period. Every call here is one RPC over a list of ids, and each change
+// reaches other tabs as a realtime UPDATE (a purge as a DELETE).
+import { supabase } from "@/lib/supabase";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared with /api/trash/purge, which enforces it on a schedule
+export const TRASH_RETENTION_DAYS = Number(process.env.NEXT_PUBLIC_TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Move `ids` to the trash; resolves to the rows as they are now, with
+ * `deleted_at` set — not as they were. Undo restores them by id.
+ */
+export async function trashBookmarks(ids, client = supabase) {
+  const { data, error } = await client.rpc("delete_bookmarks", { ids });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Take `ids` out of the trash; resolves to the restored rows. */
+export async function restoreBookmarks(ids) {
+  const { data, error } = await supabase.rpc("restore_bookmarks", { ids });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Delete trashed `ids` for good (snapshots go with them). */
+export async function purgeBookmarks(ids, client = supabase) {
+  const { data, error } = await client.rpc("purge_bookmarks", { ids });
+  if (error) throw error;
+  return data || [];
+}
+
+/** Purge the user's rows that have been in the trash too long. */
+export async function purgeExpiredTrash() {
+  const { data, error } = await supabase.rpc("purge_expired_trash", {
+    retention_days: TRASH_RETENTION_DAYS,
+  });
+  if (error) throw error;
+  return data || 0;
+}
+
+// Whole days left before a trashed row is purged automatically
+export const daysUntilPurge = (bookmark) =>
+  Math.max(
+    0,
+    Math.ceil((new Date(bookmark.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS - Date.now()) / DAY_MS)
+  );
@@ -0,0 +1,34 @@
+// ⏳ Small in-memory TTL cache with LRU eviction (server-side).
+//
+// A Map keeps insertion order, so re-inserting on every hit makes the first
+// key the least recently used one.
+
+export function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttl = ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+  };
+}
@@ -0,0 +1,102 @@
+// 🔗 URL helpers shared by the dashboard, import and API routes.
+
+export const isValidUrl = (value) => {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Only web links can be bookmarked (skips javascript:, place:, chrome:// ...)
+export const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// 🧠 SYSTEM DESIGN: URL canonicalization
+// Two URLs that point at the same page should produce the same key:
+//
+//   http://WWW.Example.com/post/?utm_source=x&b=2&a=1#top
+//   https://example.com/post?a=1&b=2
+//
+// The key is stored as `bookmarks.normalized_url` and used for duplicate
+// detection on every insert path. The `url` column keeps what the user saved.
+
+const TRACKING_PARAMS = new Set([
+  "fbclid",
+  "gclid",
+  "dclid",
+  "gbraid",
+  "wbraid",
+  "msclkid",
+  "yclid",
+  "twclid",
+  "igshid",
+  "mc_cid",
+  "mc_eid",
+  "_ga",
+  "_gl",
+  "_hsenc",
+  "_hsmi",
+  "mkt_tok",
+  "oly_anon_id",
+  "oly_enc_id",
+  "ref_src",
+  "ref_url",
+  "vero_id",
+  "si",
+]);
+
+const isTrackingParam = (name) => {
+  const key = name.toLowerCase();
+  return key.startsWith("utm_") || TRACKING_PARAMS.has(key);
+};
+
+const bareHost = (hostname) => hostname.toLowerCase().replace(/^www\./, "");
+
+export function normalizeUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(String(value).trim());
+  } catch {
+    return String(value || "").trim();
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    return parsed.toString();
+  }
+
+  // Scheme and `www.` don't identify a different page; default ports are dropped
+  const host = bareHost(parsed.hostname);
+  const port = parsed.port && !["80", "443"].includes(parsed.port) ? `:${parsed.port}` : "";
+
+  let path = parsed.pathname.replace(/\/{2,}/g, "/");
+  if (path.length > 1) path = path.replace(/\/+$/, "");
+  if (path === "/") path = "";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a, av], [b, bv]) => (a === b ? av.localeCompare(bv) : a.localeCompare(b)));
+  const query = params.length ? `?${new URLSearchParams(params)}` : "";
+
+  // Hash-bang routes are real pages; plain #fragments are positions on one
+  const hash = parsed.hash.startsWith("#!") ? parsed.hash : "";
+
+  return `https://${host}${port}${path}${query}${hash}`;
+}
+
+// Prefer the page's own <link rel=canonical> when it stays on the same site
+// (a cross-site canonical is more likely a syndication partner than the page)
+export function canonicalKey(url, canonicalUrl) {
+  if (canonicalUrl && isHttpUrl(canonicalUrl) && isHttpUrl(url)) {
+    if (bareHost(new URL(canonicalUrl).hostname) === bareHost(new URL(url).hostname)) {
+      return normalizeUrl(canonicalUrl);
+    }
+  }
+  return normalizeUrl(url);
+}
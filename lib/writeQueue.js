@@ -0,0 +1,432 @@
+// ✈️ SYSTEM DESIGN: Write queue (optimistic updates + offline)
+// Every bookmark save, delete and web-search add is queued here, persisted in
+// localStorage per user, shown at once by overlaying it on the loaded rows
+// (applyPending), and replayed in order — straight away when online, when
+// the connection returns otherwise. A replay that may work later (no
+// connection, timeout, rate limit, server error) keeps its entry and is
+// retried with backoff; one the server refused (4xx, RLS, validation) drops
+// its entry, which rolls the overlay back.
+// A new bookmark shows with a temporary `local-<uuid>` id and is inserted
+// with `<uuid>` as its primary key, so its realtime echo (which may beat the
+// insert's response) and a retried insert both resolve to the same row.
+// Queued changes to it are re-pointed at the real id once it's saved.
+// Open tabs share the stored queue: each change re-reads it before writing,
+// tabs follow each other's changes through the `storage` event, and a Web
+// Lock lets only one tab replay at a time. The entry being replayed is marked
+// `inFlight` so no tab folds new changes into it.
+//
+// Conflict policy when a replay meets changes made on another device:
+// - An edit is merged field by field against the values it started from
+//   (`base`): fields nobody else touched take the queued value; tags changed
+//   on both sides are merged (both sides' additions and removals); any other
+//   field changed on both sides keeps the server's value and is reported as a
+//   conflict for the user to settle (keep mine / keep theirs).
+// - An edit to a bookmark deleted elsewhere is a conflict (restore / discard).
+// - A delete always applies; it only moves the row to the trash.
+// - A new bookmark whose URL was saved elsewhere meanwhile is held as a
+//   conflict (keep both / discard) rather than silently duplicated.
+import { supabase } from "@/lib/supabase";
+import { matchesFilters, isSearchActive, updateBookmark } from "@/lib/bookmarks";
+import { findOrCreateCollection } from "@/lib/collections";
+import { findDuplicate } from "@/lib/duplicates";
+import { fetchPageMetadata, pickMetadata } from "@/lib/pageMetadata";
+import { saveSnapshot } from "@/lib/snapshots";
+import { trashBookmarks, restoreBookmarks } from "@/lib/trash";
+import { canonicalKey } from "@/lib/url";
+
+const STORAGE_PREFIX = "smart-bookmark-queue:";
+const LOCAL_PREFIX = "local-";
+
+// `retry`: `{ attempts, at }` while the head entry waits out a backoff
+export const EMPTY_QUEUE = { entries: [], conflicts: [], inFlight: null, retry: null };
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+const FIELD_LABELS = { title: "Title", url: "URL", tags: "Tags", collection_id: "Collection", description: "Description" };
+export const fieldLabel = (field) => FIELD_LABELS[field] || field;
+
+export const newLocalId = () => `${LOCAL_PREFIX}${crypto.randomUUID()}`;
+export const isLocalId = (id) => typeof id === "string" && id.startsWith(LOCAL_PREFIX);
+/** The id a bookmark has (or will have) in the database. */
+export const serverId = (id) => (isLocalId(id) ? id.slice(LOCAL_PREFIX.length) : id);
+const sameBookmark = (a, b) => serverId(a) === serverId(b);
+
+const FETCH_FAILED = /failed to fetch|networkerror|load failed|network request failed|fetch failed/i;
+// PostgREST's "database unreachable" codes (503/504), and Postgres errors
+// that clear up by themselves: connection, resources, statement timeout or
+// shutdown, serialization failure, deadlock
+const RETRY_CODES = /^(PGRST00\d|08\w{3}|53\w{3}|57014|57P0\d|40001|40P01)$/;
+
+/**
+ * Whether a failed replay may work later: offline, a request that got no
+ * answer or timed out, 408/429 or a 5xx. Supabase errors carry a code rather
+ * than the HTTP status, so those are told apart by code. Anything else — a
+ * 4xx, RLS, validation, a bug in the replay — won't improve by waiting.
+ */
+export function isRetryable(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  if (typeof error?.status === "number") {
+    return error.status === 0 || error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  if (error instanceof Error && !error.code) {
+    return (
+      (error.name === "TypeError" && FETCH_FAILED.test(error.message)) ||
+      error.name === "AbortError" ||
+      error.name === "TimeoutError"
+    );
+  }
+  // postgrest-js reports a request that never got an answer with code ""
+  if (error?.code === "") return true;
+  if (error?.code) return RETRY_CODES.test(error.code);
+  // An error body that wasn't PostgREST's JSON: a gateway's 5xx page
+  return Boolean(error) && !(error instanceof Error);
+}
+
+/** Back off before the next attempt; every tab waits for the same time. */
+export function scheduleRetry(queue) {
+  const attempts = (queue.retry?.attempts || 0) + 1;
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1)) * (0.5 + Math.random() / 2);
+  return { ...queue, retry: { attempts, at: Date.now() + delay } };
+}
+
+/** Try again without waiting (e.g. back online). */
+export const clearRetry = (queue) => (queue.retry ? { ...queue, retry: null } : queue);
+
+export function loadQueue(userId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_PREFIX + userId));
+    return stored?.entries ? { ...EMPTY_QUEUE, ...stored } : EMPTY_QUEUE;
+  } catch {
+    return EMPTY_QUEUE;
+  }
+}
+
+export function saveQueue(userId, queue) {
+  if (!queue.entries.length && !queue.conflicts.length) localStorage.removeItem(STORAGE_PREFIX + userId);
+  else localStorage.setItem(STORAGE_PREFIX + userId, JSON.stringify(queue));
+}
+
+export const clearQueue = (userId) => localStorage.removeItem(STORAGE_PREFIX + userId);
+
+/** Call `onChange(queue)` whenever another tab changes the stored queue. */
+export function watchQueue(userId, onChange) {
+  const onStorage = (event) => {
+    if (event.key === STORAGE_PREFIX + userId) onChange(loadQueue(userId));
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
+
+/**
+ * Run `replay()` unless another tab is replaying this user's queue already.
+ * Resolves to false when it was. Without Web Locks every tab replays.
+ */
+export async function withReplayLock(userId, replay) {
+  if (typeof navigator === "undefined" || !navigator.locks) {
+    await replay();
+    return true;
+  }
+  return navigator.locks.request(`${STORAGE_PREFIX}${userId}`, { ifAvailable: true }, async (lock) => {
+    if (!lock) return false;
+    await replay();
+    return true;
+  });
+}
+
+/** Mark the entry being replayed (null: none). */
+export const markInFlight = (queue, entryId) => ({ ...queue, inFlight: entryId });
+
+const newEntry = (entry) => ({ id: crypto.randomUUID(), queuedAt: new Date().toISOString(), ...entry });
+
+/**
+ * Add a change to the queue:
+ * - `{ type: "create", bookmarkId: newLocalId(), fields, fetchDetails?, ifDuplicate? }`
+ * - `{ type: "update", bookmarkId, fields, base, label, fetchDetails?, refresh? }`
+ * - `{ type: "delete", bookmarkId, label }`
+ * Changes to a row that's still queued fold into its pending entry, except
+ * the one being replayed right now (`queue.inFlight`).
+ * `fields.collection_name` stands in for a collection that doesn't exist yet.
+ */
+export function enqueue(queue, entry) {
+  const open = (e) => e.bookmarkId === entry.bookmarkId && e.id !== queue.inFlight;
+  const pending = queue.entries.find((e) => open(e) && (e.type === "create" || e.type === "update"));
+
+  if (entry.type === "delete") {
+    // Never reached the server: forgetting it is the whole delete
+    if (pending?.type === "create") return { ...queue, entries: queue.entries.filter((e) => !open(e)) };
+    return { ...queue, entries: [...queue.entries.filter((e) => !open(e)), newEntry(entry)] };
+  }
+
+  if (entry.type === "update" && pending) {
+    const folded = {
+      ...pending,
+      fields: { ...pending.fields, ...entry.fields },
+      // The first edit's starting point is what other devices are compared to
+      base: pending.base && { ...entry.base, ...pending.base },
+      fetchDetails: pending.fetchDetails || entry.fetchDetails,
+      refresh: pending.refresh || entry.refresh,
+    };
+    if ("collection_id" in entry.fields) delete folded.fields.collection_name;
+    if ("collection_name" in entry.fields) delete folded.fields.collection_id;
+    return { ...queue, entries: queue.entries.map((e) => (e === pending ? folded : e)) };
+  }
+
+  return { ...queue, entries: [...queue.entries, newEntry(entry)] };
+}
+
+/** Drop a queued entry (e.g. Undo on a queued delete). */
+export const dequeue = (queue, entryId) => ({
+  ...queue,
+  entries: queue.entries.filter((e) => e.id !== entryId),
+});
+
+// `collection_name` only means something once the collection exists
+const shownFields = (fields) => Object.fromEntries(Object.entries(fields).filter(([key]) => key !== "collection_name"));
+
+// How a queued create looks in the grid until its insert replays
+const pendingRow = (entry, userId) => ({
+  id: entry.bookmarkId,
+  user_id: userId,
+  tags: [],
+  collection_id: null,
+  description: null,
+  created_at: entry.queuedAt,
+  deleted_at: null,
+  ...shownFields(entry.fields),
+  pending: true,
+});
+
+/**
+ * The loaded rows as the user expects them: queued creates on top (when they
+ * match the view; searches are left to the server) unless the real row is
+ * already there, queued edits applied and queued deletes gone. Rows touched
+ * by the queue are flagged `pending`.
+ */
+export function applyPending(rows, entries, { filters = {}, userId } = {}) {
+  let list = rows;
+  for (const entry of entries) {
+    if (entry.type === "create") {
+      const row = pendingRow(entry, userId);
+      if (list.some((b) => sameBookmark(b.id, row.id))) continue;
+      if (!isSearchActive(filters.search) && matchesFilters(row, filters, userId)) list = [row, ...list];
+    } else if (entry.type === "delete") {
+      list = list.filter((b) => !sameBookmark(b.id, entry.bookmarkId));
+    } else {
+      list = list.map((b) =>
+        sameBookmark(b.id, entry.bookmarkId) ? { ...b, ...shownFields(entry.fields), pending: true } : b
+      );
+    }
+  }
+  return list;
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Theirs, plus what mine added since base, minus what mine removed
+const mergeTags = (base, mine, theirs) => {
+  const added = mine.filter((tag) => !base.includes(tag));
+  const removed = base.filter((tag) => !mine.includes(tag));
+  return [...new Set([...theirs, ...added])].filter((tag) => !removed.includes(tag));
+};
+
+/**
+ * Three-way merge of a queued edit with the server row.
+ * Returns `{ write, conflicts }`: the fields to save, and for each field
+ * both sides changed, `{ field, mine, theirs }`. No `base` means "mine wins".
+ */
+export function mergeFields(base, mine, server) {
+  const write = {};
+  const conflicts = [];
+  for (const [field, value] of Object.entries(mine)) {
+    const theirs = server[field];
+    if (sameValue(theirs, value)) continue;
+    if (!base || sameValue(theirs, base[field])) write[field] = value;
+    else if (field === "tags") write.tags = mergeTags(base.tags || [], value || [], theirs || []);
+    else conflicts.push({ field, mine: value, theirs });
+  }
+  return { write, conflicts };
+}
+
+// Turn a pending `collection_name` into a `collection_id`
+async function resolveCollection(fields, userId) {
+  const { collection_name, ...rest } = fields;
+  if (!collection_name) return rest;
+  const collection = await findOrCreateCollection(collection_name, userId);
+  return { ...rest, collection_id: collection.id };
+}
+
+// Page details (and a reader snapshot) for a queued save; a page that can't
+// be read is saved without them, with a warning
+async function lookupDetails(url, { refresh = false } = {}) {
+  const fetched = await fetchPageMetadata(url, { snapshot: true, refresh });
+  if (fetched?.error) return { metadata: {}, snapshot: null, warning: fetched.error };
+  return { metadata: pickMetadata(fetched), snapshot: fetched.snapshot || null };
+}
+
+const archive = (bookmarkId, userId, snapshot) =>
+  snapshot &&
+  saveSnapshot({ bookmarkId, userId, snapshot }).catch((error) => console.error("Snapshot save failed:", error));
+
+const fetchRow = async (id) => {
+  const { data, error } = await supabase.from("bookmarks").select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+async function replayCreate(entry, userId) {
+  const id = serverId(entry.bookmarkId);
+  // Inserted before, but the response never arrived
+  const saved = await fetchRow(id);
+  if (saved) return { row: saved };
+
+  const fields = await resolveCollection(entry.fields, userId);
+  const { metadata, snapshot, warning } = entry.fetchDetails ? await lookupDetails(fields.url) : { metadata: {} };
+  const canonicalUrl = metadata.canonical_url ?? null;
+
+  if (entry.ifDuplicate !== "save") {
+    const duplicate = await findDuplicate({ userId, url: fields.url, canonicalUrl });
+    if (duplicate && entry.ifDuplicate === "skip") return {};
+    if (duplicate) return { conflict: { kind: "duplicate", fields, duplicate } };
+  }
+
+  const { data, error } = await supabase
+    .from("bookmarks")
+    .insert([{ ...fields, ...metadata, id, normalized_url: canonicalKey(fields.url, canonicalUrl), user_id: userId }])
+    .select("*")
+    .single();
+  // Inserted meanwhile by an earlier replay of the same entry
+  if (error?.code === "23505") {
+    const inserted = await fetchRow(id);
+    if (inserted) return { row: inserted };
+  }
+  if (error) throw error;
+  archive(data.id, userId, snapshot);
+  return { row: data, warning };
+}
+
+async function replayUpdate(entry, userId) {
+  const server = await fetchRow(entry.bookmarkId);
+  if (!server || server.deleted_at) {
+    return { conflict: { kind: "deleted", fields: entry.fields } };
+  }
+
+  const fields = await resolveCollection(entry.fields, userId);
+  const { write, conflicts } = mergeFields(entry.base, fields, server);
+  const url = write.url ?? server.url;
+  const { metadata, snapshot, warning } =
+    (entry.fetchDetails && url !== server.url) || entry.refresh
+      ? await lookupDetails(url, { refresh: entry.refresh })
+      : { metadata: {} };
+
+  const changes = { ...write, ...metadata };
+  if ("url" in changes || "canonical_url" in changes) {
+    changes.normalized_url = canonicalKey(url, changes.canonical_url ?? server.canonical_url);
+  }
+  const row = Object.keys(changes).length ? await updateBookmark(entry.bookmarkId, changes) : server;
+  archive(entry.bookmarkId, userId, snapshot);
+
+  return {
+    row,
+    warning,
+    conflict: conflicts.length ? { kind: "fields", changes: conflicts } : null,
+  };
+}
+
+async function replayDelete(entry) {
+  const [trashed] = await trashBookmarks([entry.bookmarkId]);
+  // Nothing trashed: deleted elsewhere already
+  return trashed ? { row: trashed } : { removed: entry.bookmarkId };
+}
+
+// "Keep mine" on a bookmark deleted elsewhere: back out of the trash (or
+// saved again if it's been purged), then the queued edit on top
+async function replayRestore(entry, userId) {
+  const fields = await resolveCollection(entry.fields, userId);
+  await restoreBookmarks([entry.bookmarkId]);
+  const server = await fetchRow(entry.bookmarkId);
+  if (server) return { row: await updateBookmark(entry.bookmarkId, fields) };
+  return replayCreate({ ...entry, fields: { ...entry.label, ...fields }, ifDuplicate: "save" }, userId);
+}
+
+/**
+ * Send one queued entry to Supabase. Resolves to what happened:
+ * `{ row, warning? }` (the row as now saved), `{ removed: id }`,
+ * `{ conflict }`, or `{}`. Throws on failure — callers keep the entry when
+ * the error isRetryable() and drop it (rolling back) otherwise.
+ */
+export function replayEntry(entry, { userId }) {
+  switch (entry.type) {
+    case "create":
+      return replayCreate(entry, userId);
+    case "update":
+      return replayUpdate(entry, userId);
+    case "delete":
+      return replayDelete(entry);
+    case "restore":
+      return replayRestore(entry, userId);
+    default:
+      return Promise.resolve({});
+  }
+}
+
+/**
+ * Take a replayed (or failed) entry off the queue. A replayed create hands its
+ * real id to the changes queued after it; one that didn't go through takes
+ * them along (into its conflict, or away).
+ */
+export function settleEntry(queue, entry, outcome) {
+  let entries = queue.entries.filter((e) => e.id !== entry.id);
+  let conflict = outcome.conflict && {
+    id: entry.id,
+    bookmarkId: entry.bookmarkId,
+    label: entry.label || { title: entry.fields.title, url: entry.fields.url },
+    ...outcome.conflict,
+  };
+
+  if (entry.type === "create" && isLocalId(entry.bookmarkId)) {
+    const later = entries.filter((e) => e.bookmarkId === entry.bookmarkId);
+    if (outcome.row) {
+      entries = entries.map((e) => (e.bookmarkId === entry.bookmarkId ? { ...e, bookmarkId: outcome.row.id } : e));
+    } else {
+      entries = entries.filter((e) => e.bookmarkId !== entry.bookmarkId);
+      if (conflict && !later.some((e) => e.type === "delete")) {
+        conflict = { ...conflict, fields: later.reduce((fields, e) => ({ ...fields, ...e.fields }), conflict.fields) };
+      } else {
+        conflict = null;
+      }
+    }
+  }
+
+  return {
+    ...queue,
+    entries,
+    conflicts: conflict ? [...queue.conflicts, conflict] : queue.conflicts,
+    inFlight: null,
+    retry: null,
+  };
+}
+
+/**
+ * Settle a conflict. Keeping mine queues it again: a forced edit (no base,
+ * so it overwrites), a restore for a deleted bookmark, or a create that
+ * accepts the duplicate. Keeping theirs just forgets it.
+ */
+export function resolveConflict(queue, conflictId, keepMine) {
+  const conflict = queue.conflicts.find((c) => c.id === conflictId);
+  const next = { ...queue, conflicts: queue.conflicts.filter((c) => c.id !== conflictId) };
+  if (!conflict || !keepMine) return next;
+
+  switch (conflict.kind) {
+    case "fields": {
+      const fields = Object.fromEntries(conflict.changes.map((c) => [c.field, c.mine]));
+      return enqueue(next, { type: "update", bookmarkId: conflict.bookmarkId, fields, base: null, label: conflict.label });
+    }
+    case "deleted":
+      return enqueue(next, { type: "restore", bookmarkId: conflict.bookmarkId, fields: conflict.fields, label: conflict.label });
+    case "duplicate":
+      return enqueue(next, { type: "create", bookmarkId: newLocalId(), fields: conflict.fields, ifDuplicate: "save" });
+    default:
+      return next;
+  }
+}
@@ -0,0 +1,132 @@
+// 📲 Service worker: keeps the app shell available offline.
+//
+// - Page navigations: network first, cached copy when offline
+// - /_next/static/* (content-hashed): cache first
+// - Icons and the manifest: cached copy first, refreshed in the background
+// - Everything else (Supabase, /api/*) goes straight to the network; the
+//   bookmark list itself is kept in IndexedDB by the page (lib/offlineStore.js)
+//
+// Only the shell pages are cached; static files a deploy no longer references
+// are pruned whenever a shell page is refreshed. Bump CACHE_VERSION to drop
+// every old cache on the next activation.
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const STATIC_CACHE = `static-${CACHE_VERSION}`;
+
+const SHELL_PAGES = ["/", "/login"];
+const SHELL_ASSETS = ["/manifest.webmanifest", "/icons/icon-192.png", "/icons/icon-512.png"];
+
+const chunksIn = (html) => [
+  ...new Set((html.match(/\/_next\/static\/[^"'\s)]+/g) || []).map((chunk) => chunk.split("?")[0])),
+];
+
+// Precache the pages plus the scripts and styles they reference, so the very
+// first offline launch can boot
+async function precache() {
+  const shell = await caches.open(SHELL_CACHE);
+  const assets = await caches.open(STATIC_CACHE);
+  await assets.addAll(SHELL_ASSETS);
+
+  for (const page of SHELL_PAGES) {
+    const response = await fetch(page, { credentials: "same-origin" });
+    if (!response.ok) continue;
+    const html = await response.clone().text();
+    await shell.put(page, response);
+    await Promise.all(chunksIn(html).map((chunk) => assets.add(chunk).catch(() => {})));
+  }
+}
+
+// Drop /_next/static files no cached shell page references any more: chunks
+// are content-hashed, so each deploy would otherwise leave its old ones behind
+async function pruneStatic() {
+  const shell = await caches.open(SHELL_CACHE);
+  const assets = await caches.open(STATIC_CACHE);
+  const live = new Set();
+  for (const page of SHELL_PAGES) {
+    const response = await shell.match(page);
+    if (response) chunksIn(await response.text()).forEach((chunk) => live.add(chunk));
+  }
+  // No shell cached yet: nothing to judge by
+  if (live.size === 0) return;
+  for (const request of await assets.keys()) {
+    const { pathname } = new URL(request.url);
+    if (pathname.startsWith("/_next/static/") && !live.has(pathname)) await assets.delete(request);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== SHELL_CACHE && key !== STATIC_CACHE).map((key) => caches.delete(key))
+        )
+      )
+      .then(pruneStatic)
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const url = new URL(request.url);
+  // Only the shell pages are kept, and only without a query string: other
+  // pages and URLs like /save?url=...&text=... may carry private text
+  const shellPage = SHELL_PAGES.includes(url.pathname) && !url.search ? url.pathname : null;
+  try {
+    const response = await fetch(request);
+    if (response.ok && shellPage) {
+      await cache.put(shellPage, response.clone());
+      pruneStatic().catch(() => {});
+    }
+    return response;
+  } catch (error) {
+    // Any page falls back to the dashboard shell, which renders from IndexedDB;
+    // query strings (e.g. a shared link) are ignored when matching
+    const cached =
+      (await cache.match(request, { ignoreSearch: true })) || (await cache.match("/"));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith("/_next/static/")) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith("/icons/") || url.pathname === "/manifest.webmanifest") {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
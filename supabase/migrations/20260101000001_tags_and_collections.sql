@@ -0,0 +1,31 @@
+-- Tags and collections (folders) for bookmarks.
+--
+-- Tags live on the bookmark row itself so realtime payloads carry them and the
+-- dashboard can recount them without another query. Collections are their own
+-- table so they can be renamed without touching every bookmark.
+
+create table if not exists public.collections (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null check (char_length(trim(name)) > 0),
+  created_at timestamptz not null default now(),
+  unique (user_id, name)
+);
+
+alter table public.collections enable row level security;
+
+create policy "Users manage their own collections"
+  on public.collections
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+alter table public.bookmarks
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists collection_id uuid references public.collections (id) on delete set null;
+
+create index if not exists bookmarks_tags_idx on public.bookmarks using gin (tags);
+create index if not exists bookmarks_collection_id_idx on public.bookmarks (collection_id);
+
+-- Realtime for the collection list (bookmarks are already published).
+alter publication supabase_realtime add table public.collections;
@@ -0,0 +1,10 @@
+-- Rich page metadata captured by /api/metadata when a bookmark is saved.
+
+alter table public.bookmarks
+  add column if not exists description text,
+  add column if not exists favicon_url text,
+  add column if not exists image_url text,
+  add column if not exists site_name text,
+  add column if not exists canonical_url text,
+  add column if not exists lang text,
+  add column if not exists published_at timestamptz;
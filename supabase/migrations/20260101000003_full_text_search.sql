@@ -0,0 +1,96 @@
+-- Full-text search over title, URL, description and captured page text.
+--
+-- The search document is an expression index rather than a stored column so
+-- `select *` and realtime payloads don't carry a tsvector around.
+
+alter table public.bookmarks
+  add column if not exists content text;
+
+-- Title (A) > URL & description (B) > page text (C).
+-- URLs are indexed twice: once as-is so `github.com` matches the host token,
+-- and once split on punctuation so `vercel` matches `/vercel/next.js`.
+create or replace function public.bookmark_search_document(
+  title text,
+  url text,
+  description text,
+  content text
+) returns tsvector
+language sql
+immutable
+parallel safe
+as $$
+  select
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('simple', coalesce(url, '')), 'B') ||
+    setweight(to_tsvector('simple', regexp_replace(coalesce(url, ''), '[^[:alnum:]]+', ' ', 'g')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'C')
+$$;
+
+create index if not exists bookmarks_search_idx
+  on public.bookmarks
+  using gin (public.bookmark_search_document(title, url, description, content));
+
+-- Ranked search for the dashboard. `q` uses websearch syntax (quoted phrases,
+-- `-term`, `or`); `site:` and `tag:` operators are parsed client-side and
+-- passed as `site_filter` / `tag_filter`.
+--
+-- Highlights are wrapped in « » so the client can render them without HTML.
+create or replace function public.search_bookmarks(
+  q text default '',
+  site_filter text default null,
+  tag_filter text[] default null,
+  collection uuid default null,
+  result_limit int default 12,
+  result_offset int default 0
+) returns table (bookmark jsonb, rank real, title_highlight text, snippet text)
+language sql
+stable
+security invoker
+as $$
+  with query as (
+    select case
+      when coalesce(trim(q), '') = '' then null
+      else websearch_to_tsquery('english', q) || websearch_to_tsquery('simple', q)
+    end as tsq
+  ),
+  matches as (
+    select
+      b.*,
+      case
+        when query.tsq is null then 0
+        else ts_rank_cd(public.bookmark_search_document(b.title, b.url, b.description, b.content), query.tsq)
+      end as score
+    from public.bookmarks b, query
+    where b.user_id = auth.uid()
+      and (query.tsq is null
+        or public.bookmark_search_document(b.title, b.url, b.description, b.content) @@ query.tsq)
+      and (tag_filter is null or b.tags @> tag_filter)
+      and (collection is null or b.collection_id = collection)
+      and (site_filter is null or (
+        lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          in (lower(site_filter), 'www.' || lower(site_filter))
+        or lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          like '%.' || lower(site_filter)
+      ))
+    order by score desc, b.created_at desc, b.id desc
+    limit greatest(result_limit, 0)
+    offset greatest(result_offset, 0)
+  )
+  select
+    to_jsonb(m) - 'score' - 'content' as bookmark,
+    m.score::real as rank,
+    case when query.tsq is null then null
+      else ts_headline('english', m.title, query.tsq, 'StartSel=«, StopSel=», HighlightAll=true')
+    end as title_highlight,
+    case when query.tsq is null then null
+      else ts_headline(
+        'english',
+        coalesce(m.description, '') || ' ' || left(coalesce(m.content, ''), 5000),
+        query.tsq,
+        'StartSel=«, StopSel=», MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+      )
+    end as snippet
+  from matches m, query
+  order by m.score desc, m.created_at desc, m.id desc;
+$$;
@@ -0,0 +1,20 @@
+-- Canonical URL key for duplicate detection (computed by normalizeUrl() in
+-- lib/url.js on every insert path).
+
+alter table public.bookmarks
+  add column if not exists normalized_url text;
+
+create index if not exists bookmarks_user_normalized_url_idx
+  on public.bookmarks (user_id, normalized_url);
+
+-- Best-effort backfill for existing rows: scheme, `www.`, host case, trailing
+-- slash and fragment. Tracking parameters and query-string order are handled
+-- by the dashboard's "Find duplicates" tool, which rewrites normalized_url for
+-- every row it scans.
+update public.bookmarks
+set normalized_url = (
+  select 'https://' || lower(m[1]) || rtrim(m[2], '/') || coalesce(m[3], '')
+  from regexp_match(url, '^https?://(?:www\.)?([^/?#]+)([^?#]*)(\?[^#]*)?', 'i') as m
+)
+where normalized_url is null
+  and url ~* '^https?://';
@@ -0,0 +1,85 @@
+-- Link health: result of the last check made by /api/link-health.
+
+alter table public.bookmarks
+  add column if not exists link_status int,
+  add column if not exists link_final_url text,
+  add column if not exists link_error text,
+  add column if not exists link_checked_at timestamptz;
+
+create index if not exists bookmarks_user_link_checked_idx
+  on public.bookmarks (user_id, link_checked_at nulls first);
+
+-- Mirrors isBroken() in lib/linkHealth.js: network errors and 4xx/5xx, except
+-- 401/403/429 which mean "not allowed right now" rather than "gone".
+create or replace function public.bookmark_is_broken(link_status int, link_error text)
+returns boolean
+language sql
+immutable
+as $$
+  select link_error is not null
+    or (link_status >= 400 and link_status not in (401, 403, 429))
+$$;
+
+-- search_bookmarks gains a `broken_only` filter
+drop function if exists public.search_bookmarks(text, text, text[], uuid, int, int);
+
+create or replace function public.search_bookmarks(
+  q text default '',
+  site_filter text default null,
+  tag_filter text[] default null,
+  collection uuid default null,
+  result_limit int default 12,
+  result_offset int default 0,
+  broken_only boolean default false
+) returns table (bookmark jsonb, rank real, title_highlight text, snippet text)
+language sql
+stable
+security invoker
+as $$
+  with query as (
+    select case
+      when coalesce(trim(q), '') = '' then null
+      else websearch_to_tsquery('english', q) || websearch_to_tsquery('simple', q)
+    end as tsq
+  ),
+  matches as (
+    select
+      b.*,
+      case
+        when query.tsq is null then 0
+        else ts_rank_cd(public.bookmark_search_document(b.title, b.url, b.description, b.content), query.tsq)
+      end as score
+    from public.bookmarks b, query
+    where b.user_id = auth.uid()
+      and (query.tsq is null
+        or public.bookmark_search_document(b.title, b.url, b.description, b.content) @@ query.tsq)
+      and (tag_filter is null or b.tags @> tag_filter)
+      and (collection is null or b.collection_id = collection)
+      and (not broken_only or public.bookmark_is_broken(b.link_status, b.link_error))
+      and (site_filter is null or (
+        lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          in (lower(site_filter), 'www.' || lower(site_filter))
+        or lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          like '%.' || lower(site_filter)
+      ))
+    order by score desc, b.created_at desc, b.id desc
+    limit greatest(result_limit, 0)
+    offset greatest(result_offset, 0)
+  )
+  select
+    to_jsonb(m) - 'score' - 'content' as bookmark,
+    m.score::real as rank,
+    case when query.tsq is null then null
+      else ts_headline('english', m.title, query.tsq, 'StartSel=«, StopSel=», HighlightAll=true')
+    end as title_highlight,
+    case when query.tsq is null then null
+      else ts_headline(
+        'english',
+        coalesce(m.description, '') || ' ' || left(coalesce(m.content, ''), 5000),
+        query.tsq,
+        'StartSel=«, StopSel=», MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+      )
+    end as snippet
+  from matches m, query
+  order by m.score desc, m.created_at desc, m.id desc;
+$$;
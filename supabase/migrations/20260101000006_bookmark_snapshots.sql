@@ -0,0 +1,45 @@
+-- Offline reading archive: one readable snapshot per bookmark, captured from
+-- the HTML /api/metadata downloads (see lib/readability.js).
+
+create table if not exists public.bookmark_snapshots (
+  bookmark_id uuid primary key references public.bookmarks (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  source_url text not null,
+  title text,
+  byline text,
+  excerpt text,
+  html text not null,
+  text_content text not null,
+  word_count int not null default 0,
+  captured_at timestamptz not null default now()
+);
+
+alter table public.bookmark_snapshots enable row level security;
+
+create policy "Users manage their own snapshots"
+  on public.bookmark_snapshots
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Cards only need to know a snapshot exists; keep that on the bookmark row so
+-- it arrives through the existing realtime channel.
+alter table public.bookmarks
+  add column if not exists snapshot_captured_at timestamptz;
+
+create or replace function public.sync_snapshot_captured_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.bookmarks
+  set snapshot_captured_at = new.captured_at
+  where id = new.bookmark_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookmark_snapshots_sync on public.bookmark_snapshots;
+create trigger bookmark_snapshots_sync
+  after insert or update of captured_at on public.bookmark_snapshots
+  for each row execute function public.sync_snapshot_captured_at();
@@ -0,0 +1,16 @@
+-- Shared cache for /api/metadata when METADATA_CACHE_STORE=database
+-- (see lib/cacheStores.js). Keyed by normalized URL and shared by all users,
+-- so it is only reachable with the service role: RLS is on with no policies.
+
+create table if not exists public.metadata_cache (
+  key text primary key,
+  entry jsonb not null,
+  -- When the row may be dropped; freshness lives in entry->>'expiresAt'
+  retain_until timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.metadata_cache enable row level security;
+
+create index if not exists metadata_cache_retain_until_idx
+  on public.metadata_cache (retain_until);
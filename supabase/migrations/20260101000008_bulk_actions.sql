@@ -0,0 +1,56 @@
+-- Batched writes for bulk actions in the grid (lib/bulkActions.js). Each runs
+-- as the caller (security invoker), so RLS and the user_id check still limit
+-- it to the user's own rows, and each returns the rows it touched so the
+-- client can offer undo: patch_bookmarks returns them as they were before the
+-- patch; delete_bookmarks returns the deleted rows. Since the trash
+-- (..._trash.sql) delete_bookmarks only sets deleted_at and returns the rows
+-- as they are after that; undo restores them by id.
+
+-- patches: [{ "id": "...", "tags": [...] }, { "id": "...", "collection_id": null }, ...]
+-- Keys that are absent keep their current value.
+create or replace function public.patch_bookmarks(patches jsonb)
+returns setof public.bookmarks
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  return query
+    select b.*
+    from public.bookmarks b
+    where b.user_id = auth.uid()
+      and b.id in (select (p ->> 'id')::uuid from jsonb_array_elements(patches) p)
+    for update;
+
+  update public.bookmarks b
+  set
+    title          = (jsonb_populate_record(b, p.patch)).title,
+    url            = (jsonb_populate_record(b, p.patch)).url,
+    normalized_url = (jsonb_populate_record(b, p.patch)).normalized_url,
+    tags           = (jsonb_populate_record(b, p.patch)).tags,
+    collection_id  = (jsonb_populate_record(b, p.patch)).collection_id,
+    description    = (jsonb_populate_record(b, p.patch)).description,
+    favicon_url    = (jsonb_populate_record(b, p.patch)).favicon_url,
+    image_url      = (jsonb_populate_record(b, p.patch)).image_url,
+    site_name      = (jsonb_populate_record(b, p.patch)).site_name,
+    canonical_url  = (jsonb_populate_record(b, p.patch)).canonical_url,
+    lang           = (jsonb_populate_record(b, p.patch)).lang,
+    published_at   = (jsonb_populate_record(b, p.patch)).published_at,
+    content        = (jsonb_populate_record(b, p.patch)).content
+  from jsonb_array_elements(patches) as p(patch)
+  where b.id = (p.patch ->> 'id')::uuid
+    and b.user_id = auth.uid();
+end;
+$$;
+
+create or replace function public.delete_bookmarks(ids uuid[])
+returns setof public.bookmarks
+language sql
+security invoker
+set search_path = public
+as $$
+  delete from public.bookmarks
+  where user_id = auth.uid()
+    and id = any(ids)
+  returning *;
+$$;
@@ -0,0 +1,140 @@
+-- Trash: deleting a bookmark sets deleted_at instead of removing the row, so
+-- it can be restored. Rows leave the trash for good when the user empties it
+-- or when they are older than the retention period (purge_expired_trash,
+-- called by /api/trash/purge on a schedule and by the Trash view).
+--
+-- Trashing and restoring are plain UPDATEs, so realtime delivers them as
+-- UPDATE events; only a purge produces a DELETE.
+
+alter table public.bookmarks
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists bookmarks_user_deleted_at_idx
+  on public.bookmarks (user_id, deleted_at)
+  where deleted_at is not null;
+
+-- delete_bookmarks (bulk actions) now moves rows to the trash and returns
+-- them as they are afterwards (deleted_at set), not as they were before
+create or replace function public.delete_bookmarks(ids uuid[])
+returns setof public.bookmarks
+language sql
+security invoker
+set search_path = public
+as $$
+  update public.bookmarks
+  set deleted_at = now()
+  where user_id = auth.uid()
+    and id = any(ids)
+    and deleted_at is null
+  returning *;
+$$;
+
+create or replace function public.restore_bookmarks(ids uuid[])
+returns setof public.bookmarks
+language sql
+security invoker
+set search_path = public
+as $$
+  update public.bookmarks
+  set deleted_at = null
+  where user_id = auth.uid()
+    and id = any(ids)
+    and deleted_at is not null
+  returning *;
+$$;
+
+-- Permanent delete; only rows already in the trash
+create or replace function public.purge_bookmarks(ids uuid[])
+returns setof uuid
+language sql
+security invoker
+set search_path = public
+as $$
+  delete from public.bookmarks
+  where user_id = auth.uid()
+    and id = any(ids)
+    and deleted_at is not null
+  returning id;
+$$;
+
+-- Security invoker: a signed-in user purges only their own rows (RLS), the
+-- service role purges everyone's. Returns the number of rows removed.
+create or replace function public.purge_expired_trash(retention_days int default 30)
+returns int
+language sql
+security invoker
+set search_path = public
+as $$
+  with purged as (
+    delete from public.bookmarks
+    where deleted_at < now() - make_interval(days => greatest(retention_days, 0))
+    returning 1
+  )
+  select count(*)::int from purged;
+$$;
+
+-- search_bookmarks searches either the live bookmarks or the trash
+drop function if exists public.search_bookmarks(text, text, text[], uuid, int, int, boolean);
+
+create or replace function public.search_bookmarks(
+  q text default '',
+  site_filter text default null,
+  tag_filter text[] default null,
+  collection uuid default null,
+  result_limit int default 12,
+  result_offset int default 0,
+  broken_only boolean default false,
+  in_trash boolean default false
+) returns table (bookmark jsonb, rank real, title_highlight text, snippet text)
+language sql
+stable
+security invoker
+as $$
+  with query as (
+    select case
+      when coalesce(trim(q), '') = '' then null
+      else websearch_to_tsquery('english', q) || websearch_to_tsquery('simple', q)
+    end as tsq
+  ),
+  matches as (
+    select
+      b.*,
+      case
+        when query.tsq is null then 0
+        else ts_rank_cd(public.bookmark_search_document(b.title, b.url, b.description, b.content), query.tsq)
+      end as score
+    from public.bookmarks b, query
+    where b.user_id = auth.uid()
+      and (b.deleted_at is not null) = in_trash
+      and (query.tsq is null
+        or public.bookmark_search_document(b.title, b.url, b.description, b.content) @@ query.tsq)
+      and (tag_filter is null or b.tags @> tag_filter)
+      and (collection is null or b.collection_id = collection)
+      and (not broken_only or public.bookmark_is_broken(b.link_status, b.link_error))
+      and (site_filter is null or (
+        lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          in (lower(site_filter), 'www.' || lower(site_filter))
+        or lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          like '%.' || lower(site_filter)
+      ))
+    order by score desc, b.created_at desc, b.id desc
+    limit greatest(result_limit, 0)
+    offset greatest(result_offset, 0)
+  )
+  select
+    to_jsonb(m) - 'score' - 'content' as bookmark,
+    m.score::real as rank,
+    case when query.tsq is null then null
+      else ts_headline('english', m.title, query.tsq, 'StartSel=«, StopSel=», HighlightAll=true')
+    end as title_highlight,
+    case when query.tsq is null then null
+      else ts_headline(
+        'english',
+        coalesce(m.description, '') || ' ' || left(coalesce(m.content, ''), 5000),
+        query.tsq,
+        'StartSel=«, StopSel=», MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+      )
+    end as snippet
+  from matches m, query
+  order by m.score desc, m.created_at desc, m.id desc;
+$$;
@@ -0,0 +1,85 @@
+-- Edit history: every UPDATE that changes a user-visible field of a bookmark
+-- records the old and new values of just those fields, plus who made it and
+-- from where. Written by a trigger, so every write path (dashboard, bulk
+-- actions, API routes) is covered and the rows can't be forged by clients.
+--
+-- Origin:
+--   session_id  — the Supabase auth session (`session_id` claim of the JWT)
+--   device_id / device_name — `x-device-id` / `x-device-name` request headers
+--                 the dashboard sends with every request (lib/device.js)
+
+create table if not exists public.bookmark_revisions (
+  id bigint generated always as identity primary key,
+  bookmark_id uuid not null references public.bookmarks (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  changed_at timestamptz not null default now(),
+  changed_fields text[] not null,
+  before jsonb not null,
+  after jsonb not null,
+  changed_by uuid,
+  session_id text,
+  device_id text,
+  device_name text
+);
+
+create index if not exists bookmark_revisions_bookmark_idx
+  on public.bookmark_revisions (bookmark_id, changed_at desc);
+
+alter table public.bookmark_revisions enable row level security;
+
+-- Read-only for users; rows are only written by the trigger below
+create policy "Users read their own bookmark revisions"
+  on public.bookmark_revisions
+  for select
+  using (auth.uid() = user_id);
+
+-- Keep in step with REVISION_FIELDS in lib/revisions.js
+create or replace function public.record_bookmark_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  old_row jsonb := to_jsonb(old);
+  new_row jsonb := to_jsonb(new);
+  headers jsonb := coalesce(nullif(current_setting('request.headers', true), '')::jsonb, '{}');
+  changed text[];
+begin
+  select array_agg(field order by position)
+  into changed
+  from unnest(array[
+    'title', 'url', 'tags', 'collection_id', 'description',
+    'image_url', 'site_name', 'canonical_url'
+  ]) with ordinality as tracked(field, position)
+  where old_row -> field is distinct from new_row -> field;
+
+  if changed is null then
+    return new;
+  end if;
+
+  insert into public.bookmark_revisions (
+    bookmark_id, user_id, changed_fields, before, after,
+    changed_by, session_id, device_id, device_name
+  )
+  values (
+    new.id,
+    new.user_id,
+    changed,
+    (select jsonb_object_agg(field, old_row -> field) from unnest(changed) as field),
+    (select jsonb_object_agg(field, new_row -> field) from unnest(changed) as field),
+    auth.uid(),
+    auth.jwt() ->> 'session_id',
+    left(headers ->> 'x-device-id', 64),
+    left(headers ->> 'x-device-name', 100)
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists bookmarks_record_revision on public.bookmarks;
+
+create trigger bookmarks_record_revision
+  after update on public.bookmarks
+  for each row
+  execute function public.record_bookmark_revision();
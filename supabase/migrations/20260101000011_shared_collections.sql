@@ -0,0 +1,449 @@
+-- Shared collections. The owner of a collection invites people by email as
+-- `viewer` (read) or `editor` (add, edit, trash, restore and purge bookmarks
+-- in it). Access is decided here, in RLS, so the REST API, RPCs and realtime
+-- all enforce it; the dashboard only hides buttons that would be refused.
+--
+-- A bookmark keeps the user_id of whoever created it. Rows in a shared
+-- collection are visible to its members through the policies below.
+
+create table if not exists public.collection_members (
+  collection_id uuid not null references public.collections (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  role text not null check (role in ('viewer', 'editor')),
+  email text not null,
+  invited_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (collection_id, user_id)
+);
+
+create index if not exists collection_members_user_idx
+  on public.collection_members (user_id);
+
+-- Pending invitations; accepting one turns it into a collection_members row.
+-- Name and inviter are copied in because the invitee can't read the
+-- collection until they accept.
+create table if not exists public.collection_invites (
+  id uuid primary key default gen_random_uuid(),
+  collection_id uuid not null references public.collections (id) on delete cascade,
+  email text not null check (email = lower(email)),
+  role text not null check (role in ('viewer', 'editor')),
+  collection_name text not null,
+  invited_by uuid not null references auth.users (id) on delete cascade,
+  invited_by_email text,
+  created_at timestamptz not null default now(),
+  unique (collection_id, email)
+);
+
+create index if not exists collection_invites_email_idx
+  on public.collection_invites (email);
+
+-- 'owner', 'editor', 'viewer' or null. Security definer so policies on the
+-- tables it reads don't recurse into each other.
+create or replace function public.collection_role(collection uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (
+      select 1 from public.collections c
+      where c.id = collection and c.user_id = auth.uid()
+    ) then 'owner'
+    else (
+      select m.role from public.collection_members m
+      where m.collection_id = collection and m.user_id = auth.uid()
+    )
+  end
+$$;
+
+create or replace function public.can_edit_collection(collection uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.collection_role(collection) in ('owner', 'editor'), false)
+$$;
+
+-- The signed-in user's email, lowercased, from the JWT
+create or replace function public.auth_email()
+returns text
+language sql
+stable
+as $$
+  select lower(auth.jwt() ->> 'email')
+$$;
+
+-- 🔐 collections: owners keep "Users manage their own collections"; members
+-- can read the ones shared with them.
+create policy "Members read shared collections"
+  on public.collections
+  for select
+  using (public.collection_role(id) is not null);
+
+-- 🔐 collection_members
+alter table public.collection_members enable row level security;
+
+create policy "Members see who else is in their collections"
+  on public.collection_members
+  for select
+  using (public.collection_role(collection_id) is not null);
+
+create policy "Owners change member roles"
+  on public.collection_members
+  for update
+  using (public.collection_role(collection_id) = 'owner')
+  with check (public.collection_role(collection_id) = 'owner');
+
+-- Only the role can change: moving a membership to another account or
+-- collection would skip the invite
+revoke update on public.collection_members from anon, authenticated;
+grant update (role) on public.collection_members to authenticated;
+
+create policy "Owners remove members, members leave"
+  on public.collection_members
+  for delete
+  using (user_id = auth.uid() or public.collection_role(collection_id) = 'owner');
+
+-- 🔐 collection_invites: created through invite_to_collection() only
+alter table public.collection_invites enable row level security;
+
+create policy "Owners and invitees see invites"
+  on public.collection_invites
+  for select
+  using (email = public.auth_email() or public.collection_role(collection_id) = 'owner');
+
+create policy "Owners cancel invites, invitees decline"
+  on public.collection_invites
+  for delete
+  using (email = public.auth_email() or public.collection_role(collection_id) = 'owner');
+
+-- 🔐 bookmarks: on top of the owner's own-row policy
+create policy "Members read bookmarks in shared collections"
+  on public.bookmarks
+  for select
+  using (collection_id is not null and public.collection_role(collection_id) is not null);
+
+create policy "Editors update bookmarks in shared collections"
+  on public.bookmarks
+  for update
+  using (collection_id is not null and public.can_edit_collection(collection_id))
+  with check (collection_id is not null and public.can_edit_collection(collection_id));
+
+create policy "Editors purge bookmarks in shared collections"
+  on public.bookmarks
+  for delete
+  using (collection_id is not null and public.can_edit_collection(collection_id));
+
+-- Restrictive: nobody files a bookmark under a collection they can't edit
+-- (collection ids are not secrets once shared).
+create policy "Bookmarks only go into editable collections"
+  on public.bookmarks
+  as restrictive
+  for insert
+  with check (collection_id is null or public.can_edit_collection(collection_id));
+
+create policy "Bookmarks only move into editable collections"
+  on public.bookmarks
+  as restrictive
+  for update
+  with check (collection_id is null or public.can_edit_collection(collection_id));
+
+-- An editor may change a shared bookmark, never who owns it
+create or replace function public.keep_bookmark_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.user_id is distinct from old.user_id then
+    raise exception 'bookmarks.user_id cannot be changed';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists bookmarks_keep_owner on public.bookmarks;
+
+create trigger bookmarks_keep_owner
+  before update on public.bookmarks
+  for each row
+  execute function public.keep_bookmark_owner();
+
+-- History and offline copies follow the bookmark they belong to
+create policy "Members read revisions of shared bookmarks"
+  on public.bookmark_revisions
+  for select
+  using (exists (select 1 from public.bookmarks b where b.id = bookmark_id));
+
+create policy "Members read snapshots of shared bookmarks"
+  on public.bookmark_snapshots
+  for select
+  using (exists (select 1 from public.bookmarks b where b.id = bookmark_id));
+
+-- Everyone who can read a snapshot now sees the same row, so only those who
+-- may edit the bookmark write it: its owner, or an editor of its collection.
+-- `user_id` is whoever captured it last.
+drop policy if exists "Users manage their own snapshots" on public.bookmark_snapshots;
+
+create policy "Users read their own snapshots"
+  on public.bookmark_snapshots
+  for select
+  using (auth.uid() = user_id);
+
+create policy "Editors write snapshots"
+  on public.bookmark_snapshots
+  for insert
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (b.user_id = auth.uid() or public.can_edit_collection(b.collection_id))
+    )
+  );
+
+create policy "Editors update snapshots"
+  on public.bookmark_snapshots
+  for update
+  using (
+    exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (b.user_id = auth.uid() or public.can_edit_collection(b.collection_id))
+    )
+  )
+  with check (
+    auth.uid() = user_id
+    and exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (b.user_id = auth.uid() or public.can_edit_collection(b.collection_id))
+    )
+  );
+
+create policy "Editors delete snapshots"
+  on public.bookmark_snapshots
+  for delete
+  using (
+    exists (
+      select 1 from public.bookmarks b
+      where b.id = bookmark_id
+        and (b.user_id = auth.uid() or public.can_edit_collection(b.collection_id))
+    )
+  );
+
+-- ✉️ Invite (or re-invite with a new role). Only the owner; returns the invite.
+create or replace function public.invite_to_collection(
+  collection uuid,
+  invitee_email text,
+  member_role text default 'viewer'
+)
+returns public.collection_invites
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.collections;
+  invite public.collection_invites;
+  normalized text := lower(trim(invitee_email));
+begin
+  select * into target from public.collections
+  where id = collection and user_id = auth.uid();
+  if not found then
+    raise exception 'Only the owner can share this collection' using errcode = '42501';
+  end if;
+  if member_role not in ('viewer', 'editor') then
+    raise exception 'Role must be viewer or editor' using errcode = '22023';
+  end if;
+  if normalized !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' then
+    raise exception 'Not an email address' using errcode = '22023';
+  end if;
+  if normalized = public.auth_email() then
+    raise exception 'You already own this collection' using errcode = '22023';
+  end if;
+
+  insert into public.collection_invites (
+    collection_id, email, role, collection_name, invited_by, invited_by_email
+  )
+  values (target.id, normalized, member_role, target.name, auth.uid(), public.auth_email())
+  on conflict (collection_id, email)
+  do update set role = excluded.role, collection_name = excluded.collection_name
+  returning * into invite;
+
+  return invite;
+end;
+$$;
+
+-- Accept an invite addressed to the caller's email; returns the membership
+create or replace function public.accept_collection_invite(invite_id uuid)
+returns public.collection_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invite public.collection_invites;
+  member public.collection_members;
+begin
+  delete from public.collection_invites
+  where id = invite_id and email = public.auth_email()
+  returning * into invite;
+  if not found then
+    raise exception 'Invite not found' using errcode = 'P0002';
+  end if;
+
+  insert into public.collection_members (collection_id, user_id, role, email, invited_by)
+  values (invite.collection_id, auth.uid(), invite.role, invite.email, invite.invited_by)
+  on conflict (collection_id, user_id)
+  do update set role = excluded.role
+  returning * into member;
+
+  return member;
+end;
+$$;
+
+-- Bulk and trash RPCs now let RLS pick the rows (own bookmarks plus ones in
+-- collections the caller can edit) instead of checking user_id themselves.
+create or replace function public.patch_bookmarks(patches jsonb)
+returns setof public.bookmarks
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  return query
+    select b.*
+    from public.bookmarks b
+    where b.id in (select (p ->> 'id')::uuid from jsonb_array_elements(patches) p)
+    for update;
+
+  update public.bookmarks b
+  set
+    title          = (jsonb_populate_record(b, p.patch)).title,
+    url            = (jsonb_populate_record(b, p.patch)).url,
+    normalized_url = (jsonb_populate_record(b, p.patch)).normalized_url,
+    tags           = (jsonb_populate_record(b, p.patch)).tags,
+    collection_id  = (jsonb_populate_record(b, p.patch)).collection_id,
+    description    = (jsonb_populate_record(b, p.patch)).description,
+    favicon_url    = (jsonb_populate_record(b, p.patch)).favicon_url,
+    image_url      = (jsonb_populate_record(b, p.patch)).image_url,
+    site_name      = (jsonb_populate_record(b, p.patch)).site_name,
+    canonical_url  = (jsonb_populate_record(b, p.patch)).canonical_url,
+    lang           = (jsonb_populate_record(b, p.patch)).lang,
+    published_at   = (jsonb_populate_record(b, p.patch)).published_at,
+    content        = (jsonb_populate_record(b, p.patch)).content
+  from jsonb_array_elements(patches) as p(patch)
+  where b.id = (p.patch ->> 'id')::uuid;
+end;
+$$;
+
+create or replace function public.delete_bookmarks(ids uuid[])
+returns setof public.bookmarks
+language sql
+security invoker
+set search_path = public
+as $$
+  update public.bookmarks
+  set deleted_at = now()
+  where id = any(ids)
+    and deleted_at is null
+  returning *;
+$$;
+
+create or replace function public.restore_bookmarks(ids uuid[])
+returns setof public.bookmarks
+language sql
+security invoker
+set search_path = public
+as $$
+  update public.bookmarks
+  set deleted_at = null
+  where id = any(ids)
+    and deleted_at is not null
+  returning *;
+$$;
+
+create or replace function public.purge_bookmarks(ids uuid[])
+returns setof uuid
+language sql
+security invoker
+set search_path = public
+as $$
+  delete from public.bookmarks
+  where id = any(ids)
+    and deleted_at is not null
+  returning id;
+$$;
+
+-- search_bookmarks: a collection filter searches everything in that
+-- collection the caller can read; otherwise only their own bookmarks
+create or replace function public.search_bookmarks(
+  q text default '',
+  site_filter text default null,
+  tag_filter text[] default null,
+  collection uuid default null,
+  result_limit int default 12,
+  result_offset int default 0,
+  broken_only boolean default false,
+  in_trash boolean default false
+) returns table (bookmark jsonb, rank real, title_highlight text, snippet text)
+language sql
+stable
+security invoker
+as $$
+  with query as (
+    select case
+      when coalesce(trim(q), '') = '' then null
+      else websearch_to_tsquery('english', q) || websearch_to_tsquery('simple', q)
+    end as tsq
+  ),
+  matches as (
+    select
+      b.*,
+      case
+        when query.tsq is null then 0
+        else ts_rank_cd(public.bookmark_search_document(b.title, b.url, b.description, b.content), query.tsq)
+      end as score
+    from public.bookmarks b, query
+    where (collection is not null or b.user_id = auth.uid())
+      and (b.deleted_at is not null) = in_trash
+      and (query.tsq is null
+        or public.bookmark_search_document(b.title, b.url, b.description, b.content) @@ query.tsq)
+      and (tag_filter is null or b.tags @> tag_filter)
+      and (collection is null or b.collection_id = collection)
+      and (not broken_only or public.bookmark_is_broken(b.link_status, b.link_error))
+      and (site_filter is null or (
+        lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          in (lower(site_filter), 'www.' || lower(site_filter))
+        or lower(substring(b.url from '^[a-zA-Z][a-zA-Z0-9+.-]*://(?:[^@/]*@)?([^/:?#]+)'))
+          like '%.' || lower(site_filter)
+      ))
+    order by score desc, b.created_at desc, b.id desc
+    limit greatest(result_limit, 0)
+    offset greatest(result_offset, 0)
+  )
+  select
+    to_jsonb(m) - 'score' - 'content' as bookmark,
+    m.score::real as rank,
+    case when query.tsq is null then null
+      else ts_headline('english', m.title, query.tsq, 'StartSel=«, StopSel=», HighlightAll=true')
+    end as title_highlight,
+    case when query.tsq is null then null
+      else ts_headline(
+        'english',
+        coalesce(m.description, '') || ' ' || left(coalesce(m.content, ''), 5000),
+        query.tsq,
+        'StartSel=«, StopSel=», MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "'
+      )
+    end as snippet
+  from matches m, query
+  order by m.score desc, m.created_at desc, m.id desc;
+$$;
+
+-- Realtime: membership changes and new invites reach the dashboard live
+alter publication supabase_realtime add table public.collection_members;
+alter publication supabase_realtime add table public.collection_invites;
@@ -0,0 +1,99 @@
+-- Public share links: a collection or a tag published read-only at /s/<slug>
+-- (plus RSS, Atom and JSON feeds) for people without an account.
+--
+-- Visitors never query the tables. get_public_share() is the only way in: it
+-- checks the link is live (not revoked, not expired) and returns just the
+-- public fields of the listed bookmarks.
+
+create table if not exists public.public_shares (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  -- 32 random hex characters unless the owner picks one
+  slug text not null unique default replace(gen_random_uuid()::text, '-', '')
+    check (slug ~ '^[a-z0-9][a-z0-9-]{2,63}$'),
+  collection_id uuid references public.collections (id) on delete cascade,
+  tag text,
+  title text not null check (char_length(trim(title)) > 0),
+  description text,
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now(),
+  check ((collection_id is null) <> (tag is null))
+);
+
+create index if not exists public_shares_user_idx
+  on public.public_shares (user_id, created_at desc);
+
+alter table public.public_shares enable row level security;
+
+-- A collection can only be published by its owner; a tag covers only the
+-- publisher's own bookmarks
+create policy "Users manage their own public shares"
+  on public.public_shares
+  for all
+  using (auth.uid() = user_id)
+  with check (
+    auth.uid() = user_id
+    and (collection_id is null or public.collection_role(collection_id) = 'owner')
+  );
+
+-- Anyone (including anon) may call this; returns null for unknown, revoked or
+-- expired slugs
+create or replace function public.get_public_share(share_slug text, item_limit int default 200)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  share public.public_shares;
+  items jsonb;
+begin
+  select * into share
+  from public.public_shares s
+  where s.slug = lower(share_slug)
+    and s.revoked_at is null
+    and (s.expires_at is null or s.expires_at > now());
+  if not found then
+    return null;
+  end if;
+
+  select coalesce(jsonb_agg(item order by item_created desc), '[]'::jsonb)
+  into items
+  from (
+    select
+      jsonb_build_object(
+        'id', b.id,
+        'title', b.title,
+        'url', b.url,
+        'description', b.description,
+        'favicon_url', b.favicon_url,
+        'image_url', b.image_url,
+        'site_name', b.site_name,
+        'tags', b.tags,
+        'published_at', b.published_at,
+        'created_at', b.created_at
+      ) as item,
+      b.created_at as item_created
+    from public.bookmarks b
+    where b.deleted_at is null
+      and (
+        (share.collection_id is not null and b.collection_id = share.collection_id)
+        or (share.tag is not null and b.user_id = share.user_id and b.tags @> array[share.tag])
+      )
+    order by b.created_at desc
+    limit least(greatest(item_limit, 1), 500)
+  ) listed;
+
+  return jsonb_build_object(
+    'slug', share.slug,
+    'title', share.title,
+    'description', share.description,
+    'created_at', share.created_at,
+    'expires_at', share.expires_at,
+    'updated_at', coalesce((items -> 0 ->> 'created_at')::timestamptz, share.created_at),
+    'bookmarks', items
+  );
+end;
+$$;
@@ -0,0 +1,175 @@
+-- Personal access tokens for the REST API (/api/v1). A token is shown once
+-- when it is created; only its SHA-256 hash is stored.
+--
+-- The API never queries as the service role: resolve_access_token() maps a
+-- token to its user, and the route then acts with a short-lived JWT for that
+-- user (lib/supabaseServer.js), so the same RLS policies apply as in the
+-- dashboard.
+
+create table if not exists public.personal_access_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null check (char_length(trim(name)) between 1 and 100),
+  token_hash text not null unique,
+  -- First characters of the token, so the settings page can tell them apart
+  token_prefix text not null,
+  scopes text[] not null
+    check (cardinality(scopes) > 0 and scopes <@ array['read', 'write']),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists personal_access_tokens_user_idx
+  on public.personal_access_tokens (user_id, created_at desc);
+
+alter table public.personal_access_tokens enable row level security;
+
+-- Users can only list their tokens. They are created through
+-- create_access_token(), which generates the secret, and revoked through
+-- revoke_access_token(), which can't un-revoke or change anything else.
+create policy "Users can view their own access tokens"
+  on public.personal_access_tokens
+  for select
+  using (auth.uid() = user_id);
+
+-- Returns the new row plus the plaintext `token`, which is never stored
+create or replace function public.create_access_token(
+  token_name text,
+  token_scopes text[],
+  expires_in_days int default null
+)
+returns jsonb
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  secret text;
+  created public.personal_access_tokens;
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in' using errcode = '42501';
+  end if;
+
+  -- 244 random bits from two v4 UUIDs
+  secret := 'sbk_' || replace(gen_random_uuid()::text, '-', '')
+    || replace(gen_random_uuid()::text, '-', '');
+
+  insert into public.personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+  values (
+    auth.uid(),
+    trim(token_name),
+    encode(sha256(convert_to(secret, 'UTF8')), 'hex'),
+    left(secret, 12),
+    token_scopes,
+    case when expires_in_days is null then null else now() + make_interval(days => expires_in_days) end
+  )
+  returning * into created;
+
+  return to_jsonb(created) - 'token_hash' || jsonb_build_object('token', secret);
+end;
+$$;
+
+-- Revoke one of the caller's tokens; revoking twice keeps the first time.
+-- Returns the row (without the hash), or raises when there's no such token.
+create or replace function public.revoke_access_token(token_id uuid)
+returns jsonb
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  revoked public.personal_access_tokens;
+begin
+  update public.personal_access_tokens
+  set revoked_at = coalesce(revoked_at, now())
+  where id = token_id
+    and user_id = auth.uid()
+  returning * into revoked;
+  if not found then
+    raise exception 'Access token not found' using errcode = 'P0002';
+  end if;
+
+  return to_jsonb(revoked) - 'token_hash';
+end;
+$$;
+
+-- Called by API routes with the anon key. Returns the owner and scopes of a
+-- live token (not revoked, not expired), or no row.
+create or replace function public.resolve_access_token(token text)
+returns table (token_id uuid, user_id uuid, email text, name text, scopes text[])
+language plpgsql
+volatile
+security definer
+set search_path = public
+as $$
+declare
+  found_token public.personal_access_tokens;
+begin
+  select * into found_token
+  from public.personal_access_tokens t
+  where t.token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex')
+    and t.revoked_at is null
+    and (t.expires_at is null or t.expires_at > now());
+  if not found then
+    return;
+  end if;
+
+  -- At most one write a minute per token
+  if found_token.last_used_at is null or found_token.last_used_at < now() - interval '1 minute' then
+    update public.personal_access_tokens
+    set last_used_at = now()
+    where id = found_token.id;
+  end if;
+
+  return query
+  select found_token.id, found_token.user_id, u.email::text, found_token.name, found_token.scopes
+  from auth.users u
+  where u.id = found_token.user_id;
+end;
+$$;
+
+-- Tags only exist on bookmarks, so renaming or removing one rewrites the
+-- caller's own rows (trash included, so a restore doesn't bring it back).
+-- Both return the number of bookmarks changed.
+create or replace function public.rename_tag(old_tag text, new_tag text)
+returns int
+language sql
+volatile
+security invoker
+set search_path = public
+as $$
+  with changed as (
+    update public.bookmarks b
+    set tags = case
+      when new_tag = any(b.tags) then array_remove(b.tags, old_tag)
+      else array_replace(b.tags, old_tag, new_tag)
+    end
+    where b.user_id = auth.uid()
+      and b.tags @> array[old_tag]
+      and old_tag <> new_tag
+    returning 1
+  )
+  select count(*)::int from changed
+$$;
+
+create or replace function public.remove_tag(tag text)
+returns int
+language sql
+volatile
+security invoker
+set search_path = public
+as $$
+  with changed as (
+    update public.bookmarks b
+    set tags = array_remove(b.tags, tag)
+    where b.user_id = auth.uid()
+      and b.tags @> array[tag]
+    returning 1
+  )
+  select count(*)::int from changed
+$$;
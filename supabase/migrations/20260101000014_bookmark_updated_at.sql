@@ -0,0 +1,48 @@
+-- Realtime resync: every bookmark row carries the time it last changed, so a
+-- dashboard whose realtime connection dropped (sleep, flaky network) can ask
+-- for just the rows changed since the last event it saw (lib/realtimeSync.js)
+-- instead of reloading everything.
+--
+-- Trashing and restoring are UPDATEs and bump updated_at like any edit; a
+-- purge deletes the row, which clients detect by checking the ids they hold.
+--
+-- The stamp is taken when the row is written (clock_timestamp()), but the
+-- write only becomes visible at commit, so a row can show up after a newer
+-- stamped one. Clients therefore resync from a safety window before the
+-- newest stamp they've seen, not from the stamp itself.
+
+alter table public.bookmarks
+  add column if not exists updated_at timestamptz;
+
+update public.bookmarks
+set updated_at = created_at
+where updated_at is null;
+
+alter table public.bookmarks
+  alter column updated_at set default clock_timestamp(),
+  alter column updated_at set not null;
+
+create index if not exists bookmarks_user_updated_at_idx
+  on public.bookmarks (user_id, updated_at);
+
+create index if not exists bookmarks_collection_updated_at_idx
+  on public.bookmarks (collection_id, updated_at)
+  where collection_id is not null;
+
+create or replace function public.touch_bookmark_updated_at()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  new.updated_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists bookmarks_touch_updated_at on public.bookmarks;
+
+create trigger bookmarks_touch_updated_at
+  before update on public.bookmarks
+  for each row
+  execute function public.touch_bookmark_updated_at();